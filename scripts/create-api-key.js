@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+
+/**
+ * Create an API key directly in the database
+ * Used to bootstrap the first admin key; further keys can be created with POST /api/keys.
+ *
+ * Usage: npm run create-api-key -- <name> [scope ...]
+ * Example: npm run create-api-key -- ops admin
+ */
+
+const mongoose = require('mongoose');
+const config = require('../src/config/config');
+const ApiKey = require('../src/models/ApiKey');
+const { API_KEY_SCOPES } = require('../src/models/ApiKey');
+
+async function createApiKey() {
+  const [name, ...scopes] = process.argv.slice(2);
+
+  if (!name) {
+    console.error('Usage: npm run create-api-key -- <name> [scope ...]');
+    console.error(`Scopes: ${API_KEY_SCOPES.join(', ')} (default: admin)`);
+    process.exit(1);
+  }
+
+  const keyScopes = scopes.length > 0 ? scopes : ['admin'];
+  const invalid = keyScopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+  if (invalid.length > 0) {
+    console.error(`❌ Unknown scopes: ${invalid.join(', ')}. Use: ${API_KEY_SCOPES.join(', ')}`);
+    process.exit(1);
+  }
+
+  await mongoose.connect(config.MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+
+  try {
+    const { apiKey, key } = await ApiKey.generate({ name, scopes: keyScopes, createdBy: 'cli' });
+    console.log(`✅ Created API key "${apiKey.name}" (${apiKey.scopes.join(', ')})`);
+    console.log('\nStore it now, it is not shown again:\n');
+    console.log(`  ${key}\n`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+createApiKey().catch(error => {
+  console.error('❌ Failed to create API key:', error.message);
+  process.exit(1);
+});
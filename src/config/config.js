@@ -1,5 +1,23 @@
 require('dotenv').config();
 
+/**
+ * Parse a JSON environment variable, exiting on invalid JSON like the other config checks
+ * @param {string} name - Variable name
+ * @param {*} fallback - Value when the variable is unset
+ * @returns {*} Parsed value
+ */
+function parseJsonEnv(name, fallback) {
+  if (!process.env[name]) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    console.error(`❌ ${name} is not valid JSON: ${error.message}`);
+    process.exit(1);
+  }
+}
+
 const config = {
   // Server Configuration
   PORT: process.env.PORT || 3000,
@@ -13,18 +31,101 @@ const config = {
   GITHUB_APP_ID: process.env.GITHUB_APP_ID,
   GITHUB_PRIVATE_KEY: process.env.GITHUB_PRIVATE_KEY,
 
+  // LLM Provider Configuration (gemini | openai | ollama | mock)
+  LLM_PROVIDER: (process.env.LLM_PROVIDER || 'gemini').toLowerCase(),
+  LLM_MAX_RETRIES: parseInt(process.env.LLM_MAX_RETRIES) || 5,
+  LLM_RETRY_BASE_DELAY: parseInt(process.env.LLM_RETRY_BASE_DELAY) || 1000, // doubled per attempt
+  LLM_REQUEST_TIMEOUT: parseInt(process.env.LLM_REQUEST_TIMEOUT) || 120000, // 2 minutes
+  // Ask providers for JSON matching the review schema (JSON mode / response schema)
+  LLM_STRUCTURED_OUTPUT: process.env.LLM_STRUCTURED_OUTPUT !== 'false',
+
   // Gemini AI Configuration
   GEMINI_API_KEY: process.env.GEMINI_API_KEY,
   GEMINI_MODEL: process.env.GEMINI_MODEL || 'gemini-1.5-flash',
 
+  // OpenAI-compatible Configuration (OpenAI, vLLM, llama.cpp server, ...)
+  OPENAI_BASE_URL: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+  OPENAI_API_KEY: process.env.OPENAI_API_KEY,
+  OPENAI_MODEL: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+
+  // Ollama Configuration
+  OLLAMA_BASE_URL: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
+  OLLAMA_MODEL: process.env.OLLAMA_MODEL || 'llama3.1',
+
+  // Mock provider fixture file (JSON), used for tests and local development
+  MOCK_LLM_FIXTURES: process.env.MOCK_LLM_FIXTURES,
+
+  // LLM cost accounting: USD per million tokens by model, merged over the built-in table,
+  // e.g. {"gemini-2.5-pro": {"input": 1.25, "output": 10}}
+  LLM_PRICES: parseJsonEnv('LLM_PRICES', {}),
+
+  // LLM budgets in USD (0 = unlimited). BUDGET_OVERRIDES maps "owner" (org limits) or
+  // "owner/repo" (repo limits) to {"daily": n, "monthly": n}
+  BUDGET_REPO_DAILY: parseFloat(process.env.BUDGET_REPO_DAILY) || 0,
+  BUDGET_REPO_MONTHLY: parseFloat(process.env.BUDGET_REPO_MONTHLY) || 0,
+  BUDGET_ORG_DAILY: parseFloat(process.env.BUDGET_ORG_DAILY) || 0,
+  BUDGET_ORG_MONTHLY: parseFloat(process.env.BUDGET_ORG_MONTHLY) || 0,
+  BUDGET_OVERRIDES: parseJsonEnv('BUDGET_OVERRIDES', {}),
+
   // Database Configuration
   MONGODB_URI: process.env.MONGODB_URI || process.env.MONGO_URL || 'mongodb://localhost:27017/code-review-agent',
 
   // Review Configuration
   MAX_FILES_PER_PR: parseInt(process.env.MAX_FILES_PER_PR) || 50,
-  MAX_DIFF_SIZE: parseInt(process.env.MAX_DIFF_SIZE) || 100000, // 100KB
+  MAX_FILE_CHANGES: parseInt(process.env.MAX_FILE_CHANGES) || 1000,
+  MAX_DIFF_SIZE: parseInt(process.env.MAX_DIFF_SIZE) || 100000, // 100KB per file
+  REVIEW_TOKEN_BUDGET: parseInt(process.env.REVIEW_TOKEN_BUDGET) || 24000, // estimated diff tokens per LLM call
+  REVIEW_CONCURRENCY: parseInt(process.env.REVIEW_CONCURRENCY) || 2,
+  // Head-version code shown around each hunk: a line window, or the enclosing function/class
+  REVIEW_CONTEXT_LINES: parseInt(process.env.REVIEW_CONTEXT_LINES ?? '20') || 0, // 0 disables
+  REVIEW_CONTEXT_MODE: process.env.REVIEW_CONTEXT_MODE === 'lines' ? 'lines' : 'function',
+  REVIEW_CONTEXT_TOKEN_BUDGET: parseInt(process.env.REVIEW_CONTEXT_TOKEN_BUDGET) || 8000, // for all files of a PR
+
+  // ESLint findings on changed JS/TS lines, merged into the review
+  LINT_ENABLED: process.env.LINT_ENABLED !== 'false',
+  // eslint.config.js is code; only run a repository's own flat config when its repositories are trusted
+  LINT_TRUST_REPO_CONFIG: process.env.LINT_TRUST_REPO_CONFIG === 'true',
   REVIEW_TIMEOUT: parseInt(process.env.REVIEW_TIMEOUT) || 300000, // 5 minutes
   
+  // Check Runs (GitHub App only); thresholds are the lowest severity that triggers
+  // the conclusion: error | warning | suggestion | never
+  CHECK_RUNS_ENABLED: process.env.CHECK_RUNS_ENABLED !== 'false',
+  CHECK_RUN_NAME: process.env.CHECK_RUN_NAME || 'AI Code Review',
+  CHECK_FAIL_ON: process.env.CHECK_FAIL_ON || 'error',
+  CHECK_NEUTRAL_ON: process.env.CHECK_NEUTRAL_ON || 'warning',
+
+  // Review verdict: the lowest severity that requests changes (error | warning | suggestion | never),
+  // optionally only for some categories, and the highest severity a PR can have and still be
+  // approved (none | suggestion | warning | never). The defaults always post plain comments.
+  REVIEW_REQUEST_CHANGES_ON: process.env.REVIEW_REQUEST_CHANGES_ON || 'never',
+  REVIEW_REQUEST_CHANGES_CATEGORIES: (process.env.REVIEW_REQUEST_CHANGES_CATEGORIES || '')
+    .split(',')
+    .map(category => category.trim())
+    .filter(Boolean),
+  REVIEW_APPROVE_UP_TO: process.env.REVIEW_APPROVE_UP_TO || 'never',
+
+  // Minimum repository permission for /review, /retry, /pause and /resume
+  COMMAND_MIN_PERMISSION: process.env.COMMAND_MIN_PERMISSION || 'write',
+
+  // Review Job Queue
+  WORKER_ENABLED: process.env.WORKER_ENABLED !== 'false',
+  WORKER_CONCURRENCY: parseInt(process.env.WORKER_CONCURRENCY) || 2,
+  QUEUE_POLL_INTERVAL: parseInt(process.env.QUEUE_POLL_INTERVAL) || 2000, // 2 seconds
+  QUEUE_LEASE_DURATION: parseInt(process.env.QUEUE_LEASE_DURATION) || 60000, // 1 minute
+  QUEUE_MAX_ATTEMPTS: parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 3,
+  QUEUE_RETRY_BASE_DELAY: parseInt(process.env.QUEUE_RETRY_BASE_DELAY) || 30000, // 30 seconds
+  QUEUE_RECOVERY_INTERVAL: parseInt(process.env.QUEUE_RECOVERY_INTERVAL) || 300000, // 5 minutes
+
+  // Webhook delivery log; deliveries older than this are deleted (0 keeps them)
+  WEBHOOK_DELIVERY_RETENTION_DAYS: parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS ?? '14') || 0,
+  // A delivery still unanswered after this long was abandoned (e.g. the process died) and a
+  // redelivery processes it again
+  WEBHOOK_DELIVERY_STALE_SECONDS: parseInt(process.env.WEBHOOK_DELIVERY_STALE_SECONDS) || 300,
+
+  // API Authentication: JWTs for the dashboard and clients that exchange an API key
+  JWT_SECRET: process.env.JWT_SECRET,
+  JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '12h',
+
   // Rate Limiting
   RATE_LIMIT_WINDOW: parseInt(process.env.RATE_LIMIT_WINDOW) || 900000, // 15 minutes
   RATE_LIMIT_MAX: parseInt(process.env.RATE_LIMIT_MAX) || 100,
@@ -46,7 +147,7 @@ const config = {
   // Language-specific configurations
   LANGUAGE_CONFIGS: {
     javascript: {
-      extensions: ['.js', '.jsx', '.ts', '.tsx'],
+      extensions: ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx'],
       frameworks: ['react', 'vue', 'angular', 'node'],
       linting: ['eslint', 'prettier']
     },
@@ -64,7 +165,24 @@ const config = {
 };
 
 // Validation
-const requiredEnvVars = ['GITHUB_TOKEN', 'GEMINI_API_KEY'];
+const providerEnvVars = {
+  gemini: ['GEMINI_API_KEY'],
+  openai: [],
+  ollama: [],
+  mock: []
+};
+
+if (!providerEnvVars[config.LLM_PROVIDER]) {
+  console.error(`❌ Unknown LLM_PROVIDER "${config.LLM_PROVIDER}". Use one of: ${Object.keys(providerEnvVars).join(', ')}`);
+  process.exit(1);
+}
+
+// GitHub App credentials take precedence; a personal access token is enough for small setups
+const githubEnvVars = config.GITHUB_APP_ID || config.GITHUB_PRIVATE_KEY
+  ? ['GITHUB_APP_ID', 'GITHUB_PRIVATE_KEY']
+  : ['GITHUB_TOKEN'];
+
+const requiredEnvVars = [...githubEnvVars, ...providerEnvVars[config.LLM_PROVIDER]];
 const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
 
 if (missingVars.length > 0) {
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const { API_KEY_SCOPES } = require('../models/ApiKey');
+const { issueToken } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+
+class ApiKeyController {
+  /**
+   * Create an API key; the plain key is only returned in this response
+   */
+  createKey = asyncHandler(async (req, res) => {
+    const { name, scopes, expiresInDays } = req.body || {};
+
+    if (!name || typeof name !== 'string') {
+      throw new AppError('name is required', 400);
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+      throw new AppError(`scopes must be a non-empty array of: ${API_KEY_SCOPES.join(', ')}`, 400);
+    }
+
+    if (expiresInDays !== undefined && (!Number.isInteger(expiresInDays) || expiresInDays <= 0)) {
+      throw new AppError('expiresInDays must be a positive integer', 400);
+    }
+
+    const { apiKey, key } = await ApiKey.generate({
+      name,
+      scopes: [...new Set(scopes)],
+      createdBy: req.apiKey.name,
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : undefined
+    });
+
+    logger.info('API key created', { keyId: apiKey._id, name, scopes: apiKey.scopes, createdBy: req.apiKey.name });
+
+    return res.status(201).json({
+      ...this.formatKey(apiKey),
+      key
+    });
+  });
+
+  /**
+   * List API keys without their secrets
+   */
+  listKeys = asyncHandler(async (req, res) => {
+    const keys = await ApiKey.find().sort({ createdAt: -1 });
+    return res.json({ keys: keys.map(key => this.formatKey(key)) });
+  });
+
+  /**
+   * Revoke an API key; requests and sessions using it are rejected from now on
+   */
+  revokeKey = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const apiKey = mongoose.isValidObjectId(id) ? await ApiKey.findById(id) : null;
+
+    if (!apiKey) {
+      throw new AppError('API key not found', 404);
+    }
+
+    if (!apiKey.revokedAt) {
+      await apiKey.revoke();
+      logger.info('API key revoked', { keyId: apiKey._id, name: apiKey.name, revokedBy: req.apiKey.name });
+    }
+
+    return res.json(this.formatKey(apiKey));
+  });
+
+  /**
+   * Exchange the API key of the request for a short-lived JWT with the same scopes
+   * Behind requireApiKeyCredential: a JWT can't be used to get a new one.
+   */
+  createToken = asyncHandler(async (req, res) => {
+    return res.json(issueToken(req.apiKey));
+  });
+
+  formatKey(apiKey) {
+    return {
+      id: apiKey._id,
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      scopes: apiKey.scopes,
+      createdBy: apiKey.createdBy,
+      createdAt: apiKey.createdAt,
+      expiresAt: apiKey.expiresAt,
+      lastUsedAt: apiKey.lastUsedAt,
+      revokedAt: apiKey.revokedAt,
+      active: apiKey.isActive()
+    };
+  }
+}
+
+module.exports = new ApiKeyController();
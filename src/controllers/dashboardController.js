@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const githubService = require('../services/githubService');
+const reviewQueryService = require('../services/reviewQueryService');
+const jobQueue = require('../services/jobQueue');
+const dashboard = require('../views/dashboard');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const { SESSION_COOKIE, issueToken, isToken, resolveApiKey } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+
+const CHART_DAYS = 30;
+const FAILURES_LIMIT = 100;
+
+class DashboardController {
+  /**
+   * Review list with status filters and a findings chart
+   */
+  listReviews = asyncHandler(async (req, res) => {
+    const { status, repository, cursor } = req.query;
+
+    const [{ reviews, nextCursor }, timeline] = await Promise.all([
+      reviewQueryService.listReviews({ status, repository, cursor, limit: 50 }),
+      Review.getFindingsTimeline(CHART_DAYS, repository ? { repository } : {})
+    ]);
+
+    return res.send(dashboard.renderReviewList({ reviews, status, repository, nextCursor, timeline, days: CHART_DAYS }));
+  });
+
+  /**
+   * Review detail with findings grouped by file alongside the diff
+   */
+  getReview = asyncHandler(async (req, res) => {
+    const review = await this.findReview(req.params.id);
+
+    // The diff isn't stored with the review, so it is read from GitHub and the page still renders without it
+    const patches = {};
+    let diffError = null;
+    try {
+      const files = await githubService.listPullRequestFiles(review.owner, review.repo, review.pullRequestId);
+      files.forEach(file => {
+        if (file.patch) patches[file.filename] = file.patch;
+      });
+    } catch (error) {
+      diffError = error.message;
+      logger.warn('Could not load diff for dashboard', {
+        repository: review.repository,
+        pullRequestId: review.pullRequestId,
+        error: error.message
+      });
+    }
+
+    return res.send(dashboard.renderReviewDetail({ review, patches, diffError }));
+  });
+
+  /**
+   * Failed reviews with error messages and retry counts
+   */
+  listFailures = asyncHandler(async (req, res) => {
+    const reviews = await Review.find({ status: { $in: ['failed', 'parse_failed'] } })
+      .select('-comments -summaryComment -filesReviewed')
+      .sort({ updatedAt: -1 })
+      .limit(FAILURES_LIMIT)
+      .lean();
+
+    return res.send(dashboard.renderFailures({ reviews, notice: req.query.notice }));
+  });
+
+  /**
+   * Queue a failed review again from the failures view or the detail page
+   */
+  retryReview = asyncHandler(async (req, res) => {
+    const review = await this.findReview(req.params.id);
+
+    if (!review.canRetry()) {
+      throw new AppError('Only failed reviews can be retried', 400);
+    }
+
+    await review.incrementRetry();
+    await jobQueue.enqueueReview(review, 'dashboard.retry');
+
+    logger.info('Review retry requested from dashboard', {
+      repository: review.repository,
+      pullRequestId: review.pullRequestId,
+      retryCount: review.retryCount
+    });
+
+    const notice = `Retry queued for ${review.repository}#${review.pullRequestId}`;
+    return res.redirect(303, `/dashboard/failures?notice=${encodeURIComponent(notice)}`);
+  });
+
+  /**
+   * Sign-in form
+   */
+  showLogin = asyncHandler(async (req, res) => {
+    return res.send(dashboard.renderLogin());
+  });
+
+  /**
+   * Exchange an API key for a session cookie holding a JWT
+   * A JWT isn't accepted in place of the key, so sessions can't be renewed from a token.
+   */
+  login = asyncHandler(async (req, res) => {
+    const credential = req.body?.apiKey ? String(req.body.apiKey).trim() : '';
+    let apiKey = null;
+    try {
+      apiKey = credential && !isToken(credential) ? await resolveApiKey(credential) : null;
+    } catch {
+      apiKey = null;
+    }
+
+    if (!apiKey || !apiKey.hasScope('reviews:read')) {
+      logger.warn('Dashboard sign-in rejected', { ip: req.ip });
+      return res.status(401).send(dashboard.renderLogin({ error: 'Invalid API key or missing reviews:read scope' }));
+    }
+
+    const { token } = issueToken(apiKey);
+    res.cookie(SESSION_COOKIE, token, {
+      httpOnly: true,
+      sameSite: 'strict',
+      secure: req.secure || config.NODE_ENV === 'production',
+      path: '/dashboard'
+    });
+
+    logger.info('Dashboard sign-in', { keyId: apiKey._id, name: apiKey.name });
+    return res.redirect(303, '/dashboard');
+  });
+
+  /**
+   * End the dashboard session
+   */
+  logout = asyncHandler(async (req, res) => {
+    res.clearCookie(SESSION_COOKIE, { path: '/dashboard' });
+    return res.redirect(303, '/dashboard/login');
+  });
+
+  async findReview(id) {
+    if (!mongoose.isValidObjectId(id)) {
+      throw new AppError('Review not found', 404);
+    }
+
+    const review = await Review.findById(id);
+    if (!review) {
+      throw new AppError('Review not found', 404);
+    }
+
+    return review;
+  }
+}
+
+module.exports = new DashboardController();
@@ -0,0 +1,30 @@
+const feedbackService = require('../services/feedbackService');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+
+class FeedbackController {
+  /**
+   * Get acceptance and false-positive rates per category and repository
+   */
+  getFeedbackStats = asyncHandler(async (req, res) => {
+    const { repository } = req.query;
+    const days = req.query.days !== undefined ? parseInt(req.query.days) : 30;
+
+    if (repository && !/^[\w.-]+\/[\w.-]+$/.test(repository)) {
+      throw new AppError('Invalid repository. Use "owner/repo"', 400);
+    }
+
+    if (!Number.isInteger(days) || days < 0) {
+      throw new AppError('Invalid days. Use a non-negative integer (0 for all time)', 400);
+    }
+
+    const stats = await feedbackService.getStats({ repository, days });
+
+    return res.json({
+      repository: repository || null,
+      days: days || null,
+      ...stats
+    });
+  });
+}
+
+module.exports = new FeedbackController();
@@ -1,7 +1,14 @@
+const jobQueue = require('../services/jobQueue');
 const githubService = require('../services/githubService');
-const geminiService = require('../services/geminiService');
+const githubAuth = require('../services/githubAuth');
+const feedbackService = require('../services/feedbackService');
+const metricsService = require('../services/metricsService');
 const Review = require('../models/Review');
+const ReviewJob = require('../models/ReviewJob');
+const config = require('../config/config');
 const logger = require('../utils/logger');
+const { parseCommand } = require('../utils/commandParser');
+const { RERUN_ACTION } = require('../utils/checkConclusion');
 const { asyncHandler, AppError, GitHubError, GeminiError } = require('../middleware/errorHandler');
 
 class GitHubWebhookController {
@@ -9,14 +16,21 @@ class GitHubWebhookController {
    * Handle incoming GitHub webhook events
    */
   handleWebhook = asyncHandler(async (req, res) => {
-    const { event, delivery, payload } = req.webhook;
+    const { event, delivery, payload, replay } = req.webhook;
 
     logger.info('Processing webhook event', {
       event,
       delivery,
+      replay,
       repository: payload.repository?.full_name,
       action: payload.action
     });
+    metricsService.recordWebhook(event, payload.action);
+
+    // Every app webhook names its installation, which saves a lookup when the job runs
+    if (payload.installation?.id && payload.repository) {
+      githubAuth.rememberInstallation(payload.repository.owner.login, payload.repository.name, payload.installation.id);
+    }
 
     try {
       switch (event) {
@@ -28,6 +42,22 @@ class GitHubWebhookController {
         
         case 'pull_request_review':
           return await this.handlePullRequestReview(req, res);
+
+        case 'issue_comment':
+          return await this.handleIssueComment(req, res);
+
+        case 'pull_request_review_comment':
+          return await this.handleReviewComment(req, res);
+
+        case 'pull_request_review_thread':
+          return await this.handleReviewThread(req, res);
+
+        case 'check_run':
+          return await this.handleCheckRun(req, res);
+
+        case 'installation':
+        case 'installation_repositories':
+          return this.handleInstallation(req, res);
         
         default:
           logger.debug('Unhandled webhook event', { event, action: payload.action });
@@ -72,6 +102,22 @@ class GitHubWebhookController {
     });
   }
 
+  /**
+   * Handle GitHub App installation changes
+   */
+  handleInstallation(req, res) {
+    const { event, payload } = req.webhook;
+    const result = githubAuth.handleInstallationEvent(event, payload);
+
+    return res.status(200).json({
+      message: 'Installation updated',
+      action: payload.action,
+      installationId: result.installationId,
+      repositoriesAdded: result.added,
+      repositoriesRemoved: result.removed
+    });
+  }
+
   /**
    * Handle pull request events
    */
@@ -79,6 +125,12 @@ class GitHubWebhookController {
     const { payload } = req.webhook;
     const { action, pull_request, repository } = payload;
 
+    // Last chance to collect reactions on the agent's comments
+    if (action === 'closed') {
+      this.syncFeedbackReactions(repository.owner.login, repository.name, pull_request.number);
+      return res.status(200).json({ message: 'Feedback sync started for closed PR', action });
+    }
+
     // Only process relevant actions
     const relevantActions = ['opened', 'synchronize', 'reopened'];
     if (!relevantActions.includes(action)) {
@@ -126,25 +178,29 @@ class GitHubWebhookController {
         return res.status(200).json({ message: 'Draft PR skipped' });
       }
 
+      // Respect /pause; keep the head up to date so /resume knows what to review
+      if (existingReview?.paused) {
+        existingReview.prInfo.commitSha = pull_request.head.sha;
+        await existingReview.save();
+
+        logger.info('Automatic reviews paused for PR, skipping', { owner, repo, pullNumber });
+        return res.status(200).json({
+          message: 'Automatic reviews paused',
+          reviewId: existingReview._id
+        });
+      }
+
       // Create or update review record
       let review = existingReview;
       if (!review) {
-        review = new Review({
-          pullRequestId: pullNumber,
-          repository: repository.full_name,
-          owner,
-          repo,
-          prInfo: {
-            title: pull_request.title,
-            description: pull_request.body,
-            author: pull_request.user.login,
-            baseBranch: pull_request.base.ref,
-            headBranch: pull_request.head.ref,
-            commitSha: pull_request.head.sha
-          }
-        });
+        review = Review.fromPullRequest(owner, repo, repository.full_name, pull_request);
         await review.save();
       } else {
+        // Reviews completed before lastReviewedSha was tracked covered the previous head
+        if (review.status === 'completed' && !review.lastReviewedSha) {
+          review.lastReviewedSha = review.prInfo.commitSha;
+        }
+
         // Update PR info for synchronize events
         review.prInfo.commitSha = pull_request.head.sha;
         review.status = 'pending';
@@ -152,21 +208,13 @@ class GitHubWebhookController {
         await review.save();
       }
 
-      // Start review process asynchronously
-      this.processReviewAsync(owner, repo, pullNumber, review._id)
-        .catch(error => {
-          logger.error('Async review processing failed', {
-            owner,
-            repo,
-            pullNumber,
-            reviewId: review._id,
-            error: error.message
-          });
-        });
+      // Queue the review; a worker picks it up even if this instance restarts
+      const job = await jobQueue.enqueueReview(review, `pull_request.${action}`);
 
       return res.status(200).json({
-        message: 'PR review started',
+        message: 'PR review queued',
         reviewId: review._id,
+        jobId: job?._id,
         pullRequest: {
           owner,
           repo,
@@ -203,8 +251,10 @@ class GitHubWebhookController {
       repository: repository.full_name
     });
 
-    // For now, just log the event
-    // Future: Handle review feedback, update review records, etc.
+    // Reactions don't have webhooks; human review activity is a good moment to read them back
+    if (action === 'submitted' && review.user.type !== 'Bot') {
+      this.syncFeedbackReactions(repository.owner.login, repository.name, pull_request.number);
+    }
 
     return res.status(200).json({
       message: 'PR review event received',
@@ -214,112 +264,291 @@ class GitHubWebhookController {
   }
 
   /**
-   * Process code review asynchronously
+   * Record replies in the agent's review threads as feedback
    */
-  async processReviewAsync(owner, repo, pullNumber, reviewId) {
-    let review;
-    
-    try {
-      review = await Review.findById(reviewId);
-      if (!review) {
-        throw new Error('Review record not found');
-      }
+  async handleReviewComment(req, res) {
+    const { payload } = req.webhook;
+    const { action, comment } = payload;
 
-      await review.markInProgress();
+    if (action !== 'created' || !comment.in_reply_to_id || comment.user.type === 'Bot') {
+      return res.status(200).json({ message: 'Review comment ignored' });
+    }
 
-      logger.info('Starting code review process', {
-        owner,
-        repo,
-        pullNumber,
-        reviewId
-      });
+    const feedback = await feedbackService.recordReply(comment);
 
-      // Check if already reviewed by our bot
-      const alreadyReviewed = await githubService.hasAlreadyReviewed(owner, repo, pullNumber);
-      if (alreadyReviewed) {
-        logger.info('Bot has already reviewed this PR', { owner, repo, pullNumber });
-        await review.markCompleted();
-        return;
-      }
+    return res.status(200).json({
+      message: feedback ? 'Feedback recorded' : 'Not a reply to an agent comment',
+      verdict: feedback?.verdict
+    });
+  }
 
-      // Get PR data and files
-      const prData = await githubService.getPullRequestData(owner, repo, pullNumber);
-      
-      // Update review record with files
-      review.filesReviewed = prData.diff_files.map(file => ({
-        filePath: file.file_path,
-        status: file.status,
-        additions: file.additions,
-        deletions: file.deletions,
-        changes: file.changes
-      }));
-      await review.save();
+  /**
+   * Record resolved and reopened agent threads as feedback
+   */
+  async handleReviewThread(req, res) {
+    const { payload } = req.webhook;
+    const { action, thread, pull_request, repository, sender } = payload;
 
-      // Skip if no reviewable files
-      if (prData.diff_files.length === 0) {
-        logger.info('No reviewable files found', { owner, repo, pullNumber });
-        await review.markCompleted();
-        return;
-      }
+    if (!['resolved', 'unresolved'].includes(action)) {
+      return res.status(200).json({ message: 'Review thread action ignored', action });
+    }
 
-      // Generate review using Gemini AI
-      const comments = await geminiService.generateReview(prData);
-      
-      // Generate summary comment
-      const summaryComment = await geminiService.generateSummaryComment(comments, prData);
+    const feedback = await feedbackService.recordThreadResolution(action, thread, sender?.login);
+    if (feedback) {
+      this.syncFeedbackReactions(repository.owner.login, repository.name, pull_request.number);
+    }
 
-      // Update review record
-      review.comments = comments;
-      review.summaryComment = summaryComment;
-      await review.save();
+    return res.status(200).json({
+      message: feedback ? 'Feedback recorded' : 'Not an agent thread',
+      resolution: feedback?.resolution,
+      verdict: feedback?.verdict
+    });
+  }
 
-      // Post review to GitHub
-      const githubReview = await githubService.postReviewComments(
+  /**
+   * Refresh reaction counts on the agent's comments in the background
+   * It takes one GitHub call per comment, so the webhook doesn't wait for it: GitHub gives up
+   * on a delivery after 10 seconds.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} pullNumber - Pull request number
+   */
+  syncFeedbackReactions(owner, repo, pullNumber) {
+    feedbackService.syncReactions(owner, repo, pullNumber).catch(error => {
+      logger.warn('Failed to sync comment reactions', { owner, repo, pullNumber, error: error.message });
+    });
+  }
+
+  /**
+   * Handle re-run requests on the agent's check runs
+   * "Re-run" retries a failed review and runs a full review otherwise, like /retry and /review.
+   */
+  async handleCheckRun(req, res) {
+    const { payload } = req.webhook;
+    const { action, check_run: checkRun, repository, sender } = payload;
+
+    const isRerun = action === 'rerequested' ||
+      (action === 'requested_action' && payload.requested_action?.identifier === RERUN_ACTION.identifier);
+    if (!isRerun || checkRun.name !== config.CHECK_RUN_NAME) {
+      return res.status(200).json({ message: 'Check run event ignored', action });
+    }
+
+    const pullNumber = checkRun.pull_requests?.[0]?.number;
+    if (!pullNumber) {
+      return res.status(200).json({ message: 'Check run is not attached to a pull request' });
+    }
+
+    const owner = repository.owner.login;
+    const repo = repository.name;
+    const review = await Review.findByPR(owner, repo, pullNumber);
+    const command = { name: review?.canRetry() ? 'retry' : 'review', args: [] };
+
+    logger.info('Check run re-run requested', {
+      owner,
+      repo,
+      pullNumber,
+      checkRunId: checkRun.id,
+      sender: sender?.login,
+      command: command.name
+    });
+
+    const result = await this.runCommand(command, {
+      owner,
+      repo,
+      pullNumber,
+      repository,
+      sender: sender?.login,
+      trigger: `check_run.${action}`
+    });
+
+    return res.status(200).json({
+      message: result.message,
+      reviewId: result.reviewId
+    });
+  }
+
+  /**
+   * Handle issue comment events carrying slash commands on pull requests
+   */
+  async handleIssueComment(req, res) {
+    const { payload } = req.webhook;
+    const { action, comment, issue, repository } = payload;
+
+    // Only new comments on pull requests, and never our own or other bots' comments
+    if (action !== 'created' || !issue.pull_request || comment.user.type === 'Bot') {
+      return res.status(200).json({ message: 'Comment ignored' });
+    }
+
+    const command = parseCommand(comment.body);
+    if (!command) {
+      return res.status(200).json({ message: 'No command found' });
+    }
+
+    const owner = repository.owner.login;
+    const repo = repository.name;
+    const pullNumber = issue.number;
+    const sender = comment.user.login;
+
+    logger.info('Processing slash command', {
+      command: command.name,
+      owner,
+      repo,
+      pullNumber,
+      sender
+    });
+
+    const permission = await githubService.getCollaboratorPermission(owner, repo, sender);
+    if (!this.hasRequiredPermission(permission)) {
+      logger.warn('Slash command rejected: insufficient permission', {
+        command: command.name,
+        sender,
+        permission,
+        required: config.COMMAND_MIN_PERMISSION
+      });
+
+      await githubService.addCommentReaction(owner, repo, comment.id, 'confused');
+      await githubService.createIssueComment(
         owner,
         repo,
         pullNumber,
-        comments,
-        summaryComment
+        `@${sender} \`/${command.name}\` requires **${config.COMMAND_MIN_PERMISSION}** access to this repository.`
       );
 
-      // Mark review as completed
-      await review.markCompleted(githubReview.id);
+      return res.status(200).json({ message: 'Permission denied', command: command.name });
+    }
 
-      logger.info('Code review completed successfully', {
-        owner,
-        repo,
-        pullNumber,
-        reviewId,
-        commentsCount: comments.length,
-        githubReviewId: githubReview.id
-      });
+    try {
+      const result = await this.runCommand(command, { owner, repo, pullNumber, repository, sender });
 
+      await githubService.addCommentReaction(owner, repo, comment.id, result.reaction);
+      if (result.reply) {
+        await githubService.createIssueComment(owner, repo, pullNumber, `@${sender} ${result.reply}`);
+      }
+
+      return res.status(200).json({
+        message: result.message,
+        command: command.name,
+        reviewId: result.reviewId
+      });
     } catch (error) {
-      logger.error('Code review process failed', {
+      logger.error('Slash command failed', {
+        command: command.name,
         owner,
         repo,
         pullNumber,
-        reviewId,
-        error: error.message,
-        stack: error.stack
+        error: error.message
       });
 
-      // Post fallback comment if Gemini API is overloaded
-      if (error.message.includes('503') || error.message.includes('overloaded')) {
-        try {
-          await githubService.postFallbackComment(owner, repo, pullNumber);
-          logger.info('Posted fallback comment due to AI overload', { owner, repo, pullNumber });
-        } catch (fallbackError) {
-          logger.error('Failed to post fallback comment', { error: fallbackError.message });
+      await githubService.addCommentReaction(owner, repo, comment.id, 'confused');
+      throw error;
+    }
+  }
+
+  /**
+   * Check a repository permission level against COMMAND_MIN_PERMISSION
+   * @param {string} permission - admin, maintain, write, triage, read or none
+   * @returns {boolean} True if the user may run commands
+   */
+  hasRequiredPermission(permission) {
+    const levels = ['none', 'read', 'triage', 'write', 'maintain', 'admin'];
+    return levels.indexOf(permission) >= levels.indexOf(config.COMMAND_MIN_PERMISSION);
+  }
+
+  /**
+   * Execute a parsed slash command
+   * @param {Object} command - Parsed command
+   * @param {Object} context - Pull request context
+   * @returns {Promise<{message: string, reaction: string, reply: string|null, reviewId: string}>} Outcome
+   */
+  async runCommand(command, { owner, repo, pullNumber, repository, sender, trigger = `command.${command.name}` }) {
+    let review = await Review.findByPR(owner, repo, pullNumber);
+
+    // Commands can arrive before the bot ever saw the PR. The record isn't pending, or the
+    // recovery sweep would queue a review for /pause or a /retry that has nothing to retry;
+    // /review and /resume set it pending themselves when they queue one.
+    if (!review) {
+      const pullRequest = await githubService.getPullRequest(owner, repo, pullNumber);
+      review = Review.fromPullRequest(owner, repo, repository.full_name, pullRequest);
+      review.status = 'skipped';
+      review.skipReason = `Created by /${command.name} before any review`;
+      await review.save();
+    }
+
+    switch (command.name) {
+      case 'review': {
+        // Forget the last reviewed commit so the whole PR is reviewed again
+        const pullRequest = await githubService.getPullRequest(owner, repo, pullNumber);
+        review.prInfo.commitSha = pullRequest.head.sha;
+        review.lastReviewedSha = null;
+        review.status = 'pending';
+        review.errorMessage = null;
+        await review.save();
+        await jobQueue.enqueueReview(review, trigger);
+
+        return { message: 'Full review queued', reaction: 'rocket', reply: null, reviewId: review._id };
+      }
+
+      case 'retry': {
+        if (!review.canRetry()) {
+          return {
+            message: 'Nothing to retry',
+            reaction: 'confused',
+            reply: `there is no failed review to retry (current status: **${review.status}**). Use \`/review\` to run a new review.`,
+            reviewId: review._id
+          };
         }
+
+        await review.incrementRetry();
+        await jobQueue.enqueueReview(review, trigger);
+
+        return { message: 'Review retry queued', reaction: 'rocket', reply: null, reviewId: review._id };
       }
 
-      if (review) {
-        await review.markFailed(error.message);
+      case 'pause': {
+        review.paused = true;
+        review.pausedBy = sender;
+        review.pausedAt = new Date();
+        await review.save();
+
+        return {
+          message: 'Automatic reviews paused',
+          reaction: '+1',
+          reply: 'automatic reviews are paused for this pull request. Comment `/resume` to turn them back on, or `/review` to run one now.',
+          reviewId: review._id
+        };
       }
 
-      // Rethrow for upstream handling
-      throw error;
+      case 'resume': {
+        review.paused = false;
+        review.pausedBy = null;
+        review.pausedAt = null;
+
+        // Review whatever was pushed while paused
+        const pullRequest = await githubService.getPullRequest(owner, repo, pullNumber);
+        const hasNewCommits = pullRequest.head.sha !== review.lastReviewedSha;
+        review.prInfo.commitSha = pullRequest.head.sha;
+        if (hasNewCommits && !pullRequest.draft) {
+          review.status = 'pending';
+          review.errorMessage = null;
+        }
+        await review.save();
+
+        if (hasNewCommits && !pullRequest.draft) {
+          await jobQueue.enqueueReview(review, trigger);
+        }
+
+        return {
+          message: 'Automatic reviews resumed',
+          reaction: '+1',
+          reply: hasNewCommits && !pullRequest.draft
+            ? 'automatic reviews are back on. Reviewing the commits pushed since the last review now.'
+            : 'automatic reviews are back on.',
+          reviewId: review._id
+        };
+      }
+
+      default:
+        throw new AppError(`Unknown command /${command.name}`, 400);
     }
   }
 
@@ -340,6 +569,8 @@ class GitHubWebhookController {
       throw new AppError('Review not found', 404);
     }
 
+    const job = await ReviewJob.findLatestForReview(review._id);
+
     return res.json({
       reviewId: review._id,
       pullRequest: {
@@ -356,7 +587,24 @@ class GitHubWebhookController {
       reviewCompletedAt: review.reviewCompletedAt,
       retryCount: review.retryCount,
       errorMessage: review.errorMessage,
-      githubReviewId: review.githubReviewId
+      skipReason: review.skipReason,
+      usage: review.usage?.calls ? review.usage : null,
+      githubReviewId: review.githubReviewId,
+      lastReviewedSha: review.lastReviewedSha,
+      paused: review.paused,
+      reviewScope: review.reviewScope,
+      checkRun: review.checkRun?.id ? review.checkRun : null,
+      verdict: review.verdict || null,
+      reviewCriteria: review.reviewCriteria,
+      reviewConfig: review.reviewConfig,
+      job: job ? {
+        id: job._id,
+        status: job.status,
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        runAt: job.runAt,
+        lastError: job.lastError
+      } : null
     });
   });
 
@@ -388,21 +636,13 @@ class GitHubWebhookController {
     // Increment retry count
     await review.incrementRetry();
 
-    // Start review process
-    this.processReviewAsync(owner, repo, parseInt(prId), review._id)
-      .catch(error => {
-        logger.error('Retry review failed', {
-          owner,
-          repo,
-          prId,
-          reviewId: review._id,
-          error: error.message
-        });
-      });
+    // Queue the review again
+    const job = await jobQueue.enqueueReview(review, 'api.retry');
 
     return res.json({
       message: 'Review retry initiated',
       reviewId: review._id,
+      jobId: job?._id,
       retryCount: review.retryCount
     });
   });
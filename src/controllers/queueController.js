@@ -0,0 +1,48 @@
+const jobQueue = require('../services/jobQueue');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'dead'];
+
+class QueueController {
+  /**
+   * Get queue depth and job counts by status
+   */
+  getQueueStatus = asyncHandler(async (req, res) => {
+    const stats = await jobQueue.getStats();
+    return res.json(stats);
+  });
+
+  /**
+   * List recent review jobs
+   */
+  listJobs = asyncHandler(async (req, res) => {
+    const { status, limit } = req.query;
+
+    if (status && !JOB_STATUSES.includes(status)) {
+      throw new AppError(`Invalid status. Use one of: ${JOB_STATUSES.join(', ')}`, 400);
+    }
+
+    const jobs = await jobQueue.listJobs({ status, limit });
+
+    return res.json({
+      jobs: jobs.map(job => ({
+        id: job._id,
+        reviewId: job.review,
+        repository: `${job.owner}/${job.repo}`,
+        pullNumber: job.pullNumber,
+        trigger: job.trigger,
+        status: job.status,
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        runAt: job.runAt,
+        lockedBy: job.lockedBy,
+        leaseExpiresAt: job.leaseExpiresAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        lastError: job.lastError
+      }))
+    });
+  });
+}
+
+module.exports = new QueueController();
@@ -0,0 +1,59 @@
+const reviewQueryService = require('../services/reviewQueryService');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+
+class ReviewController {
+  /**
+   * List reviews filtered by repository, status, author and creation date
+   */
+  listReviews = asyncHandler(async (req, res) => {
+    const { reviews, nextCursor } = await reviewQueryService.listReviews(req.query);
+
+    return res.json({
+      reviews: reviews.map(review => ({
+        id: review._id,
+        repository: review.repository,
+        pullRequestId: review.pullRequestId,
+        title: review.prInfo?.title,
+        author: review.prInfo?.author,
+        status: review.status,
+        commentsCount: review.comments?.length || 0,
+        retryCount: review.retryCount,
+        errorMessage: review.errorMessage,
+        createdAt: review.createdAt,
+        updatedAt: review.updatedAt,
+        reviewStartedAt: review.reviewStartedAt,
+        reviewCompletedAt: review.reviewCompletedAt,
+        durationMs: review.status === 'completed' && review.reviewStartedAt && review.reviewCompletedAt
+          ? new Date(review.reviewCompletedAt) - new Date(review.reviewStartedAt)
+          : null
+      })),
+      nextCursor
+    });
+  });
+
+  /**
+   * Get review counts, finding breakdowns and average review duration
+   */
+  getStats = asyncHandler(async (req, res) => {
+    const { repository } = req.query;
+    const days = req.query.days !== undefined ? parseInt(req.query.days) : 30;
+
+    if (repository && !/^[\w.-]+\/[\w.-]+$/.test(repository)) {
+      throw new AppError('Invalid repository. Use "owner/repo"', 400);
+    }
+
+    if (!Number.isInteger(days) || days < 0) {
+      throw new AppError('Invalid days. Use a non-negative integer (0 for all time)', 400);
+    }
+
+    const stats = await reviewQueryService.getStats({ repository, days });
+
+    return res.json({
+      repository: repository || null,
+      days: days || null,
+      ...stats
+    });
+  });
+}
+
+module.exports = new ReviewController();
@@ -0,0 +1,72 @@
+const usageService = require('../services/usageService');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+
+const PERIODS = ['day', 'month'];
+const GROUP_BY = ['repository', 'owner'];
+
+class UsageController {
+  /**
+   * Get LLM tokens and estimated cost per day or month, by repository or org
+   */
+  getUsage = asyncHandler(async (req, res) => {
+    const { period = 'day', groupBy = 'repository', repository, owner } = req.query;
+    const days = req.query.days !== undefined ? parseInt(req.query.days) : 30;
+
+    if (!PERIODS.includes(period)) {
+      throw new AppError(`Invalid period. Use one of: ${PERIODS.join(', ')}`, 400);
+    }
+
+    if (!GROUP_BY.includes(groupBy)) {
+      throw new AppError(`Invalid groupBy. Use one of: ${GROUP_BY.join(', ')}`, 400);
+    }
+
+    if (repository && !/^[\w.-]+\/[\w.-]+$/.test(repository)) {
+      throw new AppError('Invalid repository. Use "owner/repo"', 400);
+    }
+
+    if (!Number.isInteger(days) || days < 0) {
+      throw new AppError('Invalid days. Use a non-negative integer (0 for all time)', 400);
+    }
+
+    const match = {};
+    if (repository) match.repository = repository;
+    if (owner) match.owner = String(owner);
+
+    const rows = await usageService.getRollup({
+      period,
+      groupBy,
+      match,
+      since: days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000) : undefined
+    });
+
+    return res.json({
+      period,
+      groupBy,
+      days: days || null,
+      currency: 'USD',
+      usage: rows
+    });
+  });
+
+  /**
+   * Get this period's spend against the budgets of a repository and its org
+   */
+  getBudget = asyncHandler(async (req, res) => {
+    const { repository } = req.query;
+
+    if (!repository || !/^[\w.-]+\/[\w.-]+$/.test(repository)) {
+      throw new AppError('repository query parameter is required. Use "owner/repo"', 400);
+    }
+
+    const [owner, repo] = repository.split('/');
+    const status = await usageService.checkBudget(owner, repo);
+
+    return res.json({
+      repository,
+      currency: 'USD',
+      ...status
+    });
+  });
+}
+
+module.exports = new UsageController();
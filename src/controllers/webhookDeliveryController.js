@@ -0,0 +1,93 @@
+const webhookDeliveryService = require('../services/webhookDeliveryService');
+const githubWebhookController = require('./githubWebhookController');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+
+const DELIVERY_STATUSES = ['received', 'processed', 'failed'];
+
+class WebhookDeliveryController {
+  /**
+   * List recent webhook deliveries
+   */
+  listDeliveries = asyncHandler(async (req, res) => {
+    const { event, status, repository, limit } = req.query;
+
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      throw new AppError(`Invalid status. Use one of: ${DELIVERY_STATUSES.join(', ')}`, 400);
+    }
+
+    const deliveries = await webhookDeliveryService.listDeliveries({ event, status, repository, limit });
+
+    return res.json({
+      deliveries: deliveries.map(delivery => this.formatDelivery(delivery))
+    });
+  });
+
+  /**
+   * Get a webhook delivery with its headers, payload and outcome
+   */
+  getDelivery = asyncHandler(async (req, res) => {
+    const delivery = await WebhookDelivery.findByDeliveryId(req.params.deliveryId);
+    if (!delivery) {
+      throw new AppError('Webhook delivery not found', 404);
+    }
+
+    return res.json({
+      ...this.formatDelivery(delivery),
+      headers: delivery.headers,
+      payload: delivery.payload,
+      response: delivery.response
+    });
+  });
+
+  /**
+   * Run a stored webhook delivery through the webhook handler again
+   */
+  replayDelivery = asyncHandler(async (req, res) => {
+    const result = await webhookDeliveryService.replay(
+      req.params.deliveryId,
+      githubWebhookController.handleWebhook,
+      req.apiKey?.name
+    );
+
+    return res.json({
+      delivery: result.delivery.deliveryId,
+      event: result.delivery.event,
+      statusCode: result.statusCode,
+      response: result.response,
+      error: result.error || null,
+      durationMs: result.durationMs
+    });
+  });
+
+  /**
+   * Shape a delivery for API responses
+   * @param {Object} delivery - WebhookDelivery document
+   * @returns {Object} Delivery summary
+   */
+  formatDelivery(delivery) {
+    return {
+      delivery: delivery.deliveryId,
+      event: delivery.event,
+      action: delivery.action,
+      repository: delivery.repository,
+      status: delivery.status,
+      statusCode: delivery.statusCode,
+      error: delivery.error,
+      receivedAt: delivery.receivedAt,
+      processedAt: delivery.processedAt,
+      durationMs: delivery.durationMs,
+      redeliveries: delivery.redeliveries,
+      lastRedeliveredAt: delivery.lastRedeliveredAt,
+      replays: (delivery.replays || []).map(replay => ({
+        replayedAt: replay.replayedAt,
+        replayedBy: replay.replayedBy,
+        statusCode: replay.statusCode,
+        error: replay.error,
+        durationMs: replay.durationMs
+      }))
+    };
+  }
+}
+
+module.exports = new WebhookDeliveryController();
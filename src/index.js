@@ -6,8 +6,19 @@ const logger = require('./utils/logger');
 const config = require('./config/config');
 const database = require('./utils/database');
 const githubWebhookController = require('./controllers/githubWebhookController');
+const queueController = require('./controllers/queueController');
+const feedbackController = require('./controllers/feedbackController');
+const reviewController = require('./controllers/reviewController');
+const dashboardController = require('./controllers/dashboardController');
+const apiKeyController = require('./controllers/apiKeyController');
+const usageController = require('./controllers/usageController');
+const webhookDeliveryController = require('./controllers/webhookDeliveryController');
+const reviewWorker = require('./workers/reviewWorker');
+const metricsService = require('./services/metricsService');
 const { errorHandler } = require('./middleware/errorHandler');
 const webhookValidator = require('./middleware/webhookValidator');
+const recordWebhookDelivery = require('./middleware/webhookDeliveryLog');
+const { authenticate, authenticateDashboard, requireScope, requireApiKeyCredential } = require('./middleware/auth');
 
 const app = express();
 
@@ -30,7 +41,8 @@ app.use(cors({
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  skip: req => req.path === '/metrics' // scraped every few seconds by Prometheus
 });
 app.use(limiter);
 
@@ -50,12 +62,42 @@ app.get('/health', async (req, res) => {
   });
 });
 
-// GitHub webhook endpoint
-app.post('/webhook/github', webhookValidator, githubWebhookController.handleWebhook);
+// Prometheus metrics
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', metricsService.contentType);
+  res.send(metricsService.render());
+});
 
-// API endpoints
-app.get('/api/reviews/:prId', githubWebhookController.getReviewStatus);
-app.post('/api/reviews/:prId/retry', githubWebhookController.retryReview);
+// GitHub webhook endpoint; every delivery is logged and redeliveries are answered from the log
+app.post('/webhook/github', webhookValidator, recordWebhookDelivery, githubWebhookController.handleWebhook);
+
+// API endpoints: every route needs an API key (or a JWT issued for one) with the right scope
+app.use('/api', authenticate);
+app.get('/api/reviews', requireScope('reviews:read'), reviewController.listReviews);
+app.get('/api/reviews/:prId', requireScope('reviews:read'), githubWebhookController.getReviewStatus);
+app.post('/api/reviews/:prId/retry', requireScope('reviews:write'), githubWebhookController.retryReview);
+app.get('/api/queue', requireScope('reviews:read'), queueController.getQueueStatus);
+app.get('/api/queue/jobs', requireScope('reviews:read'), queueController.listJobs);
+app.get('/api/feedback/stats', requireScope('reviews:read'), feedbackController.getFeedbackStats);
+app.get('/api/stats', requireScope('reviews:read'), reviewController.getStats);
+app.get('/api/usage', requireScope('reviews:read'), usageController.getUsage);
+app.get('/api/usage/budget', requireScope('reviews:read'), usageController.getBudget);
+app.post('/api/auth/token', requireApiKeyCredential, apiKeyController.createToken);
+app.get('/api/keys', requireScope('admin'), apiKeyController.listKeys);
+app.post('/api/keys', requireScope('admin'), apiKeyController.createKey);
+app.delete('/api/keys/:id', requireScope('admin'), apiKeyController.revokeKey);
+app.get('/api/webhooks/deliveries', requireScope('admin'), webhookDeliveryController.listDeliveries);
+app.get('/api/webhooks/deliveries/:deliveryId', requireScope('admin'), webhookDeliveryController.getDelivery);
+app.post('/api/webhooks/deliveries/:deliveryId/replay', requireScope('admin'), webhookDeliveryController.replayDelivery);
+
+// Dashboard: signed in with an API key, kept in a session cookie
+app.get('/dashboard/login', dashboardController.showLogin);
+app.post('/dashboard/login', dashboardController.login);
+app.post('/dashboard/logout', dashboardController.logout);
+app.get('/dashboard', authenticateDashboard, requireScope('reviews:read'), dashboardController.listReviews);
+app.get('/dashboard/failures', authenticateDashboard, requireScope('reviews:read'), dashboardController.listFailures);
+app.get('/dashboard/reviews/:id', authenticateDashboard, requireScope('reviews:read'), dashboardController.getReview);
+app.post('/dashboard/reviews/:id/retry', authenticateDashboard, requireScope('reviews:write'), dashboardController.retryReview);
 
 // Error handling middleware
 app.use(errorHandler);
@@ -70,12 +112,17 @@ const PORT = config.PORT || 3000;
 const server = app.listen(PORT, () => {
   logger.info(`🤖 Code Review Agent started on port ${PORT}`);
   logger.info(`🔗 Webhook URL: ${config.WEBHOOK_URL || `http://localhost:${PORT}/webhook/github`}`);
+
+  if (config.WORKER_ENABLED && config.NODE_ENV !== 'test') {
+    reviewWorker.start();
+  }
 });
 
 // Graceful shutdown
 const gracefulShutdown = (signal) => {
   logger.info(`${signal} received, shutting down gracefully`);
   server.close(async () => {
+    await reviewWorker.stop();
     await database.disconnect();
     process.exit(0);
   });
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const ApiKey = require('../models/ApiKey');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { asyncHandler, AppError } = require('./errorHandler');
+
+const SESSION_COOKIE = 'cra_session';
+const LAST_USED_RESOLUTION = 60 * 1000; // don't write lastUsedAt more than once a minute per key
+
+let fallbackSecret = null;
+
+/**
+ * Secret used to sign JWTs
+ * Without JWT_SECRET a random per-process secret is used, so tokens don't survive a restart
+ * and aren't accepted by other instances.
+ * @returns {string} Signing secret
+ */
+function getJwtSecret() {
+  if (config.JWT_SECRET) {
+    return config.JWT_SECRET;
+  }
+  if (!fallbackSecret) {
+    fallbackSecret = crypto.randomBytes(32).toString('hex');
+    logger.warn('JWT_SECRET is not set; using a random secret, sessions end when the server restarts');
+  }
+  return fallbackSecret;
+}
+
+/**
+ * Issue a JWT for an API key
+ * The token carries the key ID, and the key is checked again on every request,
+ * so revoking the key also ends its sessions.
+ * @param {Object} apiKey - Active ApiKey document
+ * @returns {{token: string, expiresIn: string}} Signed token
+ */
+function issueToken(apiKey) {
+  const token = jwt.sign({ name: apiKey.name }, getJwtSecret(), {
+    subject: String(apiKey._id),
+    expiresIn: config.JWT_EXPIRES_IN
+  });
+  return { token, expiresIn: config.JWT_EXPIRES_IN };
+}
+
+/**
+ * Whether a bearer credential is a JWT rather than a plain API key
+ * @param {string} credential - Plain API key or JWT
+ * @returns {boolean} True for a JWT
+ */
+function isToken(credential) {
+  return credential.split('.').length === 3;
+}
+
+/**
+ * Resolve a bearer credential (API key or JWT) to its active API key
+ * @param {string} credential - Plain API key or JWT
+ * @returns {Promise<Object>} ApiKey document
+ */
+async function resolveApiKey(credential) {
+  const isJwt = isToken(credential);
+  // jwt.verify throws JsonWebTokenError / TokenExpiredError, which errorHandler turns into 401s
+  const apiKey = isJwt
+    ? await ApiKey.findById(jwt.verify(credential, getJwtSecret()).sub)
+    : await ApiKey.findByKey(credential);
+
+  if (!apiKey || !apiKey.isActive()) {
+    throw new AppError(isJwt ? 'Invalid token' : 'Invalid API key', 401);
+  }
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION) {
+    ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() }).catch(error => {
+      logger.warn('Failed to record API key use', { keyId: apiKey._id, error: error.message });
+    });
+  }
+
+  return apiKey;
+}
+
+function parseCookies(header) {
+  return Object.fromEntries((header || '').split(';')
+    .map(part => part.trim().split('='))
+    .filter(([name, value]) => name && value !== undefined)
+    .map(([name, ...value]) => [name, decodeURIComponent(value.join('='))]));
+}
+
+/**
+ * Require `Authorization: Bearer <API key or JWT>` and attach the key as req.apiKey
+ * req.authMethod tells whether the request sent the key itself (`api_key`) or a token (`jwt`).
+ */
+const authenticate = asyncHandler(async (req, res, next) => {
+  const [scheme, credential] = (req.get('Authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !credential) {
+    throw new AppError('Authentication required. Send "Authorization: Bearer <API key>"', 401);
+  }
+
+  req.apiKey = await resolveApiKey(credential);
+  req.authMethod = isToken(credential) ? 'jwt' : 'api_key';
+  next();
+});
+
+/**
+ * Require a dashboard session cookie; browsers without one are sent to the login page
+ */
+const authenticateDashboard = asyncHandler(async (req, res, next) => {
+  const token = parseCookies(req.get('Cookie'))[SESSION_COOKIE];
+
+  try {
+    req.apiKey = token ? await resolveApiKey(token) : null;
+  } catch {
+    req.apiKey = null;
+  }
+
+  if (!req.apiKey) {
+    return res.redirect(303, '/dashboard/login');
+  }
+
+  next();
+});
+
+/**
+ * Require a scope on the authenticated key; admin keys have every scope
+ * @param {string} scope - reviews:read, reviews:write or admin
+ * @returns {Function} Express middleware
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.apiKey?.hasScope(scope)) {
+      return next(new AppError(`API key is missing the "${scope}" scope`, 403));
+    }
+    next();
+  };
+}
+
+/**
+ * Require the request to be authenticated with the API key itself, not a JWT
+ * Tokens are only issued for a key: otherwise a leaked token could be renewed forever,
+ * even after its expiry was meant to end it.
+ */
+function requireApiKeyCredential(req, res, next) {
+  if (req.authMethod !== 'api_key') {
+    return next(new AppError('This endpoint requires an API key; tokens can\'t be exchanged for new tokens', 403));
+  }
+  next();
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  authenticate,
+  authenticateDashboard,
+  requireScope,
+  requireApiKeyCredential,
+  issueToken,
+  isToken,
+  resolveApiKey
+};
@@ -92,11 +92,12 @@ function notFoundHandler(req, res) {
 
 /**
  * Async error wrapper
- * Wraps async route handlers to catch errors automatically
+ * Wraps async route handlers to catch errors automatically. The returned promise
+ * settles once the handler is done, for callers outside Express such as webhook replays.
  */
 function asyncHandler(fn) {
   return (req, res, next) => {
-    Promise.resolve(fn(req, res, next)).catch(next);
+    return Promise.resolve(fn(req, res, next)).catch(next);
   };
 }
 
@@ -177,11 +178,71 @@ class GeminiError extends AppError {
   }
 }
 
+/**
+ * LLM provider error handler
+ * Used by the HTTP-based providers (OpenAI-compatible, Ollama, mock)
+ */
+class LLMProviderError extends AppError {
+  constructor(message, statusCode = 500, provider = null, retryable = false, providerError = null) {
+    super(message, statusCode);
+    this.name = 'LLMProviderError';
+    this.provider = provider;
+    this.retryable = retryable;
+    this.providerError = providerError;
+  }
+
+  static fromHttpError(provider, error) {
+    const status = error.response?.status;
+
+    if (status) {
+      const detail = error.response.data?.error?.message || error.response.data?.error || error.message;
+      const message = `${provider} API error (${status}): ${typeof detail === 'string' ? detail : JSON.stringify(detail)}`;
+      const retryable = [429, 500, 502, 503, 504].includes(status);
+      return new LLMProviderError(message, status >= 500 ? 503 : status, provider, retryable, error);
+    }
+
+    if (error.request || error.code === 'ECONNABORTED' || error.code === 'ECONNREFUSED') {
+      return new LLMProviderError(`${provider} API unavailable: ${error.message}`, 503, provider, true, error);
+    }
+
+    return new LLMProviderError(error.message || `${provider} processing error`, 500, provider, false, error);
+  }
+}
+
+/**
+ * LLM output that couldn't be parsed into valid findings, even after a repair attempt
+ * Not retryable: the review is recorded as parse_failed instead of as a clean PR.
+ */
+class ReviewParseError extends AppError {
+  constructor(message, provider = null, validationErrors = []) {
+    super(message, 502);
+    this.name = 'ReviewParseError';
+    this.provider = provider;
+    this.retryable = false;
+    this.validationErrors = validationErrors;
+  }
+}
+
+/**
+ * The worker running a review lost its job lease, so another worker may run it now
+ * The run stops before posting anything; the job belongs to the new lease holder.
+ */
+class LeaseLostError extends AppError {
+  constructor(message = 'Review job lease lost') {
+    super(message, 409);
+    this.name = 'LeaseLostError';
+    this.retryable = false;
+  }
+}
+
 module.exports = {
   errorHandler,
   notFoundHandler,
   asyncHandler,
   AppError,
   GitHubError,
-  GeminiError
+  GeminiError,
+  LLMProviderError,
+  ReviewParseError,
+  LeaseLostError
 };
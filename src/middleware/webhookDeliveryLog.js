@@ -0,0 +1,65 @@
+const webhookDeliveryService = require('../services/webhookDeliveryService');
+const database = require('../utils/database');
+const logger = require('../utils/logger');
+
+/**
+ * Middleware to store every webhook delivery and answer redeliveries idempotently
+ * Runs after signature and payload validation. A delivery ID that was already processed
+ * gets the stored outcome back instead of being processed again, so a redelivered
+ * pull_request.opened can't start a second review. Failed and abandoned deliveries are
+ * processed again (see webhookDeliveryService.recordReceived). Without a database the
+ * delivery is processed unlogged rather than rejected.
+ */
+async function recordWebhookDelivery(req, res, next) {
+  if (!database.isConnected) {
+    logger.warn('Database not connected - webhook delivery not logged', { delivery: req.webhook.delivery });
+    return next();
+  }
+
+  let result;
+  try {
+    result = await webhookDeliveryService.recordReceived(req.webhook, req.headers);
+  } catch (error) {
+    logger.warn('Failed to log webhook delivery', { delivery: req.webhook.delivery, error: error.message });
+    return next();
+  }
+
+  const { delivery, duplicate } = result;
+
+  if (duplicate) {
+    if (delivery.status === 'received') {
+      return res.status(202).json({
+        message: 'Delivery already received and still being processed',
+        delivery: delivery.deliveryId,
+        duplicate: true
+      });
+    }
+
+    return res.status(delivery.statusCode || 200).json({
+      ...delivery.response,
+      delivery: delivery.deliveryId,
+      duplicate: true
+    });
+  }
+
+  // Capture what the handler answers so redeliveries can get the same response
+  const startedAt = Date.now();
+  const json = res.json.bind(res);
+  let responseBody;
+  res.json = body => {
+    responseBody = body;
+    return json(body);
+  };
+
+  res.on('finish', () => {
+    webhookDeliveryService.recordOutcome(delivery, {
+      statusCode: res.statusCode,
+      response: responseBody,
+      durationMs: Date.now() - startedAt
+    });
+  });
+
+  next();
+}
+
+module.exports = recordWebhookDelivery;
@@ -141,6 +141,37 @@ function validateWebhookPayload(req, res, next) {
         }
         break;
       
+      case 'issue_comment':
+        if (!payload.comment || !payload.issue || !payload.repository) {
+          return res.status(400).json({ error: 'Invalid issue_comment payload' });
+        }
+        break;
+      
+      case 'pull_request_review_comment':
+        if (!payload.comment || !payload.pull_request || !payload.repository) {
+          return res.status(400).json({ error: 'Invalid pull_request_review_comment payload' });
+        }
+        break;
+
+      case 'pull_request_review_thread':
+        if (!payload.thread || !payload.pull_request || !payload.repository) {
+          return res.status(400).json({ error: 'Invalid pull_request_review_thread payload' });
+        }
+        break;
+
+      case 'check_run':
+        if (!payload.check_run || !payload.repository) {
+          return res.status(400).json({ error: 'Invalid check_run payload' });
+        }
+        break;
+
+      case 'installation':
+      case 'installation_repositories':
+        if (!payload.installation) {
+          return res.status(400).json({ error: `Invalid ${event} payload` });
+        }
+        break;
+
       case 'ping':
         // Ping events are valid with minimal payload
         break;
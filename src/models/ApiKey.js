@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const API_KEY_SCOPES = ['reviews:read', 'reviews:write', 'admin'];
+const KEY_PREFIX = 'cra_';
+
+/**
+ * API key for the /api routes
+ * Only a SHA-256 hash of the key is stored; the plain key is returned once on creation.
+ * Keys are 256 random bits, so a fast hash is enough to make a leaked database useless.
+ */
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First characters of the key, shown in listings to tell keys apart
+  prefix: String,
+  scopes: {
+    type: [{ type: String, enum: API_KEY_SCOPES }],
+    validate: [scopes => scopes.length > 0, 'At least one scope is required']
+  },
+  createdBy: String,
+  expiresAt: Date,
+  lastUsedAt: Date,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+// Instance methods
+apiKeySchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+/**
+ * Check whether the key grants a scope; admin grants every scope
+ * @param {string} scope - Required scope
+ * @returns {boolean} True if the key may use the scope
+ */
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes('admin') || this.scopes.includes(scope);
+};
+
+apiKeySchema.methods.revoke = function() {
+  this.revokedAt = new Date();
+  return this.save();
+};
+
+// Static methods
+apiKeySchema.statics.hashKey = function(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+/**
+ * Create a key and return the plain key alongside the stored document
+ * @param {Object} fields - name, scopes, createdBy and optional expiresAt
+ * @returns {Promise<{apiKey: Object, key: string}>} Saved document and the plain key
+ */
+apiKeySchema.statics.generate = async function(fields) {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const apiKey = await this.create({
+    ...fields,
+    keyHash: this.hashKey(key),
+    prefix: key.substring(0, KEY_PREFIX.length + 6)
+  });
+  return { apiKey, key };
+};
+
+apiKeySchema.statics.findByKey = function(key) {
+  return this.findOne({ keyHash: this.hashKey(key) });
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
+module.exports.API_KEY_SCOPES = API_KEY_SCOPES;
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+const feedbackReplySchema = new mongoose.Schema({
+  githubCommentId: Number,
+  author: String,
+  body: String,
+  verdict: {
+    type: String,
+    enum: ['accepted', 'false_positive', 'neutral'],
+    default: 'neutral'
+  },
+  createdAt: Date
+}, { _id: false });
+
+/**
+ * Developer feedback on one posted finding
+ * Kept outside Review.comments so it survives re-reviews, which replace that array;
+ * `review` and `commentId` point back at the entry the comment was posted from.
+ */
+const findingFeedbackSchema = new mongoose.Schema({
+  review: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Review',
+    required: true
+  },
+  commentId: mongoose.Schema.Types.ObjectId,
+  repository: {
+    type: String,
+    required: true
+  },
+  pullRequestId: {
+    type: Number,
+    required: true
+  },
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  githubCommentId: Number,
+  file: String,
+  line: Number,
+  category: String,
+  severity: String,
+
+  // Feedback signals
+  reactions: {
+    up: { type: Number, default: 0 },
+    down: { type: Number, default: 0 },
+    syncedAt: Date
+  },
+  replies: [feedbackReplySchema],
+  resolution: {
+    type: String,
+    enum: ['open', 'resolved_with_change', 'resolved_without_change'],
+    default: 'open'
+  },
+  resolvedBy: String,
+  resolvedAt: Date,
+
+  // Derived from the signals above by updateVerdict()
+  verdict: {
+    type: String,
+    enum: ['pending', 'accepted', 'false_positive'],
+    default: 'pending'
+  }
+}, {
+  timestamps: true
+});
+
+findingFeedbackSchema.index({ repository: 1, pullRequestId: 1, fingerprint: 1 }, { unique: true });
+findingFeedbackSchema.index({ githubCommentId: 1 });
+findingFeedbackSchema.index({ repository: 1, category: 1, createdAt: -1 });
+
+// Instance methods
+
+/**
+ * Derive the verdict from the collected signals
+ * An explicit reply wins, then the thumbs balance, then a resolution with a code change.
+ */
+findingFeedbackSchema.methods.updateVerdict = function() {
+  const replyVerdicts = this.replies.map(reply => reply.verdict).filter(verdict => verdict !== 'neutral');
+  const lastReplyVerdict = replyVerdicts[replyVerdicts.length - 1];
+
+  if (lastReplyVerdict) {
+    this.verdict = lastReplyVerdict;
+  } else if (this.reactions.down > this.reactions.up) {
+    this.verdict = 'false_positive';
+  } else if (this.reactions.up > this.reactions.down || this.resolution === 'resolved_with_change') {
+    this.verdict = 'accepted';
+  } else {
+    this.verdict = 'pending';
+  }
+
+  return this.verdict;
+};
+
+// Static methods
+findingFeedbackSchema.statics.findByGithubCommentId = function(githubCommentId) {
+  return this.findOne({ githubCommentId });
+};
+
+findingFeedbackSchema.statics.findForPR = function(repository, pullRequestId) {
+  return this.find({ repository, pullRequestId });
+};
+
+const FindingFeedback = mongoose.model('FindingFeedback', findingFeedbackSchema);
+
+module.exports = FindingFeedback;
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+/**
+ * LLM tokens and estimated cost of one review run
+ * Review documents are reused across re-reviews of a PR, so spend is kept in this
+ * ledger for daily/monthly rollups and budget checks.
+ */
+const llmUsageSchema = new mongoose.Schema({
+  review: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Review',
+    required: true
+  },
+  repository: {
+    type: String,
+    required: true
+  },
+  owner: {
+    type: String,
+    required: true
+  },
+  pullRequestId: Number,
+  provider: String,
+  model: String,
+  calls: {
+    type: Number,
+    default: 0
+  },
+  promptTokens: {
+    type: Number,
+    default: 0
+  },
+  completionTokens: {
+    type: Number,
+    default: 0
+  },
+  totalTokens: {
+    type: Number,
+    default: 0
+  },
+  // Estimated USD; 0 with priced=false when the model has no price configured
+  cost: {
+    type: Number,
+    default: 0
+  },
+  priced: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+llmUsageSchema.index({ repository: 1, createdAt: -1 });
+llmUsageSchema.index({ owner: 1, createdAt: -1 });
+
+/**
+ * Total estimated spend since a date
+ * @param {Object} match - Filter, e.g. {repository} or {owner}
+ * @param {Date} since - Start of the period
+ * @returns {Promise<number>} Spend in USD
+ */
+llmUsageSchema.statics.getSpendSince = async function(match, since) {
+  const [result] = await this.aggregate([
+    { $match: { ...match, createdAt: { $gte: since } } },
+    { $group: { _id: null, cost: { $sum: '$cost' } } }
+  ]);
+  return result?.cost || 0;
+};
+
+const LlmUsage = mongoose.model('LlmUsage', llmUsageSchema);
+
+module.exports = LlmUsage;
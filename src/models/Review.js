@@ -1,4 +1,11 @@
 const mongoose = require('mongoose');
+const { SEVERITIES, CATEGORIES, DEFAULT_CATEGORY, CATEGORY_ALIASES, SIDES, normalizeCategory } = require('../utils/reviewSchema');
+
+// Statuses of reviews that ended without posting and can be retried
+const RETRYABLE_STATUSES = ['failed', 'parse_failed'];
+
+// Events a GitHub pull request review can be submitted with
+const REVIEW_EVENTS = ['COMMENT', 'APPROVE', 'REQUEST_CHANGES'];
 
 const reviewCommentSchema = new mongoose.Schema({
   file: {
@@ -9,15 +16,31 @@ const reviewCommentSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  startLine: {
+    type: Number,
+    default: null
+  },
+  side: {
+    type: String,
+    enum: SIDES,
+    default: 'RIGHT'
+  },
+  // False when the line isn't part of the PR diff and the finding was listed in the summary instead
+  inline: {
+    type: Boolean,
+    default: true
+  },
   severity: {
     type: String,
-    enum: ['error', 'warning', 'suggestion'],
+    enum: SEVERITIES,
     default: 'suggestion'
   },
+  // New values are mapped onto CATEGORIES; the aliases stay valid for reviews stored before
   category: {
     type: String,
-    enum: ['security', 'performance', 'readability', 'best-practices', 'testing', 'documentation', 'bug', 'maintainability'],
-    default: 'general'
+    enum: [...CATEGORIES, ...Object.keys(CATEGORY_ALIASES)],
+    set: normalizeCategory,
+    default: DEFAULT_CATEGORY
   },
   comment: {
     type: String,
@@ -26,9 +49,38 @@ const reviewCommentSchema = new mongoose.Schema({
   suggestion: {
     type: String,
     default: null
-  }
+  },
+  // Stable across re-reviews: file + normalized code + normalized finding text
+  fingerprint: {
+    type: String,
+    index: true
+  },
+  // Inline comment posted for this finding; feedback is tracked in FindingFeedback
+  githubCommentId: Number,
+  // Already raised in an open thread from an earlier review, so not posted again
+  alreadyRaised: {
+    type: Boolean,
+    default: false
+  },
+  // True when the suggestion was posted as a GitHub suggested change
+  suggestionApplicable: {
+    type: Boolean,
+    default: false
+  },
+  // Set for findings from deterministic tools ('eslint', 'secret-scanner'); unset for LLM findings
+  source: String,
+  ruleId: String
 });
 
+// Enough of a finding to decide the review verdict of a later incremental run
+const openFindingSchema = new mongoose.Schema({
+  file: String,
+  line: Number,
+  severity: String,
+  category: String,
+  fingerprint: String
+}, { _id: false });
+
 const reviewSchema = new mongoose.Schema({
   // PR Identification
   pullRequestId: {
@@ -65,12 +117,33 @@ const reviewSchema = new mongoose.Schema({
   // Status Tracking
   status: {
     type: String,
-    enum: ['pending', 'in_progress', 'completed', 'failed', 'skipped'],
+    enum: ['pending', 'in_progress', 'completed', 'failed', 'skipped', 'parse_failed'],
     default: 'pending'
   },
   
   // GitHub Integration
   githubReviewId: Number,
+
+  // Automatic reviews paused with the /pause command
+  paused: {
+    type: Boolean,
+    default: false
+  },
+  pausedBy: String,
+  pausedAt: Date,
+
+  // Head commit covered by the last completed review; later pushes are reviewed from here
+  lastReviewedSha: String,
+  reviewScope: {
+    mode: {
+      type: String,
+      enum: ['full', 'incremental'],
+      default: 'full'
+    },
+    sinceSha: String,
+    commits: Number,
+    fallbackReason: String
+  },
   
   // Metadata
   reviewStartedAt: {
@@ -79,6 +152,21 @@ const reviewSchema = new mongoose.Schema({
   },
   reviewCompletedAt: Date,
   
+  // LLM tokens and estimated cost of the latest review run (history is in LlmUsage)
+  usage: {
+    provider: String,
+    model: String,
+    calls: Number,
+    promptTokens: Number,
+    completionTokens: Number,
+    totalTokens: Number,
+    estimatedCost: Number,
+    priced: Boolean
+  },
+
+  // Why the latest run was skipped, e.g. budget exceeded
+  skipReason: String,
+
   // Error Information
   errorMessage: String,
   retryCount: {
@@ -95,6 +183,44 @@ const reviewSchema = new mongoose.Schema({
     checkTesting: { type: Boolean, default: true },
     checkDocumentation: { type: Boolean, default: true }
   },
+  reviewConfig: {
+    source: {
+      type: String,
+      enum: ['default', 'repository'],
+      default: 'default'
+    },
+    model: String,
+    ignorePatterns: [String],
+    maxFilesPerPR: Number,
+    maxFileChanges: Number,
+    contextLines: Number,
+    contextMode: String,
+    checkThresholds: {
+      failOn: String,
+      neutralOn: String
+    },
+    verdictPolicy: {
+      requestChangesOn: String,
+      requestChangesCategories: [String],
+      approveUpTo: String
+    },
+    warnings: [String]
+  },
+
+  // Review event posted for the latest run and the findings it was based on: the run's own
+  // findings plus, after an incremental review, earlier ones in files it didn't re-review
+  verdict: {
+    type: String,
+    enum: REVIEW_EVENTS
+  },
+  openFindings: [openFindingSchema],
+
+  // Check run published for the reviewed head commit (GitHub App only)
+  checkRun: {
+    id: Number,
+    headSha: String,
+    conclusion: String
+  },
   
   // Files reviewed
   filesReviewed: [{
@@ -123,12 +249,16 @@ reviewSchema.methods.markInProgress = function() {
   return this.save();
 };
 
-reviewSchema.methods.markCompleted = function(githubReviewId) {
+reviewSchema.methods.markCompleted = function(githubReviewId, reviewedSha) {
   this.status = 'completed';
   this.reviewCompletedAt = new Date();
+  this.skipReason = null;
   if (githubReviewId) {
     this.githubReviewId = githubReviewId;
   }
+  if (reviewedSha) {
+    this.lastReviewedSha = reviewedSha;
+  }
   return this.save();
 };
 
@@ -139,6 +269,46 @@ reviewSchema.methods.markFailed = function(errorMessage) {
   return this.save();
 };
 
+reviewSchema.methods.markParseFailed = function(errorMessage) {
+  this.status = 'parse_failed';
+  this.errorMessage = errorMessage;
+  this.reviewCompletedAt = new Date();
+  return this.save();
+};
+
+reviewSchema.methods.canRetry = function() {
+  return RETRYABLE_STATUSES.includes(this.status);
+};
+
+reviewSchema.methods.markSkipped = function(reason) {
+  this.status = 'skipped';
+  this.skipReason = reason;
+  this.reviewCompletedAt = new Date();
+  return this.save();
+};
+
+reviewSchema.methods.markRetryScheduled = function(errorMessage) {
+  this.status = 'pending';
+  this.errorMessage = errorMessage;
+  return this.save();
+};
+
+reviewSchema.methods.applyReviewConfig = function(effectiveConfig) {
+  this.reviewCriteria = { ...effectiveConfig.reviewCriteria };
+  this.reviewConfig = {
+    source: effectiveConfig.source,
+    model: effectiveConfig.model,
+    ignorePatterns: effectiveConfig.ignorePatterns,
+    maxFilesPerPR: effectiveConfig.maxFilesPerPR,
+    maxFileChanges: effectiveConfig.maxFileChanges,
+    contextLines: effectiveConfig.contextLines,
+    contextMode: effectiveConfig.contextMode,
+    checkThresholds: effectiveConfig.checkThresholds,
+    verdictPolicy: effectiveConfig.verdictPolicy,
+    warnings: effectiveConfig.warnings
+  };
+};
+
 reviewSchema.methods.incrementRetry = function() {
   this.retryCount += 1;
   this.status = 'pending';
@@ -147,6 +317,23 @@ reviewSchema.methods.incrementRetry = function() {
 };
 
 // Static methods
+reviewSchema.statics.fromPullRequest = function(owner, repo, repositoryFullName, pullRequest) {
+  return new this({
+    pullRequestId: pullRequest.number,
+    repository: repositoryFullName,
+    owner,
+    repo,
+    prInfo: {
+      title: pullRequest.title,
+      description: pullRequest.body,
+      author: pullRequest.user.login,
+      baseBranch: pullRequest.base.ref,
+      headBranch: pullRequest.head.ref,
+      commitSha: pullRequest.head.sha
+    }
+  });
+};
+
 reviewSchema.statics.findByPR = function(owner, repo, pullRequestId) {
   return this.findOne({
     owner,
@@ -156,28 +343,89 @@ reviewSchema.statics.findByPR = function(owner, repo, pullRequestId) {
 };
 
 reviewSchema.statics.getPendingReviews = function() {
-  return this.find({ status: 'pending' })
+  return this.find({ status: 'pending', paused: { $ne: true } })
     .sort({ createdAt: 1 })
     .limit(10);
 };
 
-reviewSchema.statics.getReviewStats = function(days = 30) {
+/**
+ * Aggregate review counts, finding breakdowns and review durations
+ * @param {number} [days=30] - Only reviews created in the last N days (0 for all time)
+ * @param {Object} [match={}] - Additional filter, e.g. {repository}
+ * @returns {Promise<Object>} byStatus, byCategory, bySeverity and duration facets
+ */
+reviewSchema.statics.getReviewStats = async function(days = 30, match = {}) {
+  const filter = { ...match };
+  if (days) {
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - days);
+    filter.createdAt = { $gte: startDate };
+  }
+
+  const [stats] = await this.aggregate([
+    { $match: filter },
+    {
+      $facet: {
+        byStatus: [
+          {
+            $group: {
+              _id: '$status',
+              count: { $sum: 1 },
+              avgRetries: { $avg: '$retryCount' }
+            }
+          }
+        ],
+        byCategory: [
+          { $unwind: '$comments' },
+          { $group: { _id: '$comments.category', count: { $sum: 1 } } }
+        ],
+        bySeverity: [
+          { $unwind: '$comments' },
+          { $group: { _id: '$comments.severity', count: { $sum: 1 } } }
+        ],
+        duration: [
+          { $match: { status: 'completed', reviewStartedAt: { $ne: null }, reviewCompletedAt: { $ne: null } } },
+          { $project: { durationMs: { $subtract: ['$reviewCompletedAt', '$reviewStartedAt'] } } },
+          {
+            $group: {
+              _id: null,
+              count: { $sum: 1 },
+              avgMs: { $avg: '$durationMs' },
+              minMs: { $min: '$durationMs' },
+              maxMs: { $max: '$durationMs' }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  return stats;
+};
+
+/**
+ * Count findings per day and severity
+ * @param {number} [days=30] - Only reviews created in the last N days
+ * @param {Object} [match={}] - Additional filter, e.g. {repository}
+ * @returns {Promise<Array>} Rows of {_id: {day: 'YYYY-MM-DD', severity}, count}, oldest first
+ */
+reviewSchema.statics.getFindingsTimeline = function(days = 30, match = {}) {
   const startDate = new Date();
   startDate.setDate(startDate.getDate() - days);
-  
+
   return this.aggregate([
-    {
-      $match: {
-        createdAt: { $gte: startDate }
-      }
-    },
+    { $match: { ...match, createdAt: { $gte: startDate } } },
+    { $unwind: '$comments' },
     {
       $group: {
-        _id: '$status',
-        count: { $sum: 1 },
-        avgRetries: { $avg: '$retryCount' }
+        _id: {
+          day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+          severity: '$comments.severity'
+        },
+        count: { $sum: 1 }
       }
-    }
+    },
+    { $sort: { '_id.day': 1 } }
   ]);
 };
 
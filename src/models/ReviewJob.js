@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const reviewJobSchema = new mongoose.Schema({
+  review: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Review',
+    required: true
+  },
+  owner: {
+    type: String,
+    required: true
+  },
+  repo: {
+    type: String,
+    required: true
+  },
+  pullNumber: {
+    type: Number,
+    required: true
+  },
+  trigger: {
+    type: String,
+    default: 'webhook'
+  },
+
+  // Queue State
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'dead'],
+    default: 'queued'
+  },
+  // True while queued or running; backs the one-active-job-per-review index
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Set when a new trigger arrives while the job is running
+  rerunRequested: {
+    type: Boolean,
+    default: false
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+
+  // Lease
+  lockedBy: String,
+  leaseExpiresAt: Date,
+  heartbeatAt: Date,
+
+  // Timing and errors
+  startedAt: Date,
+  finishedAt: Date,
+  lastError: String
+}, {
+  timestamps: true
+});
+
+reviewJobSchema.index({ status: 1, runAt: 1 });
+reviewJobSchema.index({ status: 1, leaseExpiresAt: 1 });
+reviewJobSchema.index({ review: 1 }, { unique: true, partialFilterExpression: { active: true } });
+
+// Static methods
+reviewJobSchema.statics.findActiveForReview = function(reviewId) {
+  return this.findOne({ review: reviewId, active: true });
+};
+
+reviewJobSchema.statics.findLatestForReview = function(reviewId) {
+  return this.findOne({ review: reviewId }).sort({ createdAt: -1 });
+};
+
+const ReviewJob = mongoose.model('ReviewJob', reviewJobSchema);
+
+module.exports = ReviewJob;
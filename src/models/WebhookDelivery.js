@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+
+/**
+ * One GitHub webhook delivery: what was received and how it was handled
+ * Keyed by X-GitHub-Delivery, which GitHub keeps when it redelivers an event.
+ */
+const webhookDeliverySchema = new mongoose.Schema({
+  deliveryId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  action: String,
+  repository: String,
+  installationId: Number,
+  headers: {
+    type: Object,
+    default: {}
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // Processing outcome
+  status: {
+    type: String,
+    enum: ['received', 'processed', 'failed'],
+    default: 'received'
+  },
+  statusCode: Number,
+  response: mongoose.Schema.Types.Mixed,
+  error: String,
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  processedAt: Date,
+  durationMs: Number,
+
+  // Repeated deliveries answered from the stored outcome
+  redeliveries: {
+    type: Number,
+    default: 0
+  },
+  lastRedeliveredAt: Date,
+
+  // Manual re-runs through the admin API, newest last
+  replays: [{
+    replayedAt: Date,
+    replayedBy: String,
+    statusCode: Number,
+    response: mongoose.Schema.Types.Mixed,
+    error: String,
+    durationMs: Number
+  }]
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ event: 1, createdAt: -1 });
+webhookDeliverySchema.index({ repository: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, createdAt: -1 });
+
+// Payloads are large; keep them only as long as they are useful for debugging
+if (config.WEBHOOK_DELIVERY_RETENTION_DAYS > 0) {
+  webhookDeliverySchema.index(
+    { createdAt: 1 },
+    { expireAfterSeconds: config.WEBHOOK_DELIVERY_RETENTION_DAYS * 24 * 60 * 60 }
+  );
+}
+
+// Static methods
+webhookDeliverySchema.statics.findByDeliveryId = function(deliveryId) {
+  return this.findOne({ deliveryId });
+};
+
+// Instance methods
+/**
+ * Store how the delivery was handled
+ * A handler can answer 200 with processed: false, so that counts as failed too.
+ * @param {Object} outcome - {statusCode, response, durationMs}
+ */
+webhookDeliverySchema.methods.markHandled = function({ statusCode, response, durationMs }) {
+  const failed = statusCode >= 400 || response?.processed === false;
+
+  this.status = failed ? 'failed' : 'processed';
+  this.statusCode = statusCode;
+  this.response = response;
+  this.error = failed ? (response?.error?.message || response?.error || null) : null;
+  this.processedAt = new Date();
+  this.durationMs = durationMs;
+  return this.save();
+};
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
@@ -0,0 +1,301 @@
+const githubService = require('./githubService');
+const FindingFeedback = require('../models/FindingFeedback');
+const { extractFingerprint } = require('../utils/fingerprint');
+const logger = require('../utils/logger');
+
+// Phrases that mark a reply as rejecting or accepting a finding; a reply using both stays neutral.
+// Bare words like "wrong" or "thanks" aren't listed: they show up as often in replies that
+// agree with the finding ("the old check was wrong") as in ones that dismiss it.
+const REPLY_PATTERNS = [
+  {
+    verdict: 'false_positive',
+    pattern: /\b(false[\s-]positive|not (an? )?(real )?(issue|bug|problem)|not applicable|irrelevant|won'?t fix|wontfix|by design|intentional(ly)?|(it|this|that)('s| is) (expected|intended)|(you'?re|you are|this is|that'?s|that is) (wrong|incorrect|mistaken))\b/gi
+  },
+  {
+    verdict: 'accepted',
+    pattern: /\b(good catch|nice catch|fixed|addressed|done|agreed|will fix|valid point)\b/gi
+  }
+];
+
+// A phrase right after a negation ("not done yet", "isn't fixed") doesn't count
+const NEGATION = /(\b(not|no|never)|n'?t)\s+(\w+\s+)?$/i;
+
+/**
+ * Whether the text uses a phrase of the pattern outside a negation
+ * @param {string} text - Reply text
+ * @param {RegExp} pattern - Global pattern of the phrases
+ * @returns {boolean} True if a phrase is used
+ */
+function usesPhrase(text, pattern) {
+  return [...text.matchAll(pattern)].some(match => !NEGATION.test(text.slice(0, match.index)));
+}
+
+class FeedbackService {
+  constructor() {
+    this.syncingPRs = new Map(); // "owner/repo#number" -> running reaction sync
+  }
+
+  /**
+   * Classify a reply to one of the agent's comments
+   * @param {string} body - Reply text
+   * @returns {string} accepted, false_positive or neutral
+   */
+  classifyReply(body) {
+    const matches = REPLY_PATTERNS.filter(({ pattern }) => usesPhrase(body || '', pattern));
+    return matches.length === 1 ? matches[0].verdict : 'neutral';
+  }
+
+  /**
+   * Link freshly posted inline comments to their Review.comments entries and start tracking feedback
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} pullNumber - Pull request number
+   * @param {Object} review - Review document whose comments were just posted
+   * @param {number} githubReviewId - ID of the posted GitHub review
+   * @returns {Promise<number>} Number of comments now tracked
+   */
+  async recordPostedComments(owner, repo, pullNumber, review, githubReviewId) {
+    const postedComments = await githubService.listReviewComments(owner, repo, pullNumber, githubReviewId);
+    const postedByFingerprint = new Map();
+    postedComments.forEach(comment => {
+      const fingerprint = extractFingerprint(comment.body);
+      if (fingerprint) {
+        postedByFingerprint.set(fingerprint, comment);
+      }
+    });
+
+    let tracked = 0;
+    for (const entry of review.comments) {
+      const posted = postedByFingerprint.get(entry.fingerprint);
+      if (!posted || entry.alreadyRaised) {
+        continue;
+      }
+
+      entry.githubCommentId = posted.id;
+      await FindingFeedback.findOneAndUpdate(
+        { repository: review.repository, pullRequestId: review.pullRequestId, fingerprint: entry.fingerprint },
+        {
+          review: review._id,
+          commentId: entry._id,
+          githubCommentId: posted.id,
+          file: entry.file,
+          line: entry.line,
+          category: entry.category,
+          severity: entry.severity
+        },
+        { upsert: true, setDefaultsOnInsert: true }
+      );
+      tracked++;
+    }
+
+    await review.save();
+
+    logger.info('Tracking feedback on posted comments', { owner, repo, pullNumber, tracked });
+    return tracked;
+  }
+
+  /**
+   * Record a reply in one of the agent's review threads
+   * @param {Object} comment - pull_request_review_comment payload comment
+   * @returns {Promise<Object|null>} Updated feedback, or null if the thread isn't the agent's
+   */
+  async recordReply(comment) {
+    const feedback = await FindingFeedback.findByGithubCommentId(comment.in_reply_to_id);
+    if (!feedback) {
+      return null;
+    }
+
+    if (feedback.replies.some(reply => reply.githubCommentId === comment.id)) {
+      return feedback;
+    }
+
+    feedback.replies.push({
+      githubCommentId: comment.id,
+      author: comment.user.login,
+      body: comment.body,
+      verdict: this.classifyReply(comment.body),
+      createdAt: comment.created_at ? new Date(comment.created_at) : new Date()
+    });
+    feedback.updateVerdict();
+    await feedback.save();
+
+    logger.info('Recorded reply on review comment', {
+      fingerprint: feedback.fingerprint,
+      verdict: feedback.verdict,
+      author: comment.user.login
+    });
+
+    return feedback;
+  }
+
+  /**
+   * Record that one of the agent's threads was resolved or reopened
+   * GitHub drops the line of a comment whose code changed, so a resolved thread whose
+   * first comment has no line left was resolved with a code change.
+   * @param {string} action - resolved or unresolved
+   * @param {Object} thread - pull_request_review_thread payload thread
+   * @param {string} sender - User who resolved the thread
+   * @returns {Promise<Object|null>} Updated feedback, or null if the thread isn't the agent's
+   */
+  async recordThreadResolution(action, thread, sender) {
+    const firstComment = thread.comments?.[0];
+    const feedback = firstComment ? await FindingFeedback.findByGithubCommentId(firstComment.id) : null;
+    if (!feedback) {
+      return null;
+    }
+
+    if (action === 'resolved') {
+      const codeChanged = firstComment.line === null && firstComment.position === null;
+      feedback.resolution = codeChanged ? 'resolved_with_change' : 'resolved_without_change';
+      feedback.resolvedBy = sender;
+      feedback.resolvedAt = new Date();
+    } else {
+      feedback.resolution = 'open';
+      feedback.resolvedBy = null;
+      feedback.resolvedAt = null;
+    }
+    feedback.updateVerdict();
+    await feedback.save();
+
+    logger.info('Recorded review thread resolution', {
+      fingerprint: feedback.fingerprint,
+      resolution: feedback.resolution,
+      verdict: feedback.verdict
+    });
+
+    return feedback;
+  }
+
+  /**
+   * Refresh 👍/👎 counts on the agent's comments in a pull request
+   * GitHub doesn't send webhooks for reactions, so they are read back on other PR activity.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} pullNumber - Pull request number
+   * @returns {Promise<number>} Number of comments synced
+   */
+  syncReactions(owner, repo, pullNumber) {
+    // Webhooks for the same PR often arrive together; they share one sync
+    const key = `${owner}/${repo}#${pullNumber}`;
+    if (!this.syncingPRs.has(key)) {
+      const sync = this.readReactions(owner, repo, pullNumber).finally(() => this.syncingPRs.delete(key));
+      this.syncingPRs.set(key, sync);
+    }
+    return this.syncingPRs.get(key);
+  }
+
+  /**
+   * Read the reactions of every tracked comment of a PR into its feedback
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} pullNumber - Pull request number
+   * @returns {Promise<number>} Number of feedback entries synced
+   */
+  async readReactions(owner, repo, pullNumber) {
+    const feedbackEntries = await FindingFeedback.findForPR(`${owner}/${repo}`, pullNumber);
+
+    for (const feedback of feedbackEntries) {
+      if (!feedback.githubCommentId) {
+        continue;
+      }
+
+      const reactions = await githubService.listCommentReactions(owner, repo, feedback.githubCommentId);
+      const humanReactions = reactions.filter(reaction => reaction.user?.type !== 'Bot');
+      feedback.reactions = {
+        up: humanReactions.filter(reaction => reaction.content === '+1').length,
+        down: humanReactions.filter(reaction => reaction.content === '-1').length,
+        syncedAt: new Date()
+      };
+      feedback.updateVerdict();
+      await feedback.save();
+    }
+
+    logger.debug('Synced reactions on review comments', { owner, repo, pullNumber, count: feedbackEntries.length });
+    return feedbackEntries.length;
+  }
+
+  /**
+   * Acceptance and false-positive rates per category and per repository
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.repository] - Limit to one "owner/repo"
+   * @param {number} [filters.days] - Only findings posted in the last N days
+   * @returns {Promise<Object>} Overall, per-category and per-repository rates
+   */
+  async getStats({ repository, days } = {}) {
+    const match = {};
+    if (repository) {
+      match.repository = repository;
+    }
+    if (days) {
+      match.createdAt = { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) };
+    }
+
+    const rows = await FindingFeedback.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { repository: '$repository', category: '$category' },
+          total: { $sum: 1 },
+          accepted: { $sum: { $cond: [{ $eq: ['$verdict', 'accepted'] }, 1, 0] } },
+          falsePositive: { $sum: { $cond: [{ $eq: ['$verdict', 'false_positive'] }, 1, 0] } },
+          resolvedWithChange: { $sum: { $cond: [{ $eq: ['$resolution', 'resolved_with_change'] }, 1, 0] } }
+        }
+      }
+    ]);
+
+    return this.summarizeStats(rows);
+  }
+
+  /**
+   * Roll per repository/category counts up into rates
+   * Rates are relative to findings that got a verdict, so silence doesn't count either way.
+   * @param {Array} rows - Aggregation rows keyed by {repository, category}
+   * @returns {Object} Overall, per-category and per-repository rates
+   */
+  summarizeStats(rows) {
+    const empty = () => ({ total: 0, accepted: 0, falsePositive: 0, resolvedWithChange: 0 });
+    const add = (target, row) => {
+      target.total += row.total;
+      target.accepted += row.accepted;
+      target.falsePositive += row.falsePositive;
+      target.resolvedWithChange += row.resolvedWithChange;
+      return target;
+    };
+    const withRates = counts => {
+      const rated = counts.accepted + counts.falsePositive;
+      return {
+        ...counts,
+        rated,
+        acceptanceRate: rated > 0 ? Number((counts.accepted / rated).toFixed(3)) : null,
+        falsePositiveRate: rated > 0 ? Number((counts.falsePositive / rated).toFixed(3)) : null
+      };
+    };
+
+    const overall = empty();
+    const byCategory = {};
+    const byRepository = {};
+
+    rows.forEach(row => {
+      const category = row._id.category || 'general';
+      const { repository } = row._id;
+      byCategory[category] = byCategory[category] || empty();
+      byRepository[repository] = byRepository[repository] || empty();
+
+      add(overall, row);
+      add(byCategory[category], row);
+      add(byRepository[repository], row);
+    });
+
+    const mapRates = groups => Object.fromEntries(
+      Object.entries(groups).map(([key, counts]) => [key, withRates(counts)])
+    );
+
+    return {
+      overall: withRates(overall),
+      byCategory: mapRates(byCategory),
+      byRepository: mapRates(byRepository)
+    };
+  }
+}
+
+module.exports = new FeedbackService();
@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const { Octokit } = require('@octokit/rest');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const metricsService = require('./metricsService');
+const { GitHubError } = require('../middleware/errorHandler');
+
+const USER_AGENT = 'Code-Review-Agent/1.0.0';
+
+// GitHub rejects app JWTs valid for more than 10 minutes
+const JWT_LIFETIME_SECONDS = 9 * 60;
+
+// Refresh installation tokens this long before they expire (they live for one hour)
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * Encode a buffer or string as base64url
+ * @param {Buffer|string} input - Data to encode
+ * @returns {string} Encoded data
+ */
+function base64url(input) {
+  return Buffer.from(input).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+ * Create an Octokit client that reports the rate limit left for its credential
+ * @param {string} auth - Token or app JWT
+ * @param {string} credential - Metrics label: token, app or installation:<id>
+ * @returns {Octokit} Client
+ */
+function createOctokit(auth, credential) {
+  const octokit = new Octokit({ auth, userAgent: USER_AGENT });
+
+  octokit.hook.after('request', response => {
+    metricsService.recordGitHubRateLimit(credential, response.headers);
+  });
+  octokit.hook.error('request', error => {
+    metricsService.recordGitHubRateLimit(credential, error.response?.headers);
+    throw error;
+  });
+
+  return octokit;
+}
+
+/**
+ * Authenticates against GitHub either as a GitHub App or with a personal access token
+ * In app mode a JWT signed with the app's private key is exchanged for installation
+ * access tokens, which are cached per installation and refreshed before they expire.
+ */
+class GitHubAuth {
+  constructor() {
+    this.appId = config.GITHUB_APP_ID;
+    // Keys passed through env files often have their newlines escaped
+    this.privateKey = config.GITHUB_PRIVATE_KEY ? config.GITHUB_PRIVATE_KEY.replace(/\\n/g, '\n') : null;
+    this.installationIds = new Map(); // "owner/repo" -> installation id
+    this.installationTokens = new Map(); // installation id -> { token, expiresAt, octokit }
+    this.pendingTokens = new Map(); // installation id -> in-flight token request
+    this.appJwt = null;
+    this.patOctokit = null;
+  }
+
+  /**
+   * Whether GitHub App credentials are configured
+   * @returns {boolean} True in app mode, false in PAT mode
+   */
+  isAppMode() {
+    return Boolean(this.appId && this.privateKey);
+  }
+
+  /**
+   * Get a client authenticated for a repository
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @returns {Promise<Octokit>} Installation client in app mode, the PAT client otherwise
+   */
+  async getOctokit(owner, repo) {
+    if (!this.isAppMode()) {
+      if (!this.patOctokit) {
+        this.patOctokit = createOctokit(config.GITHUB_TOKEN, 'token');
+      }
+      return this.patOctokit;
+    }
+
+    const installationId = await this.getInstallationId(owner, repo);
+    const { octokit } = await this.getInstallationToken(installationId);
+    return octokit;
+  }
+
+  /**
+   * Create a JWT identifying the app, reused until shortly before it expires
+   * @returns {string} Signed RS256 JWT
+   */
+  createAppJwt() {
+    const now = Math.floor(Date.now() / 1000);
+    if (this.appJwt && this.appJwt.expiresAt - 60 > now) {
+      return this.appJwt.token;
+    }
+
+    // Backdate to allow for clock drift between us and GitHub
+    const payload = { iat: now - 60, exp: now + JWT_LIFETIME_SECONDS, iss: String(this.appId) };
+    const unsigned = `${base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }))}.${base64url(JSON.stringify(payload))}`;
+    const signature = crypto.createSign('RSA-SHA256').update(unsigned).sign(this.privateKey);
+
+    this.appJwt = { token: `${unsigned}.${base64url(signature)}`, expiresAt: payload.exp };
+    return this.appJwt.token;
+  }
+
+  /**
+   * Get a client authenticated as the app itself (not as an installation)
+   * @returns {Octokit} App client
+   */
+  getAppOctokit() {
+    return createOctokit(this.createAppJwt(), 'app');
+  }
+
+  /**
+   * Find the installation of the app that covers a repository
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @returns {Promise<number>} Installation ID
+   */
+  async getInstallationId(owner, repo) {
+    const key = `${owner}/${repo}`.toLowerCase();
+    if (this.installationIds.has(key)) {
+      return this.installationIds.get(key);
+    }
+
+    try {
+      const { data: installation } = await this.getAppOctokit().rest.apps.getRepoInstallation({ owner, repo });
+      this.installationIds.set(key, installation.id);
+      return installation.id;
+    } catch (error) {
+      if (error.status === 404) {
+        throw new GitHubError(`GitHub App is not installed on ${owner}/${repo}`, 404, error);
+      }
+      throw new GitHubError(`Failed to look up GitHub App installation: ${error.message}`, error.status || 500, error);
+    }
+  }
+
+  /**
+   * Get a cached installation access token, requesting a new one when it is close to expiry
+   * @param {number} installationId - Installation ID
+   * @returns {Promise<{token: string, expiresAt: number, octokit: Octokit}>} Token and client
+   */
+  async getInstallationToken(installationId) {
+    const cached = this.installationTokens.get(installationId);
+    if (cached && cached.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+      return cached;
+    }
+
+    // Concurrent jobs for the same installation share one token request
+    if (!this.pendingTokens.has(installationId)) {
+      const request = this.requestInstallationToken(installationId)
+        .finally(() => this.pendingTokens.delete(installationId));
+      this.pendingTokens.set(installationId, request);
+    }
+
+    return this.pendingTokens.get(installationId);
+  }
+
+  /**
+   * Exchange the app JWT for an installation access token
+   * @param {number} installationId - Installation ID
+   * @returns {Promise<{token: string, expiresAt: number, octokit: Octokit}>} Token and client
+   */
+  async requestInstallationToken(installationId) {
+    try {
+      const { data } = await this.getAppOctokit().rest.apps.createInstallationAccessToken({
+        installation_id: installationId
+      });
+
+      const entry = {
+        token: data.token,
+        expiresAt: new Date(data.expires_at).getTime(),
+        octokit: createOctokit(data.token, `installation:${installationId}`)
+      };
+      this.installationTokens.set(installationId, entry);
+
+      logger.info('Issued GitHub App installation token', {
+        installationId,
+        expiresAt: data.expires_at
+      });
+
+      return entry;
+    } catch (error) {
+      if (error.status === 404) {
+        this.forgetInstallation(installationId);
+      }
+      throw new GitHubError(`Failed to create installation token: ${error.message}`, error.status || 500, error);
+    }
+  }
+
+  /**
+   * Record which installation covers a repository, e.g. from a webhook payload
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} installationId - Installation ID
+   */
+  rememberInstallation(owner, repo, installationId) {
+    if (installationId) {
+      this.installationIds.set(`${owner}/${repo}`.toLowerCase(), installationId);
+    }
+  }
+
+  /**
+   * Drop cached tokens and repository mappings for an installation
+   * @param {number} installationId - Installation ID
+   */
+  forgetInstallation(installationId) {
+    this.installationTokens.delete(installationId);
+    for (const [key, id] of this.installationIds.entries()) {
+      if (id === installationId) {
+        this.installationIds.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Keep the installation caches in sync with installation and installation_repositories webhooks
+   * @param {string} event - Webhook event name
+   * @param {Object} payload - Webhook payload
+   * @returns {{installationId: number, added: Array<string>, removed: Array<string>}} What changed
+   */
+  handleInstallationEvent(event, payload) {
+    const installationId = payload.installation?.id;
+    let added = [];
+    let removed = [];
+
+    if (event === 'installation') {
+      if (['deleted', 'suspend'].includes(payload.action)) {
+        removed = [...this.installationIds.entries()]
+          .filter(([, id]) => id === installationId)
+          .map(([key]) => key);
+        this.forgetInstallation(installationId);
+      } else {
+        added = (payload.repositories || []).map(repository => repository.full_name);
+      }
+    } else if (event === 'installation_repositories') {
+      added = (payload.repositories_added || []).map(repository => repository.full_name);
+      removed = (payload.repositories_removed || []).map(repository => repository.full_name);
+    }
+
+    added.forEach(fullName => {
+      const [owner, repo] = fullName.split('/');
+      this.rememberInstallation(owner, repo, installationId);
+    });
+    removed.forEach(fullName => this.installationIds.delete(fullName.toLowerCase()));
+
+    // Permissions or repository access changed; make the next call fetch a fresh token
+    this.installationTokens.delete(installationId);
+
+    logger.info('GitHub App installation updated', {
+      event,
+      action: payload.action,
+      installationId,
+      account: payload.installation?.account?.login,
+      added: added.length,
+      removed: removed.length
+    });
+
+    return { installationId, added, removed };
+  }
+}
+
+module.exports = new GitHubAuth();
@@ -1,13 +1,46 @@
-const { Octokit } = require('@octokit/rest');
+const { minimatch } = require('minimatch');
+const githubAuth = require('./githubAuth');
+const { embedFingerprint, extractFingerprint } = require('../utils/fingerprint');
+const { attachFileContexts } = require('../utils/codeContext');
+const { parseGitAttributes, classifyPath, classifyContent } = require('../utils/fileClassifier');
 const config = require('../config/config');
 const logger = require('../utils/logger');
 
+const REVIEW_THREADS_QUERY = `
+  query($owner: String!, $repo: String!, $number: Int!, $cursor: String) {
+    repository(owner: $owner, name: $repo) {
+      pullRequest(number: $number) {
+        reviewThreads(first: 100, after: $cursor) {
+          pageInfo { hasNextPage endCursor }
+          nodes {
+            id
+            isResolved
+            isOutdated
+            path
+            line
+            comments(first: 1) { nodes { databaseId url body } }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Checks API limits
+const CHECK_ANNOTATIONS_PER_REQUEST = 50;
+const CHECK_SUMMARY_LIMIT = 65535;
+
 class GitHubService {
-  constructor() {
-    this.octokit = new Octokit({
-      auth: config.GITHUB_TOKEN,
-      userAgent: 'Code-Review-Agent/1.0.0'
-    });
+  /**
+   * Get a GitHub client for a repository
+   * Uses the app installation covering the repository when GitHub App credentials are
+   * configured, and the personal access token otherwise.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @returns {Promise<Object>} Octokit instance
+   */
+  async getOctokit(owner, repo) {
+    return githubAuth.getOctokit(owner, repo);
   }
 
   /**
@@ -15,49 +48,117 @@ class GitHubService {
    * @param {string} owner - Repository owner
    * @param {string} repo - Repository name
    * @param {number} pullNumber - Pull request number
+   * @param {Object} [reviewConfig] - Effective review configuration for the repository
+   * @param {Object} [options] - Fetch options
+   * @param {string} [options.sinceSha] - Previously reviewed head; only changes after it are returned
    * @returns {Promise<Object>} PR data with files and diffs
    */
-  async getPullRequestData(owner, repo, pullNumber) {
+  async getPullRequestData(owner, repo, pullNumber, reviewConfig = null, options = {}) {
+    const maxFiles = reviewConfig?.maxFilesPerPR || config.MAX_FILES_PER_PR;
+    const maxFileChanges = reviewConfig?.maxFileChanges || config.MAX_FILE_CHANGES;
+    const ignorePatterns = reviewConfig?.ignorePatterns || [];
+    const maxDiffSize = config.MAX_DIFF_SIZE;
+    const contextOptions = {
+      lines: reviewConfig?.contextLines ?? config.REVIEW_CONTEXT_LINES,
+      mode: reviewConfig?.contextMode || config.REVIEW_CONTEXT_MODE,
+      tokenBudget: config.REVIEW_CONTEXT_TOKEN_BUDGET
+    };
+    const contextEnabled = contextOptions.lines > 0;
+    const headContents = new Map();
+    const skippedFiles = [];
+
     try {
       logger.info('Fetching PR data', { owner, repo, pullNumber });
 
+      const octokit = await this.getOctokit(owner, repo);
+
       // Get PR details
-      const { data: pullRequest } = await this.octokit.rest.pulls.get({
+      const { data: pullRequest } = await octokit.rest.pulls.get({
         owner,
         repo,
         pull_number: pullNumber
       });
 
       // Get PR files
-      const { data: files } = await this.octokit.rest.pulls.listFiles({
+      const { data: prFiles } = await octokit.rest.pulls.listFiles({
         owner,
         repo,
         pull_number: pullNumber,
-        per_page: config.MAX_FILES_PER_PR
+        per_page: Math.min(maxFiles, 100)
       });
 
-      // Filter out files that are too large or binary
+      // Narrow to the commits pushed since the last review when possible
+      let files = prFiles;
+      const reviewScope = {
+        mode: 'full',
+        since_sha: null,
+        head_sha: pullRequest.head.sha,
+        commits: null,
+        fallback_reason: null
+      };
+
+      if (options.sinceSha) {
+        const incremental = await this.getIncrementalChanges(owner, repo, options.sinceSha, pullRequest.head.sha);
+
+        if (incremental.files) {
+          // Only keep files that are part of the PR, e.g. drop files brought in by merging the base branch
+          const prFileNames = new Set(prFiles.map(file => file.filename));
+          files = incremental.files.filter(file => prFileNames.has(file.filename));
+          reviewScope.mode = 'incremental';
+          reviewScope.since_sha = options.sinceSha;
+          reviewScope.commits = incremental.commits;
+        } else {
+          reviewScope.fallback_reason = incremental.fallbackReason;
+        }
+      }
+
+      // linguist attributes come from the base branch, so a PR can't mark its own code as vendored
+      const gitAttributes = parseGitAttributes(
+        await this.getFileContent(owner, repo, '.gitattributes', pullRequest.base.sha).catch(() => '')
+      );
+
+      // Filter out ignored, binary, generated, vendored and overly large files
       const reviewableFiles = files.filter(file => {
         if (file.status === 'removed') return false;
-        if (file.changes > 1000) { // Skip very large files
+        if (this.isIgnoredFile(file.filename, ignorePatterns)) {
+          logger.debug('Skipping ignored file', { file: file.filename });
+          return false;
+        }
+        const classification = classifyPath(file.filename, gitAttributes);
+        if (classification) {
+          logger.debug('Skipping non-source file', { file: file.filename, ...classification });
+          skippedFiles.push({ file_path: file.filename, ...classification });
+          return false;
+        }
+        if (file.changes > maxFileChanges) { // Skip very large files
           logger.warn('Skipping large file', { 
             file: file.filename, 
             changes: file.changes 
           });
-          return false;
-        }
-        if (this.isBinaryFile(file.filename)) {
-          logger.debug('Skipping binary file', { file: file.filename });
+          skippedFiles.push({ file_path: file.filename, kind: 'size', reason: `${file.changes} changed lines (limit ${maxFileChanges})` });
           return false;
         }
         return true;
       });
 
-      // Get detailed diff for each file
+      // Get detailed diff for each file, and its head version for the surrounding code
       const diffFiles = await Promise.all(
         reviewableFiles.map(async (file) => {
           try {
-            const diff = await this.getFileDiff(owner, repo, file, pullRequest);
+            const headContent = contextEnabled || !file.patch
+              ? await this.getFileContent(owner, repo, file.filename, pullRequest.head.sha).catch(() => '')
+              : '';
+
+            // Generated-code headers and minified code only show in the content
+            const classification = await this.classifyFileContent(owner, repo, file, pullRequest, headContent, gitAttributes);
+            if (classification) {
+              logger.debug('Skipping generated file', { file: file.filename, ...classification });
+              skippedFiles.push({ file_path: file.filename, ...classification });
+              return null;
+            }
+            headContents.set(file.filename, headContent);
+
+            const diff = await this.getFileDiff(owner, repo, file, pullRequest, headContent);
             return {
               file_path: file.filename,
               status: file.status,
@@ -77,14 +178,35 @@ class GitHubService {
         })
       );
 
-      const validDiffFiles = diffFiles.filter(file => file !== null);
+      // Enforce the per-file diff size limit
+      const validDiffFiles = diffFiles.filter(file => {
+        if (file === null) return false;
+        if (Buffer.byteLength(file.diff || '', 'utf8') > maxDiffSize) {
+          logger.warn('Skipping file with oversized diff', {
+            file: file.file_path,
+            diffSize: Buffer.byteLength(file.diff, 'utf8'),
+            maxDiffSize
+          });
+          skippedFiles.push({ file_path: file.file_path, kind: 'size', reason: `diff larger than ${Math.round(maxDiffSize / 1024)}KB` });
+          return false;
+        }
+        return true;
+      });
+
+      const context = contextEnabled
+        ? attachFileContexts(validDiffFiles, headContents, contextOptions)
+        : { files: 0, tokens: 0, reduced: [] };
 
       logger.info('PR data fetched successfully', {
         owner,
         repo,
         pullNumber,
         totalFiles: files.length,
-        reviewableFiles: validDiffFiles.length
+        reviewableFiles: validDiffFiles.length,
+        scope: reviewScope.mode,
+        contextFiles: context.files,
+        contextTokens: context.tokens,
+        contextReduced: context.reduced.length
       });
 
       return {
@@ -99,7 +221,17 @@ class GitHubService {
           created_at: pullRequest.created_at,
           updated_at: pullRequest.updated_at
         },
-        diff_files: validDiffFiles
+        head_sha: pullRequest.head.sha,
+        base_sha: pullRequest.base.sha,
+        review_scope: reviewScope,
+        diff_files: validDiffFiles,
+        skipped_files: skippedFiles,
+        // Head versions fetched above, reused by the linter
+        head_contents: Object.fromEntries([...headContents].filter(([, content]) => content)),
+        // Inline comments are anchored to the whole PR diff, also for incremental reviews
+        pr_patches: Object.fromEntries(
+          prFiles.filter(file => file.patch).map(file => [file.filename, file.patch])
+        )
       };
 
     } catch (error) {
@@ -114,29 +246,117 @@ class GitHubService {
     }
   }
 
+  /**
+   * Check whether a changed file was already generated or minified before the PR
+   * The base version decides, as with .gitattributes, so a PR can't exclude its own code by
+   * adding a "DO NOT EDIT" header; new files are always reviewed. When the head version is
+   * known it has to look generated too, otherwise the base isn't fetched.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} file - File from the PR files API
+   * @param {Object} pullRequest - Pull request object
+   * @param {string} headContent - Head version of the file, '' if it wasn't fetched
+   * @param {Array} gitAttributes - Rules from parseGitAttributes
+   * @returns {Promise<{kind: string, reason: string}|null>} Why the file shouldn't be reviewed, null if it should
+   */
+  async classifyFileContent(owner, repo, file, pullRequest, headContent, gitAttributes) {
+    if (file.status === 'added' || (headContent && !classifyContent(file.filename, headContent, gitAttributes))) {
+      return null;
+    }
+
+    const baseContent = await this.getFileContent(
+      owner,
+      repo,
+      file.previous_filename || file.filename,
+      pullRequest.base.sha
+    ).catch(() => '');
+    return classifyContent(file.filename, baseContent, gitAttributes);
+  }
+
+  /**
+   * Get the files changed between the previously reviewed commit and the new head
+   * Falls back (files: null) when the old commit is gone or no longer an ancestor of the
+   * head, which is what a force-push looks like.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} baseSha - Previously reviewed head commit
+   * @param {string} headSha - Current head commit
+   * @returns {Promise<{files: Array|null, commits: number, fallbackReason: string|null}>} Changed files
+   */
+  async getIncrementalChanges(owner, repo, baseSha, headSha) {
+    if (baseSha === headSha) {
+      return { files: [], commits: 0, fallbackReason: null };
+    }
+
+    try {
+      const octokit = await this.getOctokit(owner, repo);
+      const { data: comparison } = await octokit.rest.repos.compareCommits({
+        owner,
+        repo,
+        base: baseSha,
+        head: headSha
+      });
+
+      if (comparison.status === 'diverged' || comparison.status === 'behind') {
+        logger.info('Previously reviewed commit is not an ancestor of head, falling back to full review', {
+          owner,
+          repo,
+          baseSha,
+          headSha,
+          status: comparison.status
+        });
+        return { files: null, commits: 0, fallbackReason: 'history rewritten (force-push)' };
+      }
+
+      logger.info('Fetched incremental changes', {
+        owner,
+        repo,
+        baseSha,
+        headSha,
+        commits: comparison.ahead_by,
+        files: comparison.files?.length || 0
+      });
+
+      return {
+        files: comparison.files || [],
+        commits: comparison.ahead_by,
+        fallbackReason: null
+      };
+    } catch (error) {
+      if (error.status === 404 || error.status === 422) {
+        logger.info('Previously reviewed commit no longer exists, falling back to full review', {
+          owner,
+          repo,
+          baseSha,
+          headSha
+        });
+        return { files: null, commits: 0, fallbackReason: 'previously reviewed commit no longer exists' };
+      }
+      throw error;
+    }
+  }
+
   /**
    * Get file diff content
    * @param {string} owner - Repository owner
    * @param {string} repo - Repository name
    * @param {Object} file - File object from GitHub API
    * @param {Object} pullRequest - Pull request object
+   * @param {string|null} [headContent] - Head version of the file, if already fetched
    * @returns {Promise<string>} File diff
    */
-  async getFileDiff(owner, repo, file, pullRequest) {
+  async getFileDiff(owner, repo, file, pullRequest, headContent = null) {
     try {
       // Use the patch from the file object if available
       if (file.patch) {
         return file.patch;
       }
 
-      // Fallback: get file content from both base and head
-      const [baseContent, headContent] = await Promise.all([
-        this.getFileContent(owner, repo, file.filename, pullRequest.base.sha).catch(() => ''),
-        this.getFileContent(owner, repo, file.filename, pullRequest.head.sha).catch(() => '')
-      ]);
+      // Fallback: GitHub omits patches for large diffs, so show the head version
+      const content = headContent ?? await this.getFileContent(owner, repo, file.filename, pullRequest.head.sha).catch(() => '');
 
       // Simple diff representation
-      return `--- a/${file.filename}\n+++ b/${file.filename}\n${headContent}`;
+      return `--- a/${file.filename}\n+++ b/${file.filename}\n${content}`;
     } catch (error) {
       logger.warn('Error getting file diff', {
         file: file.filename,
@@ -156,7 +376,8 @@ class GitHubService {
    */
   async getFileContent(owner, repo, path, ref) {
     try {
-      const { data } = await this.octokit.rest.repos.getContent({
+      const octokit = await this.getOctokit(owner, repo);
+      const { data } = await octokit.rest.repos.getContent({
         owner,
         repo,
         path,
@@ -175,56 +396,101 @@ class GitHubService {
     }
   }
 
+  /**
+   * List the names of the entries in a directory at a specific commit
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} path - Directory path, '' for the repository root
+   * @param {string} ref - Git reference (commit SHA, branch, tag)
+   * @returns {Promise<Array<string>>} Entry names, empty if the directory doesn't exist
+   */
+  async listDirectory(owner, repo, path, ref) {
+    try {
+      const octokit = await this.getOctokit(owner, repo);
+      const { data } = await octokit.rest.repos.getContent({
+        owner,
+        repo,
+        path,
+        ref
+      });
+
+      return Array.isArray(data) ? data.map(entry => entry.name) : [];
+    } catch (error) {
+      if (error.status === 404) {
+        return [];
+      }
+      throw error;
+    }
+  }
+
   /**
    * Post review comments on a pull request
+   * Only comments placed by diffParser.placeComments are posted inline; the rest are
+   * expected to be listed in the summary.
    * @param {string} owner - Repository owner
    * @param {string} repo - Repository name
    * @param {number} pullNumber - Pull request number
    * @param {Array} comments - Array of review comments
-   * @param {string} summaryComment - Overall review summary
-   * @returns {Promise<void>}
+   * @param {string|Function} summaryComment - Overall review summary, or a function returning the
+   *   summary for the event actually submitted, so a fallback comment doesn't announce a verdict
+   * @param {string} [commitSha] - Head commit the comments were placed against, defaults to the current head
+   * @param {string} [event='COMMENT'] - COMMENT, APPROVE or REQUEST_CHANGES; falls back to COMMENT
+   *   when GitHub refuses the verdict because the pull request was opened by the agent itself
+   * @returns {Promise<Object>} Created GitHub review; `state` shows the verdict that was submitted
    */
-  async postReviewComments(owner, repo, pullNumber, comments, summaryComment) {
+  async postReviewComments(owner, repo, pullNumber, comments, summaryComment, commitSha = null, event = 'COMMENT') {
     try {
       logger.info('Posting review comments', {
         owner,
         repo,
         pullNumber,
+        event,
         commentsCount: comments.length
       });
 
-      // Get the latest commit SHA for the PR
-      const { data: pullRequest } = await this.octokit.rest.pulls.get({
-        owner,
-        repo,
-        pull_number: pullNumber
-      });
+      if (!commitSha) {
+        const pullRequest = await this.getPullRequest(owner, repo, pullNumber);
+        commitSha = pullRequest.head.sha;
+      }
 
-      const commitSha = pullRequest.head.sha;
-
-      // Prepare inline comments
-      const reviewComments = await this.prepareInlineComments(
-        owner,
-        repo,
-        pullNumber,
-        comments,
-        commitSha
-      );
+      const reviewComments = this.prepareInlineComments(comments);
 
       // Create the review
-      const reviewBody = summaryComment || 'Automated code review completed.';
-      
+      const getReviewBody = async reviewEvent => {
+        const body = typeof summaryComment === 'function' ? await summaryComment(reviewEvent) : summaryComment;
+        return body || 'Automated code review completed.';
+      };
+
       const reviewData = {
         owner,
         repo,
         pull_number: pullNumber,
         commit_id: commitSha,
-        body: reviewBody,
-        event: 'COMMENT', // Always use COMMENT to avoid GitHub restrictions on own PRs
+        body: await getReviewBody(event),
+        event,
         comments: reviewComments
       };
 
-      const { data: review } = await this.octokit.rest.pulls.createReview(reviewData);
+      const octokit = await this.getOctokit(owner, repo);
+      let review;
+      try {
+        ({ data: review } = await octokit.rest.pulls.createReview(reviewData));
+      } catch (error) {
+        if (event === 'COMMENT' || !this.isOwnPullRequestError(error)) {
+          throw error;
+        }
+        logger.warn('Cannot submit a verdict on own pull request, posting as comment', {
+          owner,
+          repo,
+          pullNumber,
+          event
+        });
+        ({ data: review } = await octokit.rest.pulls.createReview({
+          ...reviewData,
+          body: await getReviewBody('COMMENT'),
+          event: 'COMMENT'
+        }));
+      }
 
       logger.info('Review posted successfully', {
         owner,
@@ -249,146 +515,195 @@ class GitHubService {
   }
 
   /**
-   * Prepare inline comments for GitHub review API
+   * Check whether GitHub rejected a review because its author opened the pull request
+   * @param {Error} error - Error from pulls.createReview
+   * @returns {boolean} True for the "own pull request" validation error
+   */
+  isOwnPullRequestError(error) {
+    const details = JSON.stringify(error.response?.data?.errors || []);
+    return error.status === 422 && /own pull request/i.test(`${error.message} ${details}`);
+  }
+
+  /**
+   * Dismiss the agent's earlier reviews that requested changes
    * @param {string} owner - Repository owner
    * @param {string} repo - Repository name
    * @param {number} pullNumber - Pull request number
-   * @param {Array} comments - Review comments
-   * @param {string} commitSha - Commit SHA
-   * @returns {Promise<Array>} Formatted comments for GitHub API
+   * @param {string} message - Dismissal message shown on the pull request
+   * @returns {Promise<Array<number>>} IDs of the dismissed reviews
    */
-  async prepareInlineComments(owner, repo, pullNumber, comments, commitSha) {
-    const reviewComments = [];
+  async dismissBlockingReviews(owner, repo, pullNumber, message) {
+    const octokit = await this.getOctokit(owner, repo);
+    const bot = await this.getBotUser();
+    const reviews = await octokit.paginate(octokit.rest.pulls.listReviews, {
+      owner,
+      repo,
+      pull_number: pullNumber,
+      per_page: 100
+    });
 
-    for (const comment of comments) {
-      try {
-        // Get the position of the line in the diff
-        const position = await this.getLinePosition(
-          owner,
-          repo,
-          pullNumber,
-          comment.file,
-          comment.line
-        );
-
-        if (position !== null) {
-          const severityEmoji = this.getSeverityEmoji(comment.severity);
-          const categoryEmoji = this.getCategoryEmoji(comment.category);
-          
-          let body = `${severityEmoji} **${comment.category.toUpperCase()}**: ${comment.comment}`;
-          
-          if (comment.suggestion) {
-            body += `\n\n**Suggestion:**\n\`\`\`\n${comment.suggestion}\n\`\`\``;
-          }
+    const blocking = reviews.filter(review => review.state === 'CHANGES_REQUESTED' && review.user?.login === bot.login);
+    for (const review of blocking) {
+      await octokit.rest.pulls.dismissReview({
+        owner,
+        repo,
+        pull_number: pullNumber,
+        review_id: review.id,
+        message
+      });
+    }
 
-          reviewComments.push({
-            path: comment.file,
-            position: position,
-            body: body
-          });
-        } else {
-          logger.warn('Could not determine line position for comment', {
-            file: comment.file,
-            line: comment.line
-          });
-        }
-      } catch (error) {
-        logger.warn('Error preparing comment', {
-          comment: comment,
-          error: error.message
-        });
-      }
+    logger.info('Dismissed earlier blocking reviews', {
+      owner,
+      repo,
+      pullNumber,
+      dismissed: blocking.length
+    });
+
+    return blocking.map(review => review.id);
+  }
+
+  /**
+   * Prepare inline comments for GitHub review API
+   * @param {Array} comments - Review comments with placements from diffParser.placeComments
+   * @returns {Array} Formatted comments for GitHub API
+   */
+  prepareInlineComments(comments) {
+    return comments
+      .filter(comment => comment.inline && comment.placement && !comment.alreadyRaised)
+      .map(comment => ({
+        path: comment.file,
+        ...comment.placement,
+        body: this.formatCommentBody(comment)
+      }));
+  }
+
+  /**
+   * Format the body of an inline review comment
+   * @param {Object} comment - Review comment
+   * @returns {string} Markdown body
+   */
+  formatCommentBody(comment) {
+    const severityEmoji = this.getSeverityEmoji(comment.severity);
+
+    let body = `${severityEmoji} **${comment.category.toUpperCase()}**: ${comment.comment}`;
+
+    if (comment.suggestion && comment.suggestionApplicable) {
+      // Rendered by GitHub as a suggested change that can be committed from the UI
+      body += `\n\n\`\`\`suggestion\n${comment.suggestion.replace(/\n$/, '')}\n\`\`\``;
+    } else if (comment.suggestion) {
+      body += `\n\n**Suggestion:**\n\`\`\`\n${comment.suggestion}\n\`\`\``;
     }
 
-    return reviewComments;
+    return comment.fingerprint ? embedFingerprint(body, comment.fingerprint) : body;
   }
 
   /**
-   * Get the position of a line in the diff for GitHub API
+   * List the review threads the agent opened on a pull request
+   * Threads are recognised by the fingerprint marker in their first comment. Uses GraphQL
+   * because the REST API doesn't expose whether a thread is resolved or outdated.
    * @param {string} owner - Repository owner
    * @param {string} repo - Repository name
    * @param {number} pullNumber - Pull request number
-   * @param {string} filePath - File path
-   * @param {number} lineNumber - Line number
-   * @returns {Promise<number|null>} Position in diff or null if not found
+   * @returns {Promise<Array>} Threads with fingerprint, path, line, url, isResolved and isOutdated
    */
-  async getLinePosition(owner, repo, pullNumber, filePath, lineNumber) {
-    try {
-      const { data: files } = await this.octokit.rest.pulls.listFiles({
-        owner,
-        repo,
-        pull_number: pullNumber
+  async listReviewThreads(owner, repo, pullNumber) {
+    const octokit = await this.getOctokit(owner, repo);
+    const threads = [];
+    let cursor = null;
+
+    do {
+      const result = await octokit.graphql(REVIEW_THREADS_QUERY, { owner, repo, number: pullNumber, cursor });
+      const { nodes, pageInfo } = result.repository.pullRequest.reviewThreads;
+
+      nodes.forEach(thread => {
+        const firstComment = thread.comments.nodes[0];
+        const fingerprint = extractFingerprint(firstComment?.body);
+        if (fingerprint) {
+          threads.push({
+            id: thread.id,
+            fingerprint,
+            path: thread.path,
+            line: thread.line,
+            isResolved: thread.isResolved,
+            isOutdated: thread.isOutdated,
+            commentId: firstComment.databaseId,
+            url: firstComment.url,
+            body: firstComment.body
+          });
+        }
       });
 
-      const file = files.find(f => f.filename === filePath);
-      if (!file || !file.patch) {
-        return null;
-      }
+      cursor = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+    } while (cursor);
 
-      // Parse the patch to find line positions
-      const patchLines = file.patch.split('\n');
-      let position = 0;
-      let currentLine = 0;
-      let inHunk = false;
-
-      for (const line of patchLines) {
-        if (line.startsWith('@@')) {
-          // Parse hunk header: @@ -oldStart,oldCount +newStart,newCount @@
-          const match = line.match(/@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
-          if (match) {
-            currentLine = parseInt(match[1]) - 1;
-            inHunk = true;
-          }
-          position++;
-          continue;
-        }
-
-        if (!inHunk) {
-          position++;
-          continue;
-        }
+    return threads;
+  }
 
-        if (line.startsWith('+')) {
-          currentLine++;
-          if (currentLine === lineNumber) {
-            return position;
-          }
-        } else if (line.startsWith(' ')) {
-          currentLine++;
-        }
-        // Lines starting with '-' don't increment currentLine as they're deleted
+  /**
+   * List the inline comments of a submitted review
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} pullNumber - Pull request number
+   * @param {number} reviewId - GitHub review ID
+   * @returns {Promise<Array>} Review comments
+   */
+  async listReviewComments(owner, repo, pullNumber, reviewId) {
+    const octokit = await this.getOctokit(owner, repo);
+    return octokit.paginate(octokit.rest.pulls.listCommentsForReview, {
+      owner,
+      repo,
+      pull_number: pullNumber,
+      review_id: reviewId,
+      per_page: 100
+    });
+  }
 
-        position++;
-      }
+  /**
+   * List the reactions on a review comment
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} commentId - Review comment ID
+   * @returns {Promise<Array>} Reactions with content and user
+   */
+  async listCommentReactions(owner, repo, commentId) {
+    const octokit = await this.getOctokit(owner, repo);
+    return octokit.paginate(octokit.rest.reactions.listForPullRequestReviewComment, {
+      owner,
+      repo,
+      comment_id: commentId,
+      per_page: 100
+    });
+  }
 
-      return null;
-    } catch (error) {
-      logger.warn('Error getting line position', {
-        filePath,
-        lineNumber,
-        error: error.message
-      });
-      return null;
-    }
+  /**
+   * List the files changed in a pull request with their patches
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} pullNumber - Pull request number
+   * @returns {Promise<Array>} Files with filename, status and patch
+   */
+  async listPullRequestFiles(owner, repo, pullNumber) {
+    const octokit = await this.getOctokit(owner, repo);
+    return octokit.paginate(octokit.rest.pulls.listFiles, {
+      owner,
+      repo,
+      pull_number: pullNumber,
+      per_page: 100
+    });
   }
 
   /**
-   * Check if a file is binary based on its extension
-   * @param {string} filename - File name
-   * @returns {boolean} True if binary file
+   * Check if a file matches one of the repository's ignore globs
+   * Patterns without a slash match the file name in any directory
+   * @param {string} filename - Path relative to the repository root
+   * @param {Array<string>} ignorePatterns - Glob patterns from .codereview.yml
+   * @returns {boolean} True if the file should not be reviewed
    */
-  isBinaryFile(filename) {
-    const binaryExtensions = [
-      '.png', '.jpg', '.jpeg', '.gif', '.bmp', '.ico', '.svg',
-      '.pdf', '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx',
-      '.zip', '.tar', '.gz', '.rar', '.7z',
-      '.exe', '.dll', '.so', '.dylib',
-      '.mp3', '.mp4', '.avi', '.mov', '.mkv',
-      '.bin', '.dat', '.db', '.sqlite'
-    ];
-
-    const extension = filename.toLowerCase().split('.').pop();
-    return binaryExtensions.includes(`.${extension}`);
+  isIgnoredFile(filename, ignorePatterns) {
+    return ignorePatterns.some(pattern =>
+      minimatch(filename, pattern, { dot: true, matchBase: !pattern.includes('/') })
+    );
   }
 
   /**
@@ -423,50 +738,110 @@ class GitHubService {
   }
 
   /**
-   * Check if the agent has already reviewed this PR
+   * Get the authenticated user (bot) information
+   * Installation tokens can't call /user, so in app mode the app's bot account is derived
+   * from the app slug.
+   * @returns {Promise<Object>} User object
+   */
+  async getBotUser() {
+    if (!this.botUser) {
+      if (githubAuth.isAppMode()) {
+        const { data: app } = await githubAuth.getAppOctokit().rest.apps.getAuthenticated();
+        this.botUser = { login: `${app.slug}[bot]`, type: 'Bot' };
+      } else {
+        const { data: user } = await (await githubAuth.getOctokit()).rest.users.getAuthenticated();
+        this.botUser = user;
+      }
+    }
+    return this.botUser;
+  }
+
+  /**
+   * Get a pull request
    * @param {string} owner - Repository owner
    * @param {string} repo - Repository name
    * @param {number} pullNumber - Pull request number
-   * @returns {Promise<boolean>} True if already reviewed
+   * @returns {Promise<Object>} Pull request object
    */
-  async hasAlreadyReviewed(owner, repo, pullNumber) {
+  async getPullRequest(owner, repo, pullNumber) {
+    const octokit = await this.getOctokit(owner, repo);
+    const { data: pullRequest } = await octokit.rest.pulls.get({
+      owner,
+      repo,
+      pull_number: pullNumber
+    });
+    return pullRequest;
+  }
+
+  /**
+   * Get a user's permission level on a repository
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} username - GitHub login
+   * @returns {Promise<string>} admin, maintain, write, triage, read or none
+   */
+  async getCollaboratorPermission(owner, repo, username) {
     try {
-      const { data: reviews } = await this.octokit.rest.pulls.listReviews({
+      const octokit = await this.getOctokit(owner, repo);
+      const { data } = await octokit.rest.repos.getCollaboratorPermissionLevel({
         owner,
         repo,
-        pull_number: pullNumber
+        username
       });
+      // `role_name` distinguishes maintain/triage, which `permission` folds into write/read
+      return data.role_name || data.permission || 'none';
+    } catch (error) {
+      if (error.status === 404) {
+        return 'none'; // Not a collaborator
+      }
+      throw error;
+    }
+  }
 
-      // Get bot user info first
-      const botUser = await this.getBotUser();
-      
-      // Check if there's a review from our bot user
-      const botReviews = reviews.filter(review => 
-        review.user.login === botUser.login
-      );
-
-      return botReviews.length > 0;
+  /**
+   * Add a reaction to an issue or pull request comment
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} commentId - Issue comment ID
+   * @param {string} content - Reaction (+1, -1, laugh, confused, heart, hooray, rocket, eyes)
+   */
+  async addCommentReaction(owner, repo, commentId, content) {
+    try {
+      const octokit = await this.getOctokit(owner, repo);
+      await octokit.rest.reactions.createForIssueComment({
+        owner,
+        repo,
+        comment_id: commentId,
+        content
+      });
     } catch (error) {
-      logger.warn('Error checking existing reviews', {
+      logger.warn('Failed to add comment reaction', {
         owner,
         repo,
-        pullNumber,
+        commentId,
+        content,
         error: error.message
       });
-      return false;
     }
   }
 
   /**
-   * Get the authenticated user (bot) information
-   * @returns {Promise<Object>} User object
+   * Post a comment on an issue or pull request conversation
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} issueNumber - Issue or pull request number
+   * @param {string} body - Comment body (markdown)
+   * @returns {Promise<Object>} Created comment
    */
-  async getBotUser() {
-    if (!this.botUser) {
-      const { data: user } = await this.octokit.rest.users.getAuthenticated();
-      this.botUser = user;
-    }
-    return this.botUser;
+  async createIssueComment(owner, repo, issueNumber, body) {
+    const octokit = await this.getOctokit(owner, repo);
+    const { data: comment } = await octokit.rest.issues.createComment({
+      owner,
+      repo,
+      issue_number: issueNumber,
+      body
+    });
+    return comment;
   }
 
   /**
@@ -482,13 +857,12 @@ class GitHubService {
 I attempted to review this pull request, but the AI service is currently overloaded. 
 
 **What happened?**
-- The Gemini AI service is experiencing high traffic (503 Service Unavailable)
+- The AI service is experiencing high traffic (503 Service Unavailable)
 - I tried multiple times with exponential backoff but couldn't connect
 
 **What's next?**
-- The review will be retried automatically in a few minutes
-- You can also manually trigger a retry by pushing a new commit
-- Or use the \`/retry\` command in a comment
+- Comment \`/retry\` on this pull request to try again
+- Pushing a new commit also triggers a new review
 
 **Manual Review Checklist:**
 - [ ] Check for security vulnerabilities
@@ -499,7 +873,8 @@ I attempted to review this pull request, but the AI service is currently overloa
 
 Sorry for the inconvenience! The AI will be back online shortly. 🚀`;
 
-      await this.octokit.rest.issues.createComment({
+      const octokit = await this.getOctokit(owner, repo);
+      await octokit.rest.issues.createComment({
         owner,
         repo,
         issue_number: pullNumber,
@@ -517,6 +892,127 @@ Sorry for the inconvenience! The AI will be back online shortly. 🚀`;
       throw error;
     }
   }
+
+  /**
+   * Whether reviews are published as check runs
+   * The Checks API only accepts GitHub App credentials.
+   * @returns {boolean} True when enabled and running as a GitHub App
+   */
+  checkRunsEnabled() {
+    return config.CHECK_RUNS_ENABLED && githubAuth.isAppMode();
+  }
+
+  /**
+   * Create an in-progress check run for a commit
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} headSha - Commit the check belongs to
+   * @param {Object} output - Check output ({title, summary})
+   * @returns {Promise<Object>} Created check run
+   */
+  async createCheckRun(owner, repo, headSha, output) {
+    const octokit = await this.getOctokit(owner, repo);
+    const { data: checkRun } = await octokit.rest.checks.create({
+      owner,
+      repo,
+      name: config.CHECK_RUN_NAME,
+      head_sha: headSha,
+      status: 'in_progress',
+      started_at: new Date().toISOString(),
+      output
+    });
+
+    logger.info('Check run created', { owner, repo, checkRunId: checkRun.id, headSha });
+    return checkRun;
+  }
+
+  /**
+   * Update a check run
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} checkRunId - Check run ID
+   * @param {Object} fields - Fields accepted by the Checks API (status, conclusion, output, actions, ...)
+   * @returns {Promise<Object>} Updated check run
+   */
+  async updateCheckRun(owner, repo, checkRunId, fields) {
+    const octokit = await this.getOctokit(owner, repo);
+    const { data: checkRun } = await octokit.rest.checks.update({
+      owner,
+      repo,
+      check_run_id: checkRunId,
+      ...fields
+    });
+    return checkRun;
+  }
+
+  /**
+   * Complete a check run with annotations
+   * The API takes at most 50 annotations per request, so earlier batches are sent as
+   * updates and the last one completes the run.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} checkRunId - Check run ID
+   * @param {string} conclusion - Check conclusion
+   * @param {Object} output - Check output ({title, summary})
+   * @param {Array} [annotations] - Annotations from buildCheckAnnotations
+   * @param {Array} [actions] - Requested actions shown as buttons on the check
+   * @returns {Promise<Object>} Completed check run
+   */
+  async completeCheckRun(owner, repo, checkRunId, conclusion, output, annotations = [], actions = undefined) {
+    const summary = output.summary.length > CHECK_SUMMARY_LIMIT
+      ? `${output.summary.substring(0, CHECK_SUMMARY_LIMIT - 20)}\n\n_(truncated)_`
+      : output.summary;
+    const batches = [];
+    for (let i = 0; i < annotations.length; i += CHECK_ANNOTATIONS_PER_REQUEST) {
+      batches.push(annotations.slice(i, i + CHECK_ANNOTATIONS_PER_REQUEST));
+    }
+
+    for (const batch of batches.slice(0, -1)) {
+      await this.updateCheckRun(owner, repo, checkRunId, {
+        output: { ...output, summary, annotations: batch }
+      });
+    }
+
+    const checkRun = await this.updateCheckRun(owner, repo, checkRunId, {
+      status: 'completed',
+      conclusion,
+      completed_at: new Date().toISOString(),
+      output: { ...output, summary, annotations: batches[batches.length - 1] || [] },
+      actions
+    });
+
+    logger.info('Check run completed', {
+      owner,
+      repo,
+      checkRunId,
+      conclusion,
+      annotations: annotations.length
+    });
+
+    return checkRun;
+  }
+
+  /**
+   * Turn review findings into check run annotations
+   * Findings on deleted lines have no place in the head commit and are left out.
+   * @param {Array} comments - Review findings
+   * @returns {Array} Annotations for the Checks API
+   */
+  buildCheckAnnotations(comments) {
+    const levels = { error: 'failure', warning: 'warning', suggestion: 'notice' };
+
+    return comments
+      .filter(comment => comment.side !== 'LEFT')
+      .map(comment => ({
+        path: comment.file,
+        start_line: comment.startLine || comment.line,
+        end_line: comment.line,
+        annotation_level: levels[comment.severity] || 'notice',
+        title: `${comment.severity}: ${comment.category}`,
+        message: comment.comment,
+        ...(comment.suggestion ? { raw_details: comment.suggestion } : {})
+      }));
+  }
 }
 
 module.exports = new GitHubService();
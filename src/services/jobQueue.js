@@ -0,0 +1,309 @@
+const ReviewJob = require('../models/ReviewJob');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+class JobQueue {
+  constructor() {
+    this.leaseDuration = config.QUEUE_LEASE_DURATION;
+    this.maxAttempts = config.QUEUE_MAX_ATTEMPTS;
+    this.retryBaseDelay = config.QUEUE_RETRY_BASE_DELAY;
+  }
+
+  /**
+   * Queue a review for processing
+   * Only one job per review is active at a time; triggering a review whose job is
+   * already running flags the job to run once more after it finishes.
+   * @param {Object} review - Review document
+   * @param {string} [trigger] - What caused the job (webhook, retry, recovery, ...)
+   * @returns {Promise<Object>} The active job
+   */
+  async enqueueReview(review, trigger = 'webhook') {
+    try {
+      const job = await ReviewJob.create({
+        review: review._id,
+        owner: review.owner,
+        repo: review.repo,
+        pullNumber: review.pullRequestId,
+        trigger,
+        maxAttempts: this.maxAttempts
+      });
+
+      logger.info('Review job queued', {
+        jobId: job._id,
+        reviewId: review._id,
+        repository: review.repository,
+        pullNumber: review.pullRequestId,
+        trigger
+      });
+
+      return job;
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY_ERROR) {
+        throw error;
+      }
+
+      // The next run takes the latest trigger, so a /review of a paused PR isn't skipped
+      const existing = await ReviewJob.findOneAndUpdate(
+        { review: review._id, active: true, status: 'running' },
+        { $set: { rerunRequested: true, trigger } },
+        { new: true }
+      ) || await ReviewJob.findOneAndUpdate(
+        { review: review._id, active: true, status: 'queued' },
+        { $set: { trigger } },
+        { new: true }
+      ) || await ReviewJob.findActiveForReview(review._id);
+
+      logger.info('Review job already active', {
+        jobId: existing?._id,
+        reviewId: review._id,
+        status: existing?.status,
+        rerunRequested: existing?.rerunRequested
+      });
+
+      return existing;
+    }
+  }
+
+  /**
+   * Claim the next runnable job for a worker
+   * Picks queued jobs that are due and running jobs whose lease expired (stranded by a crash)
+   * @param {string} workerId - Identifier of the claiming worker
+   * @returns {Promise<Object|null>} Claimed job or null when the queue is empty
+   */
+  async claimNext(workerId) {
+    const now = new Date();
+
+    return ReviewJob.findOneAndUpdate(
+      {
+        active: true,
+        $or: [
+          { status: 'queued', runAt: { $lte: now } },
+          { status: 'running', leaseExpiresAt: { $lt: now } }
+        ],
+        $expr: { $lt: ['$attempts', '$maxAttempts'] }
+      },
+      {
+        $set: {
+          status: 'running',
+          lockedBy: workerId,
+          leaseExpiresAt: new Date(now.getTime() + this.leaseDuration),
+          heartbeatAt: now,
+          startedAt: now
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Extend the lease of a running job
+   * @param {Object} job - Job document
+   * @param {string} workerId - Identifier of the owning worker
+   * @returns {Promise<boolean>} False if the worker no longer owns the job
+   */
+  async heartbeat(job, workerId) {
+    const now = new Date();
+    const result = await ReviewJob.updateOne(
+      { _id: job._id, status: 'running', lockedBy: workerId },
+      { $set: { heartbeatAt: now, leaseExpiresAt: new Date(now.getTime() + this.leaseDuration) } }
+    );
+    return result.matchedCount > 0;
+  }
+
+  /**
+   * Mark a job as completed, or queue it again if a rerun was requested meanwhile
+   * Both updates are conditional on the worker still holding the job and on the rerun flag,
+   * so a rerun requested between them isn't lost. The flag is only ever set while the job
+   * runs, so the second round always settles it.
+   * @param {Object} job - Job document
+   * @param {string} workerId - Identifier of the owning worker
+   * @returns {Promise<string|null>} 'requeued', 'completed', or null if the worker lost the job
+   */
+  async complete(job, workerId) {
+    for (let round = 0; round < 2; round++) {
+      const requeued = await ReviewJob.findOneAndUpdate(
+        { _id: job._id, lockedBy: workerId, rerunRequested: true },
+        {
+          $set: { status: 'queued', runAt: new Date(), attempts: 0, rerunRequested: false },
+          $unset: { lockedBy: '', leaseExpiresAt: '' }
+        },
+        { new: true }
+      );
+      if (requeued) {
+        logger.info('Review job requeued for a pending rerun', { jobId: job._id });
+        return 'requeued';
+      }
+
+      const completed = await ReviewJob.findOneAndUpdate(
+        { _id: job._id, lockedBy: workerId, rerunRequested: { $ne: true } },
+        {
+          $set: { status: 'completed', active: false, finishedAt: new Date() },
+          $unset: { leaseExpiresAt: '' }
+        },
+        { new: true }
+      );
+      if (completed) {
+        return 'completed';
+      }
+    }
+
+    logger.warn('Review job no longer held by this worker', { jobId: job._id, workerId });
+    return null;
+  }
+
+  /**
+   * Record a failed attempt
+   * Schedules another attempt with exponential backoff until maxAttempts is reached,
+   * after which the job is dead-lettered. A final attempt whose rerun was requested
+   * meanwhile is requeued with fresh attempts instead, like in complete(), so the push
+   * that asked for it isn't lost. Like complete(), only the worker holding the job updates it.
+   * @param {Object} job - Job document
+   * @param {string} workerId - Identifier of the owning worker
+   * @param {Error} error - Failure cause
+   * @returns {Promise<{owned: boolean, willRetry: boolean, runAt: Date|null}>} Retry decision;
+   *   `owned` is false when another worker holds the job and nothing was recorded
+   */
+  async fail(job, workerId, error) {
+    const unlock = { lockedBy: '', leaseExpiresAt: '' };
+    const outcomes = [];
+
+    if (job.attempts < job.maxAttempts) {
+      const runAt = new Date(Date.now() + this.getBackoffDelay(job.attempts));
+      outcomes.push({
+        filter: { _id: job._id, lockedBy: workerId },
+        update: { $set: { status: 'queued', runAt, lastError: error.message }, $unset: unlock },
+        result: { willRetry: true, runAt },
+        message: 'Review job failed, retry scheduled'
+      });
+    } else {
+      const runAt = new Date();
+      outcomes.push({
+        filter: { _id: job._id, lockedBy: workerId, rerunRequested: true },
+        update: {
+          $set: { status: 'queued', runAt, attempts: 0, rerunRequested: false, lastError: error.message },
+          $unset: unlock
+        },
+        result: { willRetry: true, runAt },
+        message: 'Review job failed on its final attempt, requeued for a pending rerun'
+      }, {
+        filter: { _id: job._id, lockedBy: workerId, rerunRequested: { $ne: true } },
+        update: {
+          $set: { status: 'dead', active: false, finishedAt: new Date(), lastError: error.message },
+          $unset: { leaseExpiresAt: '' }
+        },
+        result: { willRetry: false, runAt: null },
+        message: 'Review job failed permanently'
+      });
+    }
+
+    // rerunRequested only goes from false to true while the job runs, so two rounds settle it
+    for (let round = 0; round < 2; round++) {
+      for (const { filter, update, result, message } of outcomes) {
+        const { matchedCount } = await ReviewJob.updateOne(filter, update);
+        if (matchedCount === 1) {
+          logger.warn(message, {
+            jobId: job._id,
+            reviewId: job.review,
+            attempts: job.attempts,
+            maxAttempts: job.maxAttempts,
+            runAt: result.runAt,
+            error: error.message
+          });
+          return { owned: true, ...result };
+        }
+      }
+    }
+
+    logger.warn('Failed review job no longer held by this worker', { jobId: job._id, workerId, error: error.message });
+    return { owned: false, willRetry: false, runAt: null };
+  }
+
+  /**
+   * Dead-letter running jobs whose lease expired on their final attempt
+   * These can't be reclaimed by claimNext, so they'd otherwise stay active forever.
+   * @returns {Promise<Array>} Jobs this call dead-lettered
+   */
+  async reapExpiredJobs() {
+    const now = new Date();
+    const expired = await ReviewJob.find({
+      active: true,
+      status: 'running',
+      leaseExpiresAt: { $lt: now },
+      $expr: { $gte: ['$attempts', '$maxAttempts'] }
+    });
+
+    // Another instance may reap or reclaim a job between the find and the update
+    const reaped = [];
+    for (const job of expired) {
+      const { modifiedCount } = await ReviewJob.updateOne(
+        { _id: job._id, status: 'running', leaseExpiresAt: job.leaseExpiresAt },
+        {
+          $set: {
+            status: 'dead',
+            active: false,
+            finishedAt: now,
+            lastError: job.lastError || 'Worker lease expired on final attempt'
+          }
+        }
+      );
+      if (modifiedCount === 1) {
+        reaped.push(job);
+      }
+    }
+
+    return reaped;
+  }
+
+  /**
+   * Backoff before the next attempt: base, 2x base, 4x base, ...
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  getBackoffDelay(attempts) {
+    return this.retryBaseDelay * Math.pow(2, Math.max(attempts - 1, 0));
+  }
+
+  /**
+   * Get queue depth and job counts by status
+   * @returns {Promise<Object>} Queue statistics
+   */
+  async getStats() {
+    const now = new Date();
+    const [byStatus, oldestQueued, stranded] = await Promise.all([
+      ReviewJob.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+      ReviewJob.findOne({ status: 'queued' }).sort({ runAt: 1 }).select('runAt'),
+      ReviewJob.countDocuments({ status: 'running', leaseExpiresAt: { $lt: now } })
+    ]);
+
+    const counts = { queued: 0, running: 0, completed: 0, dead: 0 };
+    byStatus.forEach(({ _id, count }) => {
+      counts[_id] = count;
+    });
+
+    return {
+      depth: counts.queued + counts.running,
+      counts,
+      stranded,
+      oldestQueuedAt: oldestQueued?.runAt || null
+    };
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {Object} [filter] - Optional filters
+   * @param {string} [filter.status] - Job status
+   * @param {number} [filter.limit] - Maximum number of jobs (capped at 100)
+   * @returns {Promise<Array>} Jobs
+   */
+  listJobs({ status, limit = 20 } = {}) {
+    const query = status ? { status } : {};
+    return ReviewJob.find(query)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(Math.max(parseInt(limit) || 20, 1), 100));
+  }
+}
+
+module.exports = new JobQueue();
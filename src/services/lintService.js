@@ -0,0 +1,370 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const { ESLint } = require('eslint');
+const js = require('@eslint/js');
+const { builtinRules } = require('eslint/use-at-your-own-risk');
+const githubService = require('./githubService');
+const config = require('../config/config');
+const { parsePatch } = require('../utils/diffParser');
+const logger = require('../utils/logger');
+
+const FLAT_CONFIG_FILES = ['eslint.config.js', 'eslint.config.mjs', 'eslint.config.cjs'];
+const LEGACY_CONFIG_FILES = ['.eslintrc.json', '.eslintrc', '.eslintrc.yml', '.eslintrc.yaml'];
+const LINTED_FILES = ['**/*.{js,jsx,mjs,cjs,ts,tsx}'];
+
+// ESLint rule types mapped to review categories
+const RULE_CATEGORIES = {
+  problem: 'best-practices',
+  suggestion: 'best-practices',
+  layout: 'readability'
+};
+
+// Rules that depend on the runtime environment (browser, Node, test globals), which
+// the agent can't know without the repository's full config
+const ENVIRONMENT_RULES = ['no-undef'];
+
+// Lets a trusted repository config import @eslint/js, globals and the like
+const AGENT_NODE_MODULES = path.join(__dirname, '..', '..', 'node_modules');
+
+class LintService {
+  /**
+   * Whether a file is linted with ESLint
+   * @param {string} filePath - File path
+   * @returns {boolean} True for JavaScript/TypeScript files when linting is enabled
+   */
+  isLintable(filePath) {
+    const { extensions, linting } = config.LANGUAGE_CONFIGS.javascript;
+    return config.LINT_ENABLED && linting.includes('eslint') && extensions.includes(path.extname(filePath));
+  }
+
+  /**
+   * Bundled config for repositories without a usable ESLint config
+   * eslint:recommended as warnings, without environment-dependent rules.
+   * @returns {Array<Object>} Flat config
+   */
+  getBaselineConfig() {
+    const rules = Object.fromEntries(
+      Object.keys(js.configs.recommended.rules)
+        .filter(rule => !ENVIRONMENT_RULES.includes(rule))
+        .map(rule => [rule, 'warn'])
+    );
+
+    return [
+      {
+        files: LINTED_FILES,
+        languageOptions: {
+          ecmaVersion: 'latest',
+          sourceType: 'module',
+          parserOptions: { ecmaFeatures: { jsx: true } }
+        },
+        linterOptions: { reportUnusedDisableDirectives: 'off' },
+        rules
+      },
+      {
+        files: ['**/*.cjs'],
+        languageOptions: { sourceType: 'commonjs' }
+      }
+    ];
+  }
+
+  /**
+   * Find the repository's ESLint config on the base branch
+   * A PR can't change how it is linted. Flat configs (eslint.config.js) are code and are
+   * only used when LINT_TRUST_REPO_CONFIG is set; legacy JSON/YAML configs and
+   * package.json "eslintConfig" are read as data.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} ref - Base branch
+   * @returns {Promise<Object|null>} {type: 'flat', file, content, packageType} or {type: 'legacy', file, config}, null for none
+   */
+  async loadRepoConfig(owner, repo, ref) {
+    const entries = await githubService.listDirectory(owner, repo, '', ref);
+    const packageJson = entries.includes('package.json')
+      ? this.parseConfig('package.json', await githubService.getFileContent(owner, repo, 'package.json', ref))
+      : null;
+
+    const flatFile = FLAT_CONFIG_FILES.find(file => entries.includes(file));
+    if (flatFile && config.LINT_TRUST_REPO_CONFIG) {
+      return {
+        type: 'flat',
+        file: flatFile,
+        content: await githubService.getFileContent(owner, repo, flatFile, ref),
+        packageType: packageJson?.type
+      };
+    }
+    if (flatFile) {
+      logger.info('Repository ESLint flat config not trusted, looking for a legacy config', { owner, repo, file: flatFile });
+    }
+
+    const legacyFile = LEGACY_CONFIG_FILES.find(file => entries.includes(file));
+    if (legacyFile) {
+      const legacyConfig = this.parseConfig(legacyFile, await githubService.getFileContent(owner, repo, legacyFile, ref));
+      return legacyConfig ? { type: 'legacy', file: legacyFile, config: legacyConfig } : null;
+    }
+
+    if (packageJson?.eslintConfig) {
+      return { type: 'legacy', file: 'package.json', config: packageJson.eslintConfig };
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse a JSON or YAML config file
+   * @param {string} file - File name, for logging
+   * @param {string} content - File content
+   * @returns {Object|null} Parsed mapping, or null if it can't be read
+   */
+  parseConfig(file, content) {
+    try {
+      // YAML is a superset of JSON, so this reads both
+      const parsed = yaml.load(content);
+      return parsed !== null && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+    } catch (error) {
+      logger.warn('Invalid ESLint config ignored', { file, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Turn a legacy (.eslintrc) config into flat config layered over the baseline
+   * Only core rules, globals, parser options and ignore patterns carry over: shared
+   * configs and plugins named in "extends"/"plugins" aren't installed here.
+   * @param {Object} legacyConfig - Parsed .eslintrc
+   * @returns {Array<Object>} Flat config entries
+   */
+  translateLegacyConfig(legacyConfig) {
+    const rules = Object.fromEntries(
+      Object.entries(legacyConfig.rules || {})
+        .filter(([rule]) => builtinRules.has(rule) && !ENVIRONMENT_RULES.includes(rule))
+    );
+    const parserOptions = legacyConfig.parserOptions || {};
+    const languageOptions = {};
+    if (parserOptions.ecmaVersion) languageOptions.ecmaVersion = parserOptions.ecmaVersion;
+    if (['module', 'script', 'commonjs'].includes(parserOptions.sourceType)) languageOptions.sourceType = parserOptions.sourceType;
+    if (legacyConfig.globals && typeof legacyConfig.globals === 'object') languageOptions.globals = legacyConfig.globals;
+
+    const entries = [{ files: LINTED_FILES, languageOptions, rules }];
+    const ignores = [].concat(legacyConfig.ignorePatterns || []).filter(pattern => typeof pattern === 'string');
+    if (ignores.length > 0) {
+      entries.push({ ignores });
+    }
+    return entries;
+  }
+
+  /**
+   * Lint the changed JavaScript/TypeScript files of a pull request
+   * The head versions are written to a temporary workspace and linted with ESLint's Node
+   * API; only messages on added lines are kept. Never throws: lint problems must not
+   * fail a review.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} prData - Pull request data from githubService.getPullRequestData
+   * @returns {Promise<Array>} Findings in the review comment shape, with source 'eslint'
+   */
+  async lintPullRequest(owner, repo, prData) {
+    const files = (prData.diff_files || []).filter(file => file.patch && this.isLintable(file.file_path));
+    if (files.length === 0) {
+      return [];
+    }
+
+    let workspace;
+    try {
+      const repoConfig = await this.loadRepoConfig(owner, repo, prData.pr_info?.base_branch).catch(error => {
+        logger.warn('Failed to load repository ESLint config, using the baseline config', { owner, repo, error: error.message });
+        return null;
+      });
+
+      const contents = new Map();
+      await Promise.all(files.map(async file => {
+        const content = prData.head_contents?.[file.file_path] ??
+          await githubService.getFileContent(owner, repo, file.file_path, prData.head_sha);
+        if (content) {
+          contents.set(file.file_path, content);
+        }
+      }));
+
+      // Resolved, so ESLint's absolute result paths map back to the files
+      workspace = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'code-review-lint-')));
+      for (const [filePath, content] of contents) {
+        const target = path.resolve(workspace, filePath);
+        if (!target.startsWith(workspace + path.sep)) {
+          continue; // Never write outside the workspace
+        }
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.writeFile(target, content);
+      }
+
+      const { eslint, results, configSource } = await this.runESLint(workspace, [...contents.keys()], repoConfig);
+      const rulesMeta = eslint.getRulesMetaForResults(results);
+
+      const findings = results.flatMap(result => {
+        const filePath = path.relative(workspace, result.filePath).split(path.sep).join('/');
+        const file = files.find(candidate => candidate.file_path === filePath);
+        return file ? this.toFindings(result.messages, file, contents.get(filePath), rulesMeta) : [];
+      });
+
+      logger.info('ESLint findings on changed lines', {
+        owner,
+        repo,
+        pullNumber: prData.pull_request_id,
+        files: contents.size,
+        config: configSource,
+        findings: findings.length
+      });
+
+      return findings;
+    } catch (error) {
+      logger.warn('ESLint run failed, continuing without lint findings', {
+        owner,
+        repo,
+        pullNumber: prData.pull_request_id,
+        error: error.message
+      });
+      return [];
+    } finally {
+      if (workspace) {
+        await fs.rm(workspace, { recursive: true, force: true }).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Run ESLint in the workspace with the repository's config, or the baseline
+   * @param {string} workspace - Temporary directory holding the files
+   * @param {Array<string>} filePaths - Files to lint, relative to the workspace
+   * @param {Object|null} repoConfig - Result of loadRepoConfig
+   * @returns {Promise<{eslint: ESLint, results: Array, configSource: string}>} Lint results
+   */
+  async runESLint(workspace, filePaths, repoConfig) {
+    if (repoConfig?.type === 'flat') {
+      try {
+        const configFile = path.join(workspace, repoConfig.file);
+        await fs.writeFile(configFile, repoConfig.content);
+        await fs.writeFile(path.join(workspace, 'package.json'), JSON.stringify({ type: repoConfig.packageType || 'commonjs' }));
+        await fs.symlink(AGENT_NODE_MODULES, path.join(workspace, 'node_modules'), 'dir');
+
+        const eslint = new ESLint({ cwd: workspace, overrideConfigFile: configFile, errorOnUnmatchedPattern: false });
+        return { eslint, results: await eslint.lintFiles(filePaths), configSource: repoConfig.file };
+      } catch (error) {
+        logger.warn('Repository ESLint config could not be used, falling back to the baseline config', {
+          file: repoConfig.file,
+          error: error.message
+        });
+      }
+    }
+
+    const overrides = repoConfig?.type === 'legacy' ? this.translateLegacyConfig(repoConfig.config) : [];
+    const eslint = new ESLint({
+      cwd: workspace,
+      overrideConfigFile: true,
+      overrideConfig: [...this.getBaselineConfig(), ...overrides],
+      errorOnUnmatchedPattern: false
+    });
+
+    return {
+      eslint,
+      results: await eslint.lintFiles(filePaths),
+      configSource: repoConfig?.type === 'legacy' ? `${repoConfig.file} (rules only)` : 'baseline'
+    };
+  }
+
+  /**
+   * Convert ESLint messages on added lines into review findings
+   * Parse errors are dropped: without the repository's parser setup they are usually
+   * the linter's problem, not the code's.
+   * @param {Array} messages - ESLint messages of one file
+   * @param {Object} file - Entry from prData.diff_files
+   * @param {string} content - Linted file content
+   * @param {Object} rulesMeta - Rule metadata from ESLint
+   * @returns {Array} Findings
+   */
+  toFindings(messages, file, content, rulesMeta) {
+    const addedLines = new Set(
+      parsePatch(file.patch).flatMap(hunk => hunk.lines.filter(line => line.type === 'add').map(line => line.newLine))
+    );
+    const seen = new Set();
+
+    return messages
+      .filter(message => message.ruleId && !message.fatal && addedLines.has(message.line))
+      .filter(message => {
+        const key = `${message.line}:${message.ruleId}`;
+        if (seen.has(key)) {
+          return false;
+        }
+        seen.add(key);
+        return true;
+      })
+      .map(message => ({
+        file: file.file_path,
+        line: message.line,
+        startLine: null,
+        side: 'RIGHT',
+        severity: message.severity === 2 ? 'error' : 'warning',
+        category: RULE_CATEGORIES[rulesMeta[message.ruleId]?.type] || 'best-practices',
+        comment: `${message.message} (ESLint \`${message.ruleId}\`)`,
+        suggestion: this.getFixedLine(content, message),
+        source: 'eslint',
+        ruleId: message.ruleId
+      }));
+  }
+
+  /**
+   * Apply an ESLint autofix that stays on the reported line
+   * @param {string} content - File content
+   * @param {Object} message - ESLint message
+   * @returns {string|null} The fixed line, or null when there is no single-line fix
+   */
+  getFixedLine(content, message) {
+    if (!message.fix || message.fix.text.includes('\n')) {
+      return null;
+    }
+
+    const lines = content.split('\n');
+    const lineText = lines[message.line - 1];
+    if (lineText === undefined) {
+      return null;
+    }
+
+    const lineStart = lines.slice(0, message.line - 1).reduce((offset, line) => offset + line.length + 1, 0);
+    const [start, end] = message.fix.range;
+    if (start < lineStart || end > lineStart + lineText.length) {
+      return null;
+    }
+
+    return lineText.slice(0, start - lineStart) + message.fix.text + lineText.slice(end - lineStart);
+  }
+
+  /**
+   * Combine ESLint and LLM findings
+   * An LLM finding is dropped when it repeats an ESLint finding on the same line: same
+   * category, or it names the ESLint rule. Other LLM findings on that line are kept.
+   * @param {Array} lintFindings - Findings from lintPullRequest
+   * @param {Array} llmFindings - Findings from llmService.generateReview
+   * @returns {Array} Findings sorted by file and line
+   */
+  mergeFindings(lintFindings, llmFindings) {
+    const lintByLine = new Map();
+    lintFindings.forEach(finding => {
+      const key = `${finding.file}:${finding.line}`;
+      lintByLine.set(key, [...(lintByLine.get(key) || []), finding]);
+    });
+
+    const kept = llmFindings.filter(finding => {
+      const lintOnLine = (finding.side || 'RIGHT') === 'RIGHT' ? lintByLine.get(`${finding.file}:${finding.line}`) : null;
+      return !lintOnLine?.some(lint =>
+        lint.category === finding.category || (lint.ruleId && (finding.comment || '').includes(lint.ruleId))
+      );
+    });
+
+    if (kept.length < llmFindings.length) {
+      logger.debug('Dropped LLM findings repeating ESLint findings', { dropped: llmFindings.length - kept.length });
+    }
+
+    return [...lintFindings, ...kept].sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+  }
+}
+
+module.exports = new LintService();
@@ -0,0 +1,135 @@
+const { Registry, collectDefaultMetrics } = require('../utils/metrics');
+
+const REVIEW_DURATION_BUCKETS = [5, 15, 30, 60, 120, 300, 600, 1200];
+const LLM_LATENCY_BUCKETS = [0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+class MetricsService {
+  constructor() {
+    this.registry = new Registry();
+    this.contentType = 'text/plain; version=0.0.4; charset=utf-8';
+    collectDefaultMetrics(this.registry);
+
+    this.reviewDuration = this.registry.histogram(
+      'code_review_duration_seconds',
+      'Time from picking up a review to finishing it, by outcome.',
+      ['outcome'],
+      REVIEW_DURATION_BUCKETS
+    );
+    this.findings = this.registry.counter(
+      'code_review_findings_total',
+      'Findings produced by reviews, by severity and category.',
+      ['severity', 'category']
+    );
+    this.llmLatency = this.registry.histogram(
+      'llm_request_duration_seconds',
+      'Latency of LLM provider calls, by provider and outcome.',
+      ['provider', 'outcome'],
+      LLM_LATENCY_BUCKETS
+    );
+    this.llmRetries = this.registry.counter(
+      'llm_request_retries_total',
+      'LLM provider calls retried after a transient failure.',
+      ['provider']
+    );
+    this.llmUnavailable = this.registry.counter(
+      'llm_unavailable_errors_total',
+      'LLM provider calls that failed with 503 / overloaded.',
+      ['provider']
+    );
+    this.webhookEvents = this.registry.counter(
+      'github_webhook_events_total',
+      'GitHub webhook deliveries received, by event and action.',
+      ['event', 'action']
+    );
+    this.githubRateLimitRemaining = this.registry.gauge(
+      'github_rate_limit_remaining',
+      'Requests left in the current GitHub API rate limit window, per credential.',
+      ['credential', 'resource']
+    );
+    this.githubRateLimitLimit = this.registry.gauge(
+      'github_rate_limit_limit',
+      'GitHub API rate limit per window, per credential.',
+      ['credential', 'resource']
+    );
+    this.githubRateLimitReset = this.registry.gauge(
+      'github_rate_limit_reset_timestamp_seconds',
+      'When the current GitHub API rate limit window resets, per credential.',
+      ['credential', 'resource']
+    );
+  }
+
+  /**
+   * Start timing a review
+   * @returns {Function} Call with the outcome (completed, no_changes, skipped, parse_failed or failed) when the review ends
+   */
+  startReviewTimer() {
+    const stop = this.reviewDuration.startTimer();
+    return outcome => stop({ outcome });
+  }
+
+  /**
+   * Count the findings of a finished review
+   * @param {Array} comments - Findings with severity and category
+   */
+  recordFindings(comments) {
+    comments.forEach(comment => {
+      this.findings.inc({ severity: comment.severity || 'suggestion', category: comment.category || 'general' });
+    });
+  }
+
+  /**
+   * Start timing an LLM provider call
+   * @param {string} provider - Provider name
+   * @returns {Function} Call with the outcome (success or error) when the call ends
+   */
+  startLlmTimer(provider) {
+    const stop = this.llmLatency.startTimer({ provider });
+    return outcome => stop({ outcome });
+  }
+
+  /**
+   * Record a transient LLM failure
+   * @param {string} provider - Provider name
+   * @param {Error} error - Provider error
+   * @param {boolean} willRetry - Whether the call is retried
+   */
+  recordLlmFailure(provider, error, willRetry) {
+    const status = error.statusCode || error.status;
+    if (status === 503 || error.message?.includes('503') || error.message?.includes('overloaded')) {
+      this.llmUnavailable.inc({ provider });
+    }
+    if (willRetry) {
+      this.llmRetries.inc({ provider });
+    }
+  }
+
+  recordWebhook(event, action) {
+    this.webhookEvents.inc({ event, action: action || 'none' });
+  }
+
+  /**
+   * Track the GitHub quota from x-ratelimit-* response headers
+   * @param {string} credential - Which token made the request (token or installation:<id>)
+   * @param {Object} headers - Response headers
+   */
+  recordGitHubRateLimit(credential, headers) {
+    if (headers?.['x-ratelimit-remaining'] === undefined) {
+      return;
+    }
+
+    const labels = { credential, resource: headers['x-ratelimit-resource'] || 'core' };
+    this.githubRateLimitRemaining.set(labels, Number(headers['x-ratelimit-remaining']));
+    this.githubRateLimitLimit.set(labels, Number(headers['x-ratelimit-limit']));
+    this.githubRateLimitReset.set(labels, Number(headers['x-ratelimit-reset']));
+  }
+
+  /**
+   * Render all metrics for a Prometheus scrape
+   * @returns {string} Exposition text
+   */
+  render() {
+    return this.registry.render();
+  }
+}
+
+module.exports = new MetricsService();
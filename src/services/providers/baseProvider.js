@@ -0,0 +1,36 @@
+/**
+ * Base class for LLM providers
+ * A provider only turns a prompt into raw text; prompt building, parsing and
+ * retries are shared in llmService so every backend yields the same comment shape.
+ */
+class BaseProvider {
+  constructor(name, defaultModel) {
+    this.name = name;
+    this.defaultModel = defaultModel;
+  }
+
+  /**
+   * Generate a completion for a prompt
+   * @param {string} _prompt - Fully built review prompt
+   * @param {Object} [_options] - Generation options
+   * @param {string} [_options.model] - Model override, defaults to the provider's model
+   * @param {Object} [_options.responseSchema] - JSON Schema the output must match; providers
+   *   pass it to the backend's structured output / JSON mode when set
+   * @returns {Promise<{text: string, model: string, usage: Object|null}>} Raw model output and
+   *   token usage ({promptTokens, completionTokens}) when the backend reports it
+   */
+  async generate(_prompt, _options = {}) {
+    throw new Error(`Provider "${this.name}" does not implement generate()`);
+  }
+
+  /**
+   * Resolve the model to use for a request
+   * @param {Object} [options] - Generation options
+   * @returns {string} Model name
+   */
+  resolveModel(options = {}) {
+    return options.model || this.defaultModel;
+  }
+}
+
+module.exports = BaseProvider;
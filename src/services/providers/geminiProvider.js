@@ -0,0 +1,54 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const BaseProvider = require('./baseProvider');
+const config = require('../../config/config');
+const { toGeminiSchema } = require('../../utils/reviewSchema');
+
+/**
+ * Google Gemini provider backed by @google/generative-ai
+ */
+class GeminiProvider extends BaseProvider {
+  constructor() {
+    super('gemini', config.GEMINI_MODEL);
+    this.genAI = new GoogleGenerativeAI(config.GEMINI_API_KEY);
+    this.models = new Map();
+  }
+
+  /**
+   * Get a generative model instance, cached per model name
+   * @param {string} modelName - Gemini model name
+   * @returns {Object} Gemini generative model
+   */
+  getModel(modelName) {
+    if (!this.models.has(modelName)) {
+      this.models.set(modelName, this.genAI.getGenerativeModel({ model: modelName }));
+    }
+    return this.models.get(modelName);
+  }
+
+  async generate(prompt, options = {}) {
+    const model = this.resolveModel(options);
+    const request = options.responseSchema
+      ? {
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        generationConfig: {
+          responseMimeType: 'application/json',
+          responseSchema: toGeminiSchema(options.responseSchema)
+        }
+      }
+      : prompt;
+    const result = await this.getModel(model).generateContent(request);
+    const response = await result.response;
+
+    const usage = response.usageMetadata;
+
+    return {
+      text: response.text(),
+      model,
+      usage: usage
+        ? { promptTokens: usage.promptTokenCount || 0, completionTokens: usage.candidatesTokenCount || 0 }
+        : null
+    };
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,29 @@
+const GeminiProvider = require('./geminiProvider');
+const OpenAIProvider = require('./openaiProvider');
+const OllamaProvider = require('./ollamaProvider');
+const MockProvider = require('./mockProvider');
+
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  openai: OpenAIProvider,
+  ollama: OllamaProvider,
+  mock: MockProvider
+};
+
+/**
+ * Create the LLM provider selected by configuration
+ * @param {string} name - Provider name (gemini, openai, ollama, mock)
+ * @returns {BaseProvider} Provider instance
+ */
+function createProvider(name) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return new Provider();
+}
+
+module.exports = {
+  createProvider,
+  PROVIDERS
+};
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const BaseProvider = require('./baseProvider');
+const config = require('../../config/config');
+const { LLMProviderError } = require('../../middleware/errorHandler');
+const { estimateTokens } = require('../../utils/diffChunker');
+
+/**
+ * Deterministic, fixture-driven provider for tests and offline development
+ *
+ * Fixture format:
+ * {
+ *   "responses": [
+ *     { "match": "src/app.js", "response": [{ "file": "src/app.js", "line": 3, ... }] },
+ *     { "match": "flaky.js", "error": { "status": 503, "message": "overloaded" } }
+ *   ],
+ *   "default": []
+ * }
+ *
+ * The first rule whose `match` string appears in the prompt wins. Responses may be
+ * strings (returned verbatim) or JSON values (serialized). A rule may set `usage`
+ * ({promptTokens, completionTokens}); otherwise token counts are estimated.
+ */
+class MockProvider extends BaseProvider {
+  constructor() {
+    super('mock', 'mock-model');
+    this.calls = [];
+    this.setFixtures(config.MOCK_LLM_FIXTURES ? this.loadFixtures(config.MOCK_LLM_FIXTURES) : {});
+  }
+
+  /**
+   * Load fixtures from a JSON file
+   * @param {string} filePath - Path to the fixture file
+   * @returns {Object} Parsed fixtures
+   */
+  loadFixtures(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  /**
+   * Replace the active fixtures and clear the call log
+   * @param {Object} fixtures - Fixture definition
+   */
+  setFixtures(fixtures) {
+    this.fixtures = {
+      responses: fixtures.responses || [],
+      default: fixtures.default !== undefined ? fixtures.default : []
+    };
+    this.calls = [];
+  }
+
+  async generate(prompt, options = {}) {
+    const model = this.resolveModel(options);
+    this.calls.push({ prompt, model, responseSchema: options.responseSchema || null });
+
+    const rule = this.fixtures.responses.find(candidate => prompt.includes(candidate.match));
+
+    if (rule?.error) {
+      const status = rule.error.status || 500;
+      throw new LLMProviderError(
+        `Mock API error (${status}): ${rule.error.message || 'mock failure'}`,
+        status,
+        this.name,
+        [429, 500, 502, 503, 504].includes(status)
+      );
+    }
+
+    const response = rule ? rule.response : this.fixtures.default;
+    const text = typeof response === 'string' ? response : JSON.stringify(response);
+
+    return {
+      text,
+      model,
+      usage: rule?.usage || { promptTokens: estimateTokens(prompt), completionTokens: estimateTokens(text) }
+    };
+  }
+}
+
+module.exports = MockProvider;
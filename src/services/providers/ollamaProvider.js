@@ -0,0 +1,51 @@
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+const config = require('../../config/config');
+const { LLMProviderError } = require('../../middleware/errorHandler');
+
+/**
+ * Provider for a local or self-hosted Ollama server
+ */
+class OllamaProvider extends BaseProvider {
+  constructor() {
+    super('ollama', config.OLLAMA_MODEL);
+    this.client = axios.create({
+      baseURL: config.OLLAMA_BASE_URL.replace(/\/+$/, ''),
+      timeout: config.LLM_REQUEST_TIMEOUT
+    });
+  }
+
+  async generate(prompt, options = {}) {
+    const model = this.resolveModel(options);
+
+    const body = {
+      model,
+      messages: [{ role: 'user', content: prompt }],
+      stream: false,
+      options: { temperature: 0.2 }
+    };
+    if (options.responseSchema) {
+      body.format = options.responseSchema;
+    }
+
+    let data;
+    try {
+      ({ data } = await this.client.post('/api/chat', body));
+    } catch (error) {
+      throw LLMProviderError.fromHttpError('Ollama', error);
+    }
+
+    const text = data?.message?.content;
+    if (typeof text !== 'string') {
+      throw new LLMProviderError('Ollama API returned no message content', 502, this.name);
+    }
+
+    const usage = data.prompt_eval_count !== undefined
+      ? { promptTokens: data.prompt_eval_count, completionTokens: data.eval_count || 0 }
+      : null;
+
+    return { text, model, usage };
+  }
+}
+
+module.exports = OllamaProvider;
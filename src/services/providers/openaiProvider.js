@@ -0,0 +1,56 @@
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+const config = require('../../config/config');
+const { LLMProviderError } = require('../../middleware/errorHandler');
+const { toStrictSchema } = require('../../utils/reviewSchema');
+
+/**
+ * Provider for OpenAI-compatible chat completion APIs
+ * Works with OpenAI itself and self-hosted servers such as vLLM or llama.cpp
+ */
+class OpenAIProvider extends BaseProvider {
+  constructor() {
+    super('openai', config.OPENAI_MODEL);
+    this.client = axios.create({
+      baseURL: config.OPENAI_BASE_URL.replace(/\/+$/, ''),
+      timeout: config.LLM_REQUEST_TIMEOUT,
+      headers: config.OPENAI_API_KEY ? { Authorization: `Bearer ${config.OPENAI_API_KEY}` } : {}
+    });
+  }
+
+  async generate(prompt, options = {}) {
+    const model = this.resolveModel(options);
+
+    const body = {
+      model,
+      messages: [{ role: 'user', content: prompt }],
+      temperature: 0.2
+    };
+    if (options.responseSchema) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: 'code_review', strict: true, schema: toStrictSchema(options.responseSchema) }
+      };
+    }
+
+    let data;
+    try {
+      ({ data } = await this.client.post('/chat/completions', body));
+    } catch (error) {
+      throw LLMProviderError.fromHttpError('OpenAI-compatible', error);
+    }
+
+    const text = data?.choices?.[0]?.message?.content;
+    if (typeof text !== 'string') {
+      throw new LLMProviderError('OpenAI-compatible API returned no message content', 502, this.name);
+    }
+
+    const usage = data.usage
+      ? { promptTokens: data.usage.prompt_tokens || 0, completionTokens: data.usage.completion_tokens || 0 }
+      : null;
+
+    return { text, model, usage };
+  }
+}
+
+module.exports = OpenAIProvider;
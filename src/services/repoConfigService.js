@@ -0,0 +1,351 @@
+const yaml = require('js-yaml');
+const githubService = require('./githubService');
+const llmService = require('./llmService');
+const config = require('../config/config');
+const { THRESHOLDS, isValidThreshold } = require('../utils/checkConclusion');
+const { APPROVE_THRESHOLDS, isValidApproveThreshold } = require('../utils/reviewVerdict');
+const { CATEGORIES } = require('../utils/reviewSchema');
+const logger = require('../utils/logger');
+
+const CONFIG_FILE = '.codereview.yml';
+
+// Maps the keys accepted under `criteria:` to the REVIEW_CRITERIA flags
+const CRITERIA_KEYS = {
+  security: 'checkSecurity',
+  performance: 'checkPerformance',
+  readability: 'checkReadability',
+  bestPractices: 'checkBestPractices',
+  testing: 'checkTesting',
+  documentation: 'checkDocumentation'
+};
+
+// GitHub's listFiles endpoint returns at most 100 files per page
+const LIMIT_RANGES = {
+  maxFiles: { min: 1, max: 100 },
+  maxFileChanges: { min: 1, max: 10000 }
+};
+
+const CONTEXT_MODES = ['lines', 'function'];
+const MAX_CONTEXT_LINES = 200;
+
+class RepoConfigService {
+  /**
+   * Build the review settings used when a repository has no .codereview.yml
+   * @returns {Object} Default effective configuration
+   */
+  getDefaultConfig() {
+    return {
+      source: 'default',
+      reviewCriteria: { ...config.REVIEW_CRITERIA },
+      ignorePatterns: [],
+      model: llmService.getDefaultModel(),
+      maxFilesPerPR: config.MAX_FILES_PER_PR,
+      maxFileChanges: config.MAX_FILE_CHANGES,
+      contextLines: config.REVIEW_CONTEXT_LINES,
+      contextMode: config.REVIEW_CONTEXT_MODE,
+      checkThresholds: {
+        failOn: config.CHECK_FAIL_ON,
+        neutralOn: config.CHECK_NEUTRAL_ON
+      },
+      verdictPolicy: {
+        requestChangesOn: config.REVIEW_REQUEST_CHANGES_ON,
+        requestChangesCategories: [...config.REVIEW_REQUEST_CHANGES_CATEGORIES],
+        approveUpTo: config.REVIEW_APPROVE_UP_TO
+      },
+      warnings: []
+    };
+  }
+
+  /**
+   * Load the effective review configuration for a repository
+   * Reads .codereview.yml from the base branch so a PR cannot change its own review settings
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} baseRef - Base branch of the pull request
+   * @returns {Promise<Object>} Effective configuration
+   */
+  async loadRepoConfig(owner, repo, baseRef) {
+    let content = '';
+
+    try {
+      content = await githubService.getFileContent(owner, repo, CONFIG_FILE, baseRef);
+    } catch (error) {
+      logger.warn('Failed to fetch repository review config, using defaults', {
+        owner,
+        repo,
+        baseRef,
+        error: error.message
+      });
+      return this.getDefaultConfig();
+    }
+
+    if (!content) {
+      logger.debug('No repository review config found', { owner, repo, baseRef });
+      return this.getDefaultConfig();
+    }
+
+    const effectiveConfig = this.resolveConfig(content);
+
+    logger.info('Loaded repository review config', {
+      owner,
+      repo,
+      baseRef,
+      model: effectiveConfig.model,
+      ignorePatterns: effectiveConfig.ignorePatterns.length,
+      warnings: effectiveConfig.warnings
+    });
+
+    return effectiveConfig;
+  }
+
+  /**
+   * Parse and validate a .codereview.yml document and merge it over the global defaults
+   * Invalid entries are dropped and reported in `warnings` instead of failing the review
+   * @param {string} content - Raw YAML content
+   * @returns {Object} Effective configuration
+   */
+  resolveConfig(content) {
+    const effectiveConfig = this.getDefaultConfig();
+    const { warnings } = effectiveConfig;
+
+    let parsed;
+    try {
+      parsed = yaml.load(content);
+    } catch (error) {
+      warnings.push(`Invalid YAML in ${CONFIG_FILE}: ${error.message}`);
+      return effectiveConfig;
+    }
+
+    if (parsed === null || parsed === undefined) {
+      return effectiveConfig;
+    }
+
+    if (!this.isPlainObject(parsed)) {
+      warnings.push(`${CONFIG_FILE} must contain a mapping at the top level`);
+      return effectiveConfig;
+    }
+
+    effectiveConfig.source = 'repository';
+
+    const knownKeys = ['criteria', 'ignore', 'model', 'limits', 'context', 'checks', 'verdict'];
+    Object.keys(parsed)
+      .filter(key => !knownKeys.includes(key))
+      .forEach(key => warnings.push(`Unknown key "${key}" ignored`));
+
+    if (parsed.criteria !== undefined) {
+      this.applyCriteria(effectiveConfig, parsed.criteria);
+    }
+
+    if (parsed.ignore !== undefined) {
+      this.applyIgnorePatterns(effectiveConfig, parsed.ignore);
+    }
+
+    if (parsed.model !== undefined) {
+      if (typeof parsed.model === 'string' && /^[\w.\-:/]+$/.test(parsed.model.trim())) {
+        effectiveConfig.model = parsed.model.trim();
+      } else {
+        warnings.push('"model" must be a model name string');
+      }
+    }
+
+    if (parsed.limits !== undefined) {
+      this.applyLimits(effectiveConfig, parsed.limits);
+    }
+
+    if (parsed.context !== undefined) {
+      this.applyContext(effectiveConfig, parsed.context);
+    }
+
+    if (parsed.checks !== undefined) {
+      this.applyCheckThresholds(effectiveConfig, parsed.checks);
+    }
+
+    if (parsed.verdict !== undefined) {
+      this.applyVerdictPolicy(effectiveConfig, parsed.verdict);
+    }
+
+    return effectiveConfig;
+  }
+
+  /**
+   * Apply the `criteria` section
+   * @param {Object} effectiveConfig - Configuration being built
+   * @param {*} criteria - Raw `criteria` value
+   */
+  applyCriteria(effectiveConfig, criteria) {
+    const { warnings } = effectiveConfig;
+
+    if (!this.isPlainObject(criteria)) {
+      warnings.push('"criteria" must be a mapping of criterion names to true/false');
+      return;
+    }
+
+    Object.entries(criteria).forEach(([key, value]) => {
+      const flag = CRITERIA_KEYS[key];
+      if (!flag) {
+        warnings.push(`Unknown criterion "${key}" ignored`);
+      } else if (typeof value !== 'boolean') {
+        warnings.push(`Criterion "${key}" must be true or false`);
+      } else {
+        effectiveConfig.reviewCriteria[flag] = value;
+      }
+    });
+  }
+
+  /**
+   * Apply the `ignore` section
+   * @param {Object} effectiveConfig - Configuration being built
+   * @param {*} ignore - Raw `ignore` value
+   */
+  applyIgnorePatterns(effectiveConfig, ignore) {
+    const { warnings } = effectiveConfig;
+    const patterns = typeof ignore === 'string' ? [ignore] : ignore;
+
+    if (!Array.isArray(patterns)) {
+      warnings.push('"ignore" must be a list of glob patterns');
+      return;
+    }
+
+    patterns.forEach(pattern => {
+      if (typeof pattern === 'string' && pattern.trim()) {
+        effectiveConfig.ignorePatterns.push(pattern.trim());
+      } else {
+        warnings.push(`Invalid ignore pattern ${JSON.stringify(pattern)} ignored`);
+      }
+    });
+  }
+
+  /**
+   * Apply the `limits` section
+   * @param {Object} effectiveConfig - Configuration being built
+   * @param {*} limits - Raw `limits` value
+   */
+  applyLimits(effectiveConfig, limits) {
+    const { warnings } = effectiveConfig;
+
+    if (!this.isPlainObject(limits)) {
+      warnings.push('"limits" must be a mapping');
+      return;
+    }
+
+    Object.entries(limits).forEach(([key, value]) => {
+      const range = LIMIT_RANGES[key];
+      if (!range) {
+        warnings.push(`Unknown limit "${key}" ignored`);
+        return;
+      }
+
+      if (!Number.isInteger(value) || value < range.min || value > range.max) {
+        warnings.push(`Limit "${key}" must be an integer between ${range.min} and ${range.max}`);
+        return;
+      }
+
+      if (key === 'maxFiles') {
+        effectiveConfig.maxFilesPerPR = value;
+      } else {
+        effectiveConfig.maxFileChanges = value;
+      }
+    });
+  }
+
+  /**
+   * Apply the `context` section
+   * @param {Object} effectiveConfig - Configuration being built
+   * @param {*} context - Raw `context` value
+   */
+  applyContext(effectiveConfig, context) {
+    const { warnings } = effectiveConfig;
+
+    if (!this.isPlainObject(context)) {
+      warnings.push('"context" must be a mapping');
+      return;
+    }
+
+    Object.entries(context).forEach(([key, value]) => {
+      if (key === 'lines') {
+        if (Number.isInteger(value) && value >= 0 && value <= MAX_CONTEXT_LINES) {
+          effectiveConfig.contextLines = value;
+        } else {
+          warnings.push(`Context "lines" must be an integer between 0 and ${MAX_CONTEXT_LINES}`);
+        }
+      } else if (key === 'mode') {
+        if (CONTEXT_MODES.includes(value)) {
+          effectiveConfig.contextMode = value;
+        } else {
+          warnings.push(`Context "mode" must be one of: ${CONTEXT_MODES.join(', ')}`);
+        }
+      } else {
+        warnings.push(`Unknown context setting "${key}" ignored`);
+      }
+    });
+  }
+
+  /**
+   * Apply the `checks` section
+   * @param {Object} effectiveConfig - Configuration being built
+   * @param {*} checks - Raw `checks` value
+   */
+  applyCheckThresholds(effectiveConfig, checks) {
+    const { warnings } = effectiveConfig;
+
+    if (!this.isPlainObject(checks)) {
+      warnings.push('"checks" must be a mapping');
+      return;
+    }
+
+    Object.entries(checks).forEach(([key, value]) => {
+      if (!['failOn', 'neutralOn'].includes(key)) {
+        warnings.push(`Unknown checks setting "${key}" ignored`);
+      } else if (!isValidThreshold(value)) {
+        warnings.push(`Checks setting "${key}" must be one of: ${THRESHOLDS.join(', ')}`);
+      } else {
+        effectiveConfig.checkThresholds[key] = value;
+      }
+    });
+  }
+
+  /**
+   * Apply the `verdict` section
+   * @param {Object} effectiveConfig - Configuration being built
+   * @param {*} verdict - Raw `verdict` value
+   */
+  applyVerdictPolicy(effectiveConfig, verdict) {
+    const { warnings } = effectiveConfig;
+
+    if (!this.isPlainObject(verdict)) {
+      warnings.push('"verdict" must be a mapping');
+      return;
+    }
+
+    Object.entries(verdict).forEach(([key, value]) => {
+      if (key === 'requestChangesOn') {
+        if (isValidThreshold(value)) {
+          effectiveConfig.verdictPolicy.requestChangesOn = value;
+        } else {
+          warnings.push(`Verdict setting "requestChangesOn" must be one of: ${THRESHOLDS.join(', ')}`);
+        }
+      } else if (key === 'requestChangesCategories') {
+        const categories = [].concat(value ?? []);
+        if (categories.every(category => CATEGORIES.includes(category))) {
+          effectiveConfig.verdictPolicy.requestChangesCategories = categories;
+        } else {
+          warnings.push(`Verdict setting "requestChangesCategories" must list categories from: ${CATEGORIES.join(', ')}`);
+        }
+      } else if (key === 'approveUpTo') {
+        if (isValidApproveThreshold(value)) {
+          effectiveConfig.verdictPolicy.approveUpTo = value;
+        } else {
+          warnings.push(`Verdict setting "approveUpTo" must be one of: ${APPROVE_THRESHOLDS.join(', ')}`);
+        }
+      } else {
+        warnings.push(`Unknown verdict setting "${key}" ignored`);
+      }
+    });
+  }
+
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
+
+module.exports = new RepoConfigService();
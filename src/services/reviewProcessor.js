@@ -0,0 +1,609 @@
+const githubService = require('./githubService');
+const llmService = require('./llmService');
+const repoConfigService = require('./repoConfigService');
+const feedbackService = require('./feedbackService');
+const metricsService = require('./metricsService');
+const usageService = require('./usageService');
+const lintService = require('./lintService');
+const Review = require('../models/Review');
+const { buildLineMap, placeComments, getCodeLines } = require('../utils/diffParser');
+const { createFingerprint, reconcileWithThreads } = require('../utils/fingerprint');
+const { getCheckConclusion, RERUN_ACTION } = require('../utils/checkConclusion');
+const { redactPullRequest, mergeSecretFindings } = require('../utils/secretScanner');
+const { getReviewVerdict, REVIEW_STATE_EVENTS } = require('../utils/reviewVerdict');
+const { ReviewParseError } = require('../middleware/errorHandler');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+class ReviewProcessor {
+  /**
+   * Run the full review pipeline for a pull request
+   * Throws on failure so the job queue can decide whether to retry
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} pullNumber - Pull request number
+   * @param {string} reviewId - Review document ID
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborted when the worker loses the job; checked
+   *   before anything is posted to the pull request
+   * @param {string} [options.trigger] - Trigger of the job; only `command.review` reviews a paused PR
+   * @returns {Promise<void>}
+   */
+  async processReview(owner, repo, pullNumber, reviewId, options = {}) {
+    const { signal, trigger } = options;
+    const stopTimer = metricsService.startReviewTimer();
+
+    try {
+      const review = await Review.findById(reviewId);
+      if (!review) {
+        throw new Error('Review record not found');
+      }
+
+      // Jobs queued before /pause don't run; an explicit /review does
+      if (review.paused && trigger !== 'command.review') {
+        logger.info('Automatic reviews paused for PR, skipping job', { owner, repo, pullNumber, reviewId, trigger });
+        await review.markSkipped('Automatic reviews paused');
+        stopTimer('skipped');
+        return;
+      }
+
+      await review.markInProgress();
+
+      logger.info('Starting code review process', {
+        owner,
+        repo,
+        pullNumber,
+        reviewId
+      });
+
+      // Resolve per-repository settings from the base branch
+      const reviewConfig = await repoConfigService.loadRepoConfig(
+        owner,
+        repo,
+        review.prInfo.baseBranch
+      );
+      review.applyReviewConfig(reviewConfig);
+
+      // Get PR data and files; after a previous review only the newly pushed changes are fetched
+      const prData = await githubService.getPullRequestData(owner, repo, pullNumber, reviewConfig, {
+        sinceSha: review.lastReviewedSha
+      });
+      review.reviewScope = {
+        mode: prData.review_scope.mode,
+        sinceSha: prData.review_scope.since_sha,
+        commits: prData.review_scope.commits,
+        fallbackReason: prData.review_scope.fallback_reason
+      };
+
+      // Mask secrets on added lines before any code reaches the LLM, the linter or the logs
+      const secretFindings = redactPullRequest(prData);
+      if (secretFindings.length > 0) {
+        logger.warn('Secrets found in pull request changes', {
+          owner,
+          repo,
+          pullNumber,
+          secrets: secretFindings.length
+        });
+      }
+      
+      await this.startCheckRun(owner, repo, review, prData);
+
+      // Update review record with files
+      review.filesReviewed = prData.diff_files.map(file => ({
+        filePath: file.file_path,
+        status: file.status,
+        additions: file.additions,
+        deletions: file.deletions,
+        changes: file.changes
+      }));
+      await review.save();
+
+      // Skip if no reviewable files
+      if (prData.diff_files.length === 0) {
+        logger.info('No reviewable files found', {
+          owner,
+          repo,
+          pullNumber,
+          scope: prData.review_scope.mode
+        });
+        signal?.throwIfAborted();
+        await this.completeCheckRun(owner, repo, review, [], 'No reviewable files in this change.');
+        await review.markCompleted(null, prData.head_sha);
+        stopTimer('no_changes');
+        return;
+      }
+
+      // Don't call the LLM for a repository or org that is over its budget
+      const budget = await this.checkBudget(owner, repo);
+      if (budget.exceeded) {
+        signal?.throwIfAborted();
+        await this.skipReview(owner, repo, pullNumber, review, budget.reason);
+        stopTimer('skipped');
+        return;
+      }
+
+      // Generate review using the configured LLM provider, with ESLint findings on changed
+      // JS/TS lines alongside; tokens are accounted even if it fails. Secret findings are
+      // always reported, whatever the LLM says about those lines.
+      let findings;
+      try {
+        const [llmFindings, lintFindings] = await Promise.all([
+          llmService.generateReview(prData, reviewConfig),
+          lintService.lintPullRequest(owner, repo, prData)
+        ]);
+        findings = mergeSecretFindings(secretFindings, lintService.mergeFindings(lintFindings, llmFindings));
+      } catch (error) {
+        // Unreadable model output must not be reported as a clean PR
+        if (!(error instanceof ReviewParseError)) {
+          throw error;
+        }
+        signal?.throwIfAborted();
+        await this.recordParseFailure(owner, repo, pullNumber, review, error);
+        stopTimer('parse_failed');
+        return;
+      } finally {
+        await usageService.recordUsage(review, prData.llm_usage);
+      }
+
+      // Anchor findings to the PR diff; the ones that don't fit go into the summary. In an
+      // incremental review the model saw the changes since the last review, whose old side is
+      // the last reviewed commit rather than the PR base: new-side lines match the PR diff,
+      // deleted-line findings can't be placed and take their code from the reviewed patch.
+      const lineMap = buildLineMap(prData.pr_patches);
+      const incremental = prData.review_scope.mode === 'incremental';
+      const reviewedLineMap = incremental
+        ? buildLineMap(Object.fromEntries(prData.diff_files.map(file => [file.file_path, file.patch])))
+        : lineMap;
+      const placed = placeComments(findings, lineMap, { leftSide: !incremental }).map(comment => ({
+        ...comment,
+        fingerprint: createFingerprint(
+          comment.file,
+          getCodeLines(comment.side === 'LEFT' ? reviewedLineMap : lineMap, comment),
+          comment.comment
+        )
+      }));
+
+      // Don't repost findings that already have an open thread from an earlier review
+      const { comments, outdatedThreads } = await this.reconcileThreads(owner, repo, pullNumber, placed, prData);
+      prData.outdated_threads = outdatedThreads;
+      const unplacedCount = comments.filter(comment => !comment.inline).length;
+      if (unplacedCount > 0) {
+        logger.info('Some findings could not be placed inline', {
+          owner,
+          repo,
+          pullNumber,
+          unplacedCount
+        });
+      }
+      
+      // Approve, request changes or just comment, as the repository's verdict policy says
+      const verdict = await this.decideVerdict(review, comments, prData, reviewConfig);
+
+      // Update review record
+      review.comments = comments;
+      await review.save();
+
+      // Post review to GitHub, unless another worker has taken the job over meanwhile. The
+      // summary is written for the event GitHub accepts, which is a comment on the agent's own PR.
+      signal?.throwIfAborted();
+      let summaryComment;
+      const githubReview = await githubService.postReviewComments(
+        owner,
+        repo,
+        pullNumber,
+        comments,
+        async event => {
+          prData.review_verdict = { ...verdict, event };
+          summaryComment = await llmService.generateSummaryComment(comments, prData);
+          return summaryComment;
+        },
+        prData.head_sha,
+        verdict.event
+      );
+      review.summaryComment = summaryComment;
+
+      // A blocking review from an earlier run no longer applies once nothing blocks
+      if (review.verdict === 'REQUEST_CHANGES' && verdict.blocking === 0) {
+        await this.dismissBlockingReviews(owner, repo, pullNumber);
+      }
+      review.verdict = REVIEW_STATE_EVENTS[githubReview.state] || prData.review_verdict.event;
+      review.openFindings = verdict.openFindings;
+
+      await this.completeCheckRun(owner, repo, review, comments, summaryComment);
+
+      // Link posted comments to their findings so developer feedback can be tracked
+      try {
+        await feedbackService.recordPostedComments(owner, repo, pullNumber, review, githubReview.id);
+      } catch (error) {
+        logger.warn('Failed to start feedback tracking', { owner, repo, pullNumber, error: error.message });
+      }
+
+      // Mark review as completed
+      await review.markCompleted(githubReview.id, prData.head_sha);
+      metricsService.recordFindings(comments);
+      stopTimer('completed');
+
+      logger.info('Code review completed successfully', {
+        owner,
+        repo,
+        pullNumber,
+        reviewId,
+        commentsCount: comments.length,
+        githubReviewId: githubReview.id,
+        scope: prData.review_scope.mode
+      });
+
+    } catch (error) {
+      stopTimer('failed');
+      logger.error('Code review process failed', {
+        owner,
+        repo,
+        pullNumber,
+        reviewId,
+        error: error.message,
+        stack: error.stack
+      });
+
+      // Rethrow for upstream handling
+      throw error;
+    }
+  }
+
+  /**
+   * Match new findings against the agent's existing review threads
+   * If the threads can't be listed every finding is posted, as before fingerprinting.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} pullNumber - Pull request number
+   * @param {Array} comments - Fingerprinted findings
+   * @param {Object} prData - PR data from githubService.getPullRequestData
+   * @returns {Promise<{comments: Array, outdatedThreads: Array}>} Flagged findings and outdated threads
+   */
+  async reconcileThreads(owner, repo, pullNumber, comments, prData) {
+    try {
+      const threads = await githubService.listReviewThreads(owner, repo, pullNumber);
+      const result = reconcileWithThreads(comments, threads, {
+        fullReview: prData.review_scope.mode === 'full',
+        reviewedFiles: new Set(prData.diff_files.map(file => file.file_path))
+      });
+
+      logger.info('Reconciled findings with existing review threads', {
+        owner,
+        repo,
+        pullNumber,
+        existingThreads: threads.length,
+        alreadyRaised: result.comments.filter(comment => comment.alreadyRaised).length,
+        outdatedThreads: result.outdatedThreads.length
+      });
+
+      return result;
+    } catch (error) {
+      logger.warn('Failed to list existing review threads', {
+        owner,
+        repo,
+        pullNumber,
+        error: error.message
+      });
+      return { comments, outdatedThreads: [] };
+    }
+  }
+
+  /**
+   * Decide which event the review is submitted with
+   * After an incremental review, findings from earlier runs in files this run didn't look at
+   * still count. GitHub doesn't let an account approve or block its own pull request, so
+   * those get a plain comment.
+   * @param {Object} review - Review document with the previous run's open findings
+   * @param {Array} comments - Findings of this run
+   * @param {Object} prData - PR data from githubService.getPullRequestData
+   * @param {Object} reviewConfig - Effective repository configuration
+   * @returns {Promise<Object>} event, requested event, blocking and carried counts, and the open findings
+   */
+  async decideVerdict(review, comments, prData, reviewConfig) {
+    const policy = reviewConfig.verdictPolicy || {
+      requestChangesOn: config.REVIEW_REQUEST_CHANGES_ON,
+      requestChangesCategories: config.REVIEW_REQUEST_CHANGES_CATEGORIES,
+      approveUpTo: config.REVIEW_APPROVE_UP_TO
+    };
+
+    const reviewedFiles = new Set(prData.diff_files.map(file => file.file_path));
+    const toOpenFinding = finding => ({
+      file: finding.file,
+      line: finding.line,
+      severity: finding.severity,
+      category: finding.category,
+      fingerprint: finding.fingerprint
+    });
+    const carried = prData.review_scope.mode === 'incremental'
+      ? (review.openFindings || []).filter(finding => !reviewedFiles.has(finding.file)).map(toOpenFinding)
+      : [];
+    const openFindings = [...carried, ...comments.map(toOpenFinding)];
+
+    const { event, blocking } = getReviewVerdict(openFindings, policy);
+    const verdict = {
+      event,
+      requested: event,
+      blocking: blocking.length,
+      carried: blocking.filter(finding => carried.includes(finding)).length,
+      openFindings
+    };
+
+    if (event !== 'COMMENT') {
+      try {
+        const bot = await githubService.getBotUser();
+        if (bot.login === prData.pr_info.author) {
+          verdict.event = 'COMMENT';
+        }
+      } catch (error) {
+        // postReviewComments still falls back if GitHub refuses the verdict
+        logger.warn('Failed to look up the bot account', { error: error.message });
+      }
+    }
+
+    return verdict;
+  }
+
+  /**
+   * Dismiss the agent's earlier reviews that requested changes
+   * Failures are logged; the review itself has already been posted.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} pullNumber - Pull request number
+   */
+  async dismissBlockingReviews(owner, repo, pullNumber) {
+    try {
+      await githubService.dismissBlockingReviews(
+        owner,
+        repo,
+        pullNumber,
+        'The findings that requested changes have been resolved by later pushes.'
+      );
+    } catch (error) {
+      logger.warn('Failed to dismiss earlier blocking reviews', { owner, repo, pullNumber, error: error.message });
+    }
+  }
+
+  /**
+   * Check the LLM budgets of a repository and its owner
+   * If spend can't be read the review goes ahead rather than being blocked.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @returns {Promise<{exceeded: boolean, reason: string|null}>} Budget status
+   */
+  async checkBudget(owner, repo) {
+    try {
+      return await usageService.checkBudget(owner, repo);
+    } catch (error) {
+      logger.warn('Failed to check LLM budget, reviewing anyway', { owner, repo, error: error.message });
+      return { exceeded: false, reason: null };
+    }
+  }
+
+  /**
+   * Skip a review without calling the LLM and tell the PR why
+   * The comment is only posted the first time, so pushes during an exhausted budget don't add noise.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} pullNumber - Pull request number
+   * @param {Object} review - Review document
+   * @param {string} reason - Why the budget is exceeded
+   */
+  async skipReview(owner, repo, pullNumber, review, reason) {
+    const summary = `⏸️ **Review skipped: budget exceeded**\n\n${reason}. The automated review will run again on the next push, \`/review\` or check re-run once the budget allows it.`;
+
+    logger.warn('Skipping review: budget exceeded', { owner, repo, pullNumber, reason });
+
+    if (!review.skipReason) {
+      try {
+        await githubService.createIssueComment(owner, repo, pullNumber, summary);
+      } catch (error) {
+        logger.warn('Failed to post budget comment', { owner, repo, pullNumber, error: error.message });
+      }
+    }
+
+    if (review.checkRun?.id) {
+      try {
+        await githubService.completeCheckRun(owner, repo, review.checkRun.id, 'skipped', {
+          title: 'Review skipped: budget exceeded',
+          summary
+        });
+        review.checkRun.conclusion = 'skipped';
+      } catch (error) {
+        logger.warn('Failed to complete check run', { owner, repo, reviewId: review._id, error: error.message });
+      }
+    }
+
+    review.summaryComment = summary;
+    await review.markSkipped(reason);
+  }
+
+  /**
+   * End a review whose LLM output couldn't be parsed, even after a repair attempt
+   * Nothing is posted as a review; the PR gets a comment and the check run asks for a re-run,
+   * so the result is never mistaken for "no issues".
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} pullNumber - Pull request number
+   * @param {Object} review - Review document
+   * @param {Error} error - ReviewParseError from llmService
+   */
+  async recordParseFailure(owner, repo, pullNumber, review, error) {
+    const summary = `⚠️ **Review incomplete: unreadable model output**\n\nThe model's response could not be parsed into review findings, even after asking it to correct the output, so this PR has **not** been reviewed. Comment \`/retry\` or re-run the check to try again.`;
+
+    logger.error('Review output could not be parsed', {
+      owner,
+      repo,
+      pullNumber,
+      reviewId: review._id,
+      error: error.message,
+      validationErrors: error.validationErrors
+    });
+
+    try {
+      await githubService.createIssueComment(owner, repo, pullNumber, summary);
+    } catch (commentError) {
+      logger.warn('Failed to post parse failure comment', { owner, repo, pullNumber, error: commentError.message });
+    }
+
+    if (review.checkRun?.id) {
+      try {
+        await githubService.completeCheckRun(owner, repo, review.checkRun.id, 'action_required', {
+          title: 'Review output could not be parsed',
+          summary
+        }, [], [RERUN_ACTION]);
+        review.checkRun.conclusion = 'action_required';
+      } catch (checkError) {
+        logger.warn('Failed to complete check run', { owner, repo, reviewId: review._id, error: checkError.message });
+      }
+    }
+
+    review.summaryComment = summary;
+    await review.markParseFailed(error.message);
+  }
+
+  /**
+   * Create the check run for the reviewed commit, or pick up the one left by a failed attempt
+   * Check run failures are logged and never fail the review itself.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} review - Review document
+   * @param {Object} prData - PR data from githubService.getPullRequestData
+   */
+  async startCheckRun(owner, repo, review, prData) {
+    if (!githubService.checkRunsEnabled()) {
+      return;
+    }
+
+    const output = {
+      title: 'Review in progress',
+      summary: `Reviewing ${prData.diff_files.length} file(s)${prData.review_scope.mode === 'incremental' ? ' changed since the last review' : ''}.`
+    };
+
+    try {
+      const current = review.checkRun;
+      if (current?.id && current.headSha === prData.head_sha && !current.conclusion) {
+        await githubService.updateCheckRun(owner, repo, current.id, { status: 'in_progress', output });
+        return;
+      }
+
+      const checkRun = await githubService.createCheckRun(owner, repo, prData.head_sha, output);
+      review.checkRun = { id: checkRun.id, headSha: prData.head_sha, conclusion: null };
+    } catch (error) {
+      logger.warn('Failed to start check run', { owner, repo, reviewId: review._id, error: error.message });
+    }
+  }
+
+  /**
+   * Complete the check run with annotations and the configured conclusion
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} review - Review document
+   * @param {Array} comments - Review findings
+   * @param {string} summary - Markdown summary
+   */
+  async completeCheckRun(owner, repo, review, comments, summary) {
+    if (!review.checkRun?.id) {
+      return;
+    }
+
+    const thresholds = review.reviewConfig?.checkThresholds?.failOn
+      ? review.reviewConfig.checkThresholds
+      : { failOn: config.CHECK_FAIL_ON, neutralOn: config.CHECK_NEUTRAL_ON };
+    const conclusion = getCheckConclusion(comments, thresholds);
+    const title = comments.length === 0 ? 'No issues found' : `${comments.length} finding(s)`;
+
+    try {
+      await githubService.completeCheckRun(
+        owner,
+        repo,
+        review.checkRun.id,
+        conclusion,
+        { title, summary },
+        githubService.buildCheckAnnotations(comments)
+      );
+      review.checkRun.conclusion = conclusion;
+    } catch (error) {
+      logger.warn('Failed to complete check run', { owner, repo, reviewId: review._id, error: error.message });
+    }
+  }
+
+  /**
+   * Reflect a failed attempt on the check run
+   * Retries keep the run in progress; the final failure asks for action with a re-run button.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} review - Review document
+   * @param {Error} error - Failure cause
+   * @param {boolean} willRetry - Whether the job queue scheduled another attempt
+   */
+  async failCheckRun(owner, repo, review, error, willRetry) {
+    if (!review?.checkRun?.id || review.checkRun.conclusion) {
+      return;
+    }
+
+    try {
+      if (willRetry) {
+        await githubService.updateCheckRun(owner, repo, review.checkRun.id, {
+          output: {
+            title: 'Review attempt failed, retrying',
+            summary: `The last attempt failed (${error.message}). Another attempt is scheduled.`
+          }
+        });
+        return;
+      }
+
+      await githubService.completeCheckRun(owner, repo, review.checkRun.id, 'action_required', {
+        title: 'Review failed',
+        summary: `The automated review could not be completed: ${error.message}\n\nUse **${RERUN_ACTION.label}** or re-run this check to try again.`
+      }, [], [RERUN_ACTION]);
+      review.checkRun.conclusion = 'action_required';
+    } catch (checkError) {
+      logger.warn('Failed to update check run after review failure', {
+        owner,
+        repo,
+        reviewId: review._id,
+        error: checkError.message
+      });
+    }
+  }
+
+  /**
+   * Record a failed review attempt on the Review document
+   * Intermediate failures put the review back to pending; the final one marks it
+   * failed and posts the fallback comment if the LLM provider was overloaded.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} pullNumber - Pull request number
+   * @param {string} reviewId - Review document ID
+   * @param {Error} error - Failure cause
+   * @param {boolean} willRetry - Whether the job queue scheduled another attempt
+   */
+  async handleFailure(owner, repo, pullNumber, reviewId, error, willRetry) {
+    const review = await Review.findById(reviewId);
+
+    await this.failCheckRun(owner, repo, review, error, willRetry);
+
+    if (willRetry) {
+      if (review) {
+        await review.markRetryScheduled(error.message);
+      }
+      return;
+    }
+
+    // Post fallback comment if the LLM provider is overloaded
+    if (error.message.includes('503') || error.message.includes('overloaded')) {
+      try {
+        await githubService.postFallbackComment(owner, repo, pullNumber);
+        logger.info('Posted fallback comment due to AI overload', { owner, repo, pullNumber });
+      } catch (fallbackError) {
+        logger.error('Failed to post fallback comment', { error: fallbackError.message });
+      }
+    }
+
+    if (review) {
+      await review.markFailed(error.message);
+    }
+  }
+}
+
+module.exports = new ReviewProcessor();
@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const { AppError } = require('../middleware/errorHandler');
+
+const REVIEW_STATUSES = ['pending', 'in_progress', 'completed', 'failed', 'skipped', 'parse_failed'];
+
+// Sortable fields; `_id` breaks ties so cursors stay stable
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'reviewStartedAt', 'reviewCompletedAt', 'pullRequestId'];
+const DATE_SORT_FIELDS = ['createdAt', 'updatedAt', 'reviewStartedAt', 'reviewCompletedAt'];
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+class ReviewQueryService {
+  /**
+   * Validate list query parameters and turn them into a MongoDB filter
+   * @param {Object} query - Request query (repository, status, author, from, to)
+   * @returns {Object} MongoDB filter
+   */
+  buildFilter({ repository, status, author, from, to } = {}) {
+    const filter = {};
+
+    if (repository) {
+      if (!/^[\w.-]+\/[\w.-]+$/.test(repository)) {
+        throw new AppError('Invalid repository. Use "owner/repo"', 400);
+      }
+      filter.repository = repository;
+    }
+
+    if (status) {
+      const statuses = String(status).split(',');
+      const invalid = statuses.filter(value => !REVIEW_STATUSES.includes(value));
+      if (invalid.length > 0) {
+        throw new AppError(`Invalid status. Use one or more of: ${REVIEW_STATUSES.join(', ')}`, 400);
+      }
+      filter.status = statuses.length === 1 ? statuses[0] : { $in: statuses };
+    }
+
+    if (author) {
+      filter['prInfo.author'] = String(author);
+    }
+
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = this.parseDate(from, 'from');
+      if (to) filter.createdAt.$lte = this.parseDate(to, 'to');
+    }
+
+    return filter;
+  }
+
+  /**
+   * Parse a sort parameter such as "-createdAt" or "pullRequestId"
+   * @param {string} [sort] - Field name, prefixed with "-" for descending order
+   * @returns {{field: string, direction: number}} Sort field and direction (1 or -1)
+   */
+  parseSort(sort = '-createdAt') {
+    const direction = sort.startsWith('-') ? -1 : 1;
+    const field = sort.replace(/^[-+]/, '');
+
+    if (!SORT_FIELDS.includes(field)) {
+      throw new AppError(`Invalid sort. Use one of: ${SORT_FIELDS.join(', ')} (prefix with "-" for descending)`, 400);
+    }
+
+    return { field, direction };
+  }
+
+  parseDate(value, name) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new AppError(`Invalid ${name} date`, 400);
+    }
+    return date;
+  }
+
+  /**
+   * Encode the position after a document as an opaque cursor
+   * @param {Object} review - Last document of a page
+   * @param {string} field - Sort field
+   * @returns {string} Cursor
+   */
+  encodeCursor(review, field) {
+    const value = review[field] instanceof Date ? review[field].toISOString() : review[field];
+    return Buffer.from(JSON.stringify({ value: value ?? null, id: String(review._id) })).toString('base64url');
+  }
+
+  /**
+   * Turn a cursor into a filter matching the documents after it
+   * @param {string} cursor - Cursor from encodeCursor
+   * @param {{field: string, direction: number}} sort - Sort the cursor was created with
+   * @returns {Object} MongoDB filter
+   */
+  cursorFilter(cursor, { field, direction }) {
+    let position;
+    try {
+      position = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    } catch {
+      throw new AppError('Invalid cursor', 400);
+    }
+    if (!position || !mongoose.isValidObjectId(position.id)) {
+      throw new AppError('Invalid cursor', 400);
+    }
+
+    const op = direction === -1 ? '$lt' : '$gt';
+    const id = new mongoose.Types.ObjectId(position.id);
+    const value = position.value !== null && DATE_SORT_FIELDS.includes(field)
+      ? new Date(position.value)
+      : position.value;
+
+    // Documents without the sort field sort first ascending and last descending
+    if (value === null) {
+      return direction === -1
+        ? { [field]: null, _id: { $lt: id } }
+        : { $or: [{ [field]: null, _id: { $gt: id } }, { [field]: { $ne: null } }] };
+    }
+
+    const after = { $or: [{ [field]: { [op]: value } }, { [field]: value, _id: { [op]: id } }] };
+    return direction === -1 ? { $or: [...after.$or, { [field]: null }] } : after;
+  }
+
+  /**
+   * List reviews with filters, sorting and cursor pagination
+   * @param {Object} query - Request query (filters plus sort, limit and cursor)
+   * @returns {Promise<{reviews: Array, nextCursor: string|null}>} One page of reviews
+   */
+  async listReviews(query = {}) {
+    const sort = this.parseSort(query.sort);
+    const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const filter = this.buildFilter(query);
+    const conditions = query.cursor ? { $and: [filter, this.cursorFilter(query.cursor, sort)] } : filter;
+
+    // Fetch one extra document to know whether there is another page
+    const reviews = await Review.find(conditions)
+      .select('-summaryComment -filesReviewed -comments.suggestion')
+      .sort({ [sort.field]: sort.direction, _id: sort.direction })
+      .limit(limit + 1)
+      .lean();
+
+    const hasMore = reviews.length > limit;
+    const page = hasMore ? reviews.slice(0, limit) : reviews;
+
+    return {
+      reviews: page,
+      nextCursor: hasMore ? this.encodeCursor(page[page.length - 1], sort.field) : null
+    };
+  }
+
+  /**
+   * Review statistics for the stats endpoint
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.repository] - Limit to one "owner/repo"
+   * @param {number} [filters.days] - Only reviews created in the last N days (0 for all time)
+   * @returns {Promise<Object>} Totals per status, finding counts and review durations
+   */
+  async getStats({ repository, days } = {}) {
+    const stats = await Review.getReviewStats(days, repository ? { repository } : {});
+    const toCounts = rows => Object.fromEntries(rows.map(row => [row._id || 'unknown', row.count]));
+    const duration = stats.duration[0];
+
+    return {
+      total: stats.byStatus.reduce((sum, row) => sum + row.count, 0),
+      byStatus: Object.fromEntries(stats.byStatus.map(row => [row._id, {
+        count: row.count,
+        avgRetries: Number((row.avgRetries || 0).toFixed(2))
+      }])),
+      findings: {
+        total: stats.bySeverity.reduce((sum, row) => sum + row.count, 0),
+        byCategory: toCounts(stats.byCategory),
+        bySeverity: toCounts(stats.bySeverity)
+      },
+      duration: duration
+        ? {
+          reviews: duration.count,
+          avgMs: Math.round(duration.avgMs),
+          minMs: duration.minMs,
+          maxMs: duration.maxMs
+        }
+        : null
+    };
+  }
+}
+
+module.exports = new ReviewQueryService();
+module.exports.REVIEW_STATUSES = REVIEW_STATUSES;
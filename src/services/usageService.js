@@ -0,0 +1,194 @@
+const LlmUsage = require('../models/LlmUsage');
+const { estimateCost } = require('../utils/llmCost');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const PERIOD_FORMATS = {
+  day: '%Y-%m-%d',
+  month: '%Y-%m'
+};
+
+class UsageService {
+  /**
+   * Add up the provider calls of one review run and price them
+   * @param {Array} calls - Entries of prData.llm_usage
+   * @returns {Object|null} Usage totals with estimated cost, or null when no call was made
+   */
+  summarizeCalls(calls = []) {
+    if (calls.length === 0) {
+      return null;
+    }
+
+    const summary = {
+      provider: calls[0].provider,
+      model: calls[0].model,
+      calls: calls.length,
+      promptTokens: 0,
+      completionTokens: 0,
+      totalTokens: 0,
+      estimatedCost: 0,
+      priced: true
+    };
+
+    calls.forEach(call => {
+      const { cost, priced } = estimateCost(call, call.model, config.LLM_PRICES);
+      summary.promptTokens += call.promptTokens;
+      summary.completionTokens += call.completionTokens;
+      summary.estimatedCost += cost;
+      summary.priced = summary.priced && priced;
+    });
+
+    summary.totalTokens = summary.promptTokens + summary.completionTokens;
+    summary.estimatedCost = Number(summary.estimatedCost.toFixed(6));
+    return summary;
+  }
+
+  /**
+   * Store the usage of a review run on the review and in the usage ledger
+   * Never throws: accounting problems must not fail a review.
+   * @param {Object} review - Review document
+   * @param {Array} calls - Entries of prData.llm_usage
+   * @returns {Promise<Object|null>} Usage totals
+   */
+  async recordUsage(review, calls) {
+    const usage = this.summarizeCalls(calls);
+    if (!usage) {
+      return null;
+    }
+
+    try {
+      review.usage = usage;
+      await LlmUsage.create({
+        review: review._id,
+        repository: review.repository,
+        owner: review.owner,
+        pullRequestId: review.pullRequestId,
+        provider: usage.provider,
+        model: usage.model,
+        calls: usage.calls,
+        promptTokens: usage.promptTokens,
+        completionTokens: usage.completionTokens,
+        totalTokens: usage.totalTokens,
+        cost: usage.estimatedCost,
+        priced: usage.priced
+      });
+
+      logger.info('Recorded LLM usage', {
+        repository: review.repository,
+        pullRequestId: review.pullRequestId,
+        model: usage.model,
+        totalTokens: usage.totalTokens,
+        estimatedCost: usage.estimatedCost
+      });
+    } catch (error) {
+      logger.warn('Failed to record LLM usage', { repository: review.repository, error: error.message });
+    }
+
+    return usage;
+  }
+
+  /**
+   * Resolve the budgets for a repository and its owner
+   * "owner/repo" overrides set repository limits, "owner" overrides set org limits.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @returns {{repository: Object, org: Object}} Daily and monthly USD limits (0 = unlimited)
+   */
+  getBudgets(owner, repo) {
+    const overrides = config.BUDGET_OVERRIDES || {};
+    const repoOverride = overrides[`${owner}/${repo}`] || {};
+    const orgOverride = overrides[owner] || {};
+
+    return {
+      repository: {
+        daily: repoOverride.daily ?? config.BUDGET_REPO_DAILY,
+        monthly: repoOverride.monthly ?? config.BUDGET_REPO_MONTHLY
+      },
+      org: {
+        daily: orgOverride.daily ?? config.BUDGET_ORG_DAILY,
+        monthly: orgOverride.monthly ?? config.BUDGET_ORG_MONTHLY
+      }
+    };
+  }
+
+  /**
+   * Compare this period's spend with the repository and org budgets
+   * Periods are calendar days and months in UTC.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Date} [now] - Current time
+   * @returns {Promise<Object>} {exceeded, reason, budgets, spend}
+   */
+  async checkBudget(owner, repo, now = new Date()) {
+    const budgets = this.getBudgets(owner, repo);
+    const dayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const scopes = [
+      { name: 'repository', label: `${owner}/${repo}`, match: { repository: `${owner}/${repo}` } },
+      { name: 'org', label: owner, match: { owner } }
+    ];
+
+    const spend = {};
+    let reason = null;
+
+    for (const scope of scopes) {
+      spend[scope.name] = {};
+      for (const [period, since] of [['daily', dayStart], ['monthly', monthStart]]) {
+        const limit = budgets[scope.name][period];
+        // Unlimited periods aren't queried
+        spend[scope.name][period] = limit > 0 ? await LlmUsage.getSpendSince(scope.match, since) : null;
+
+        if (!reason && limit > 0 && spend[scope.name][period] >= limit) {
+          reason = `${scope.label} has used $${spend[scope.name][period].toFixed(2)} of its $${limit.toFixed(2)} ${period} LLM budget`;
+        }
+      }
+    }
+
+    return { exceeded: reason !== null, reason, budgets, spend };
+  }
+
+  /**
+   * Tokens and estimated cost per period, grouped by repository or org
+   * @param {Object} [options] - Options
+   * @param {string} [options.period=day] - day or month (UTC)
+   * @param {string} [options.groupBy=repository] - repository or owner
+   * @param {Object} [options.match] - Additional filter, e.g. {owner}
+   * @param {Date} [options.since] - Only usage recorded since this date
+   * @returns {Promise<Array>} Rows sorted by period, newest first
+   */
+  async getRollup({ period = 'day', groupBy = 'repository', match = {}, since } = {}) {
+    const filter = { ...match };
+    if (since) {
+      filter.createdAt = { $gte: since };
+    }
+
+    const rows = await LlmUsage.aggregate([
+      { $match: filter },
+      {
+        $group: {
+          _id: {
+            period: { $dateToString: { format: PERIOD_FORMATS[period], date: '$createdAt' } },
+            key: `$${groupBy}`
+          },
+          reviews: { $sum: 1 },
+          calls: { $sum: '$calls' },
+          promptTokens: { $sum: '$promptTokens' },
+          completionTokens: { $sum: '$completionTokens' },
+          totalTokens: { $sum: '$totalTokens' },
+          cost: { $sum: '$cost' },
+          unpricedReviews: { $sum: { $cond: ['$priced', 0, 1] } }
+        }
+      },
+      { $sort: { '_id.period': -1, cost: -1 } }
+    ]);
+
+    return rows.map(({ _id, cost, ...totals }) => ({
+      period: _id.period,
+      [groupBy]: _id.key,
+      ...totals,
+      estimatedCost: Number(cost.toFixed(4))
+    }));
+  }
+}
+
+module.exports = new UsageService();
@@ -0,0 +1,193 @@
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { AppError } = require('../middleware/errorHandler');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const DUPLICATE_KEY_ERROR = 11000;
+const MAX_REPLAYS_KEPT = 10;
+
+// Headers worth keeping for debugging; the rest is proxy noise
+const STORED_HEADERS = /^(x-github-|x-hub-signature|user-agent$|content-type$)/i;
+
+class WebhookDeliveryService {
+  /**
+   * Keep the GitHub headers of a delivery
+   * @param {Object} headers - Request headers
+   * @returns {Object} Stored headers, lower-cased
+   */
+  pickHeaders(headers = {}) {
+    return Object.fromEntries(
+      Object.entries(headers)
+        .filter(([name]) => STORED_HEADERS.test(name))
+        .map(([name, value]) => [name.toLowerCase(), value])
+    );
+  }
+
+  /**
+   * Store a delivery, or find the stored one when GitHub sends the same delivery again
+   * Only processed deliveries are duplicates. A failed delivery, or one abandoned while it
+   * was being handled, is claimed again so a redelivery can succeed; the claim is atomic, so
+   * two concurrent redeliveries don't both run the handler.
+   * @param {Object} webhook - req.webhook ({event, delivery, payload})
+   * @param {Object} headers - Request headers
+   * @returns {Promise<{delivery: Object, duplicate: boolean}>} The delivery and whether to answer from the log
+   */
+  async recordReceived(webhook, headers) {
+    const { event, delivery: deliveryId, payload } = webhook;
+
+    try {
+      const delivery = await WebhookDelivery.create({
+        deliveryId,
+        event,
+        action: payload.action,
+        repository: payload.repository?.full_name,
+        installationId: payload.installation?.id,
+        headers: this.pickHeaders(headers),
+        payload
+      });
+
+      return { delivery, duplicate: false };
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY_ERROR) {
+        throw error;
+      }
+
+      const now = new Date();
+      const staleBefore = new Date(now.getTime() - config.WEBHOOK_DELIVERY_STALE_SECONDS * 1000);
+      const retried = await WebhookDelivery.findOneAndUpdate(
+        {
+          deliveryId,
+          $or: [
+            { status: 'failed' },
+            { status: 'received', receivedAt: { $lt: staleBefore } }
+          ]
+        },
+        {
+          $inc: { redeliveries: 1 },
+          $set: { status: 'received', receivedAt: now, lastRedeliveredAt: now, error: null }
+        },
+        { new: true }
+      );
+
+      if (retried) {
+        logger.info('Processing webhook delivery again', {
+          event,
+          delivery: deliveryId,
+          redeliveries: retried.redeliveries
+        });
+        return { delivery: retried, duplicate: false };
+      }
+
+      const delivery = await WebhookDelivery.findOneAndUpdate(
+        { deliveryId },
+        { $inc: { redeliveries: 1 }, $set: { lastRedeliveredAt: now } },
+        { new: true }
+      );
+
+      logger.info('Duplicate webhook delivery', {
+        event,
+        delivery: deliveryId,
+        status: delivery?.status,
+        redeliveries: delivery?.redeliveries
+      });
+
+      return { delivery, duplicate: true };
+    }
+  }
+
+  /**
+   * Store how a delivery was handled without failing the request
+   * @param {Object} delivery - WebhookDelivery document
+   * @param {Object} outcome - {statusCode, response, durationMs}
+   */
+  async recordOutcome(delivery, outcome) {
+    try {
+      await delivery.markHandled(outcome);
+    } catch (error) {
+      logger.warn('Failed to record webhook outcome', { delivery: delivery.deliveryId, error: error.message });
+    }
+  }
+
+  /**
+   * Run a stored delivery through the webhook handler again
+   * The handler sees the stored event and payload as if GitHub had sent them, so the
+   * usual side effects (queued reviews, comments) happen again.
+   * @param {string} deliveryId - X-GitHub-Delivery of the stored delivery
+   * @param {Function} handler - Express handler, e.g. githubWebhookController.handleWebhook
+   * @param {string} [replayedBy] - Name of the API key that asked for the replay
+   * @returns {Promise<Object>} {delivery, statusCode, response, durationMs}
+   */
+  async replay(deliveryId, handler, replayedBy) {
+    const delivery = await WebhookDelivery.findByDeliveryId(deliveryId);
+    if (!delivery) {
+      throw new AppError('Webhook delivery not found', 404);
+    }
+
+    const req = {
+      webhook: {
+        event: delivery.event,
+        delivery: delivery.deliveryId,
+        payload: delivery.payload,
+        replay: true
+      },
+      headers: delivery.headers,
+      get: name => delivery.headers[name.toLowerCase()]
+    };
+    const res = {
+      statusCode: 200,
+      body: undefined,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        return this;
+      }
+    };
+
+    logger.info('Replaying webhook delivery', { event: delivery.event, delivery: deliveryId, replayedBy });
+
+    const startedAt = Date.now();
+    let handlerError = null;
+    await handler(req, res, error => {
+      handlerError = error;
+    });
+
+    const replay = {
+      replayedAt: new Date(),
+      replayedBy,
+      statusCode: handlerError ? handlerError.statusCode || 500 : res.statusCode,
+      response: res.body,
+      error: handlerError?.message || (res.body?.processed === false ? res.body.error : undefined),
+      durationMs: Date.now() - startedAt
+    };
+
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id },
+      { $push: { replays: { $each: [replay], $slice: -MAX_REPLAYS_KEPT } } }
+    );
+
+    return { delivery, ...replay };
+  }
+
+  /**
+   * List recent deliveries without their payloads
+   * @param {Object} [filters] - {event, status, repository, limit}
+   * @returns {Promise<Array>} Deliveries, newest first
+   */
+  listDeliveries({ event, status, repository, limit = 50 } = {}) {
+    // Query strings can parse into objects like {$regex: ...}; only compare plain values
+    const query = {};
+    if (event) query.event = String(event);
+    if (status) query.status = String(status);
+    if (repository) query.repository = String(repository);
+
+    return WebhookDelivery.find(query)
+      .select('-payload -response -replays.response')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(Math.max(parseInt(limit) || 50, 1), 200));
+  }
+}
+
+module.exports = new WebhookDeliveryService();
@@ -0,0 +1,52 @@
+const SEVERITY_RANK = {
+  suggestion: 1,
+  warning: 2,
+  error: 3
+};
+
+const THRESHOLDS = [...Object.keys(SEVERITY_RANK), 'never'];
+
+// Button on failed check runs; clicking it sends a check_run `requested_action` webhook
+const RERUN_ACTION = {
+  label: 'Re-run review',
+  description: 'Run the automated review again',
+  identifier: 'rerun_review'
+};
+
+/**
+ * Check whether a value can be used as a conclusion threshold
+ * @param {string} threshold - Severity or "never"
+ * @returns {boolean} True if valid
+ */
+function isValidThreshold(threshold) {
+  return THRESHOLDS.includes(threshold);
+}
+
+/**
+ * Decide the check run conclusion for a set of findings
+ * `failOn` and `neutralOn` are the lowest severities that make the check fail or
+ * neutral; "never" disables a threshold.
+ * @param {Array} comments - Review findings
+ * @param {{failOn: string, neutralOn: string}} thresholds - Conclusion thresholds
+ * @returns {string} success, neutral or failure
+ */
+function getCheckConclusion(comments, thresholds) {
+  const highest = comments.reduce((max, comment) => Math.max(max, SEVERITY_RANK[comment.severity] || 0), 0);
+  const reaches = threshold => highest > 0 && threshold !== 'never' && highest >= (SEVERITY_RANK[threshold] || Infinity);
+
+  if (reaches(thresholds.failOn)) {
+    return 'failure';
+  }
+  if (reaches(thresholds.neutralOn)) {
+    return 'neutral';
+  }
+  return 'success';
+}
+
+module.exports = {
+  SEVERITY_RANK,
+  THRESHOLDS,
+  RERUN_ACTION,
+  isValidThreshold,
+  getCheckConclusion
+};
@@ -0,0 +1,210 @@
+const { parsePatch } = require('./diffParser');
+const { estimateTokens } = require('./diffChunker');
+
+// Lines that open a function, method or class in the languages we commonly review
+const DECLARATION = new RegExp([
+  '^\\s*(export\\s+)?(default\\s+)?(abstract\\s+)?(async\\s+)?(function\\b|class\\b|interface\\b|def\\b|func\\b|fn\\b|impl\\b|struct\\b|module\\b|trait\\b)',
+  '^\\s*(pub(\\(\\w+\\))?\\s+)?(async\\s+)?fn\\b',
+  '^\\s*(export\\s+)?(const|let|var)\\s+[\\w$]+\\s*=\\s*(async\\s+)?(function\\b|\\([^)]*\\)\\s*=>|[\\w$]+\\s*=>)',
+  '^\\s*((public|private|protected|internal|static|final|override|async|virtual)\\s+)+[\\w<>[\\],\\s]*\\(',
+  '^\\s*(async\\s+)?(?!(if|for|while|switch|catch|with|return)\\b)[\\w$]+\\s*\\([^)]*\\)\\s*(:\\s*[\\w<>[\\]|, ]+)?\\s*\\{\\s*$'
+].join('|'));
+
+// Closing lines of a block at the declaration's indentation
+const BLOCK_END = /^\s*(\}|end\b|\)|\])/;
+
+// Enclosing blocks longer than this fall back to the plain line window
+const MAX_BLOCK_LINES = 200;
+
+/**
+ * Indentation width of a line, with tabs counted as one level
+ * @param {string} line - Source line
+ * @returns {number} Leading whitespace length
+ */
+function indentOf(line) {
+  return line.match(/^\s*/)[0].length;
+}
+
+/**
+ * Find the function or class that contains a line
+ * Uses indentation rather than parsing, so it works across languages for conventionally
+ * formatted code; returns null when no declaration encloses the line.
+ * @param {Array<string>} lines - File lines
+ * @param {number} lineNumber - 1-based line number
+ * @returns {{start: number, end: number}|null} 1-based block range
+ */
+function findEnclosingBlock(lines, lineNumber) {
+  const index = lineNumber - 1;
+  if (index < 0 || index >= lines.length) {
+    return null;
+  }
+
+  let start = null;
+  let minIndent = Infinity;
+
+  for (let i = index; i >= 0 && index - i <= MAX_BLOCK_LINES; i--) {
+    if (!lines[i].trim()) {
+      continue;
+    }
+    const indent = indentOf(lines[i]);
+    if (DECLARATION.test(lines[i]) && (i === index || indent < minIndent)) {
+      start = i;
+      break;
+    }
+    minIndent = Math.min(minIndent, indent);
+  }
+
+  if (start === null) {
+    return null;
+  }
+
+  const declarationIndent = indentOf(lines[start]);
+  let end = start;
+
+  for (let i = start + 1; i < lines.length && i - start <= MAX_BLOCK_LINES; i++) {
+    if (!lines[i].trim()) {
+      continue;
+    }
+    const indent = indentOf(lines[i]);
+    if (indent > declarationIndent) {
+      end = i;
+      continue;
+    }
+    if (indent === declarationIndent && BLOCK_END.test(lines[i])) {
+      end = i;
+    }
+    break;
+  }
+
+  if (end - start > MAX_BLOCK_LINES || end < index) {
+    return null;
+  }
+
+  return { start: start + 1, end: end + 1 };
+}
+
+/**
+ * Merge overlapping or adjacent line ranges
+ * @param {Array<{start: number, end: number}>} ranges - Ranges to merge
+ * @returns {Array<{start: number, end: number}>} Sorted, merged ranges
+ */
+function mergeRanges(ranges) {
+  return [...ranges]
+    .sort((a, b) => a.start - b.start)
+    .reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range.start <= last.end + 1) {
+        last.end = Math.max(last.end, range.end);
+      } else {
+        merged.push({ ...range });
+      }
+      return merged;
+    }, []);
+}
+
+/**
+ * Build the code around each hunk of a file from its head version
+ * Changed lines are prefixed with "+", context lines with a space, and gaps between
+ * windows are marked with "...".
+ * @param {string} content - Head version of the file
+ * @param {string} patch - Unified diff of the file
+ * @param {Object} options - Window options
+ * @param {number} options.lines - Lines of context before and after each hunk
+ * @param {string} [options.mode=lines] - "lines" or "function" (enclosing function/class, else the line window)
+ * @returns {string|null} Context text, or null when it adds nothing beyond the diff
+ */
+function buildFileContext(content, patch, { lines: windowLines, mode = 'lines' }) {
+  if (!content || !patch) {
+    return null;
+  }
+
+  const fileLines = content.split('\n');
+  const hunks = parsePatch(patch).filter(hunk => hunk.newLines > 0);
+  if (hunks.length === 0) {
+    return null;
+  }
+
+  const changed = new Set();
+  const hunkRanges = hunks.map(hunk => {
+    hunk.lines.filter(line => line.type === 'add').forEach(line => changed.add(line.newLine));
+    return { start: hunk.newStart, end: hunk.newStart + hunk.newLines - 1 };
+  });
+
+  const windows = hunkRanges.map(range => {
+    const block = mode === 'function' ? findEnclosingBlock(fileLines, range.start) : null;
+    const blockEnd = block && range.end > block.end ? findEnclosingBlock(fileLines, range.end) : block;
+    if (block && blockEnd) {
+      return { start: Math.min(block.start, range.start), end: Math.max(blockEnd.end, range.end) };
+    }
+    return { start: range.start - windowLines, end: range.end + windowLines };
+  }).map(range => ({
+    start: Math.max(range.start, 1),
+    end: Math.min(range.end, fileLines.length)
+  }));
+
+  const merged = mergeRanges(windows);
+  const diffLines = mergeRanges(hunkRanges);
+  const addsContext = merged.some(range => !diffLines.some(hunk => hunk.start <= range.start && range.end <= hunk.end));
+  if (!addsContext) {
+    return null;
+  }
+
+  const width = String(merged[merged.length - 1].end).length;
+  return merged.map(range => {
+    const rangeLines = [];
+    for (let number = range.start; number <= range.end; number++) {
+      const marker = changed.has(number) ? '+' : ' ';
+      rangeLines.push(`${marker} ${String(number).padStart(width)} | ${fileLines[number - 1]}`);
+    }
+    return rangeLines.join('\n');
+  }).join('\n...\n');
+}
+
+/**
+ * Attach surrounding code to diff files within a token budget
+ * Files are handled in order; when a file's context doesn't fit what is left of the
+ * budget, the line window is halved until it fits, and the file gets no context if
+ * even a small window doesn't.
+ * @param {Array<Object>} diffFiles - Entries from prData.diff_files, updated in place
+ * @param {Map<string, string>} contents - Head content per file path
+ * @param {Object} options - Window options
+ * @param {number} options.lines - Lines of context before and after each hunk
+ * @param {string} options.mode - "lines" or "function"
+ * @param {number} options.tokenBudget - Maximum estimated context tokens for all files
+ * @returns {{files: number, tokens: number, reduced: Array<string>}} What was attached
+ */
+function attachFileContexts(diffFiles, contents, { lines, mode, tokenBudget }) {
+  const stats = { files: 0, tokens: 0, reduced: [] };
+
+  diffFiles.forEach(file => {
+    const content = contents.get(file.file_path);
+    let options = { lines, mode };
+    let context = content ? buildFileContext(content, file.patch, options) : null;
+    if (!context) {
+      return;
+    }
+
+    while (context && estimateTokens(context) > tokenBudget - stats.tokens) {
+      options = { lines: Math.floor(options.lines / 2), mode: 'lines' };
+      context = options.lines >= 1 ? buildFileContext(content, file.patch, options) : null;
+    }
+
+    if (options.lines !== lines || options.mode !== mode) {
+      stats.reduced.push(file.file_path);
+    }
+
+    if (context) {
+      file.context = context;
+      stats.files += 1;
+      stats.tokens += estimateTokens(context);
+    }
+  });
+
+  return stats;
+}
+
+module.exports = {
+  findEnclosingBlock,
+  buildFileContext,
+  attachFileContexts
+};
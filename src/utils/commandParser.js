@@ -0,0 +1,49 @@
+const COMMANDS = {
+  review: 'Run a full review of the pull request',
+  retry: 'Retry the last failed review',
+  pause: 'Pause automatic reviews on this pull request',
+  resume: 'Resume automatic reviews on this pull request'
+};
+
+/**
+ * Find the first slash command in a comment body
+ * Commands must start a line; quoted lines ("> /review") and fenced code blocks are
+ * ignored so quoting an earlier command doesn't run it again.
+ * @param {string} body - Comment body
+ * @returns {{name: string, args: Array<string>}|null} Parsed command, or null if none
+ */
+function parseCommand(body) {
+  if (!body) {
+    return null;
+  }
+
+  let inCodeBlock = false;
+
+  for (const rawLine of body.split(/\r?\n/)) {
+    const line = rawLine.trim();
+
+    if (line.startsWith('```') || line.startsWith('~~~')) {
+      inCodeBlock = !inCodeBlock;
+      continue;
+    }
+
+    if (inCodeBlock || line.startsWith('>')) {
+      continue;
+    }
+
+    const match = line.match(/^\/([a-z-]+)\b(.*)$/i);
+    if (match && COMMANDS[match[1].toLowerCase()]) {
+      return {
+        name: match[1].toLowerCase(),
+        args: match[2].trim().split(/\s+/).filter(Boolean)
+      };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  COMMANDS,
+  parseCommand
+};
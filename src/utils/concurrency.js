@@ -0,0 +1,28 @@
+/**
+ * Map over items with at most `limit` promises in flight
+ * Results keep the order of the input; the first rejection rejects the whole call.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async mapper called with (item, index)
+ * @returns {Promise<Array>} Mapped results
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker);
+  await Promise.all(workers);
+
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency
+};
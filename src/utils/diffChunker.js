@@ -0,0 +1,176 @@
+const path = require('path');
+
+// Rough heuristic that holds well enough for code: ~4 characters per token
+const CHARS_PER_TOKEN = 4;
+
+// Tokens added per file for the "### File:" header, status and language lines
+const FILE_OVERHEAD_TOKENS = 40;
+
+/**
+ * Estimate the number of tokens in a piece of text
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimate the prompt tokens used by one diff file, including its surrounding code
+ * @param {Object} file - Entry from prData.diff_files
+ * @returns {number} Estimated token count
+ */
+function estimateFileTokens(file) {
+  return estimateTokens(file.diff) + estimateTokens(file.context) + FILE_OVERHEAD_TOKENS;
+}
+
+/**
+ * Split a unified diff into hunks, each starting at an "@@" header
+ * @param {string} diff - Unified diff of a single file
+ * @returns {Array<string>} Hunks
+ */
+function splitHunks(diff) {
+  const hunks = [];
+  let current = [];
+
+  (diff || '').split('\n').forEach(line => {
+    if (line.startsWith('@@') && current.length > 0) {
+      hunks.push(current.join('\n'));
+      current = [];
+    }
+    current.push(line);
+  });
+
+  if (current.length > 0) {
+    hunks.push(current.join('\n'));
+  }
+
+  return hunks;
+}
+
+/**
+ * Split a file that doesn't fit the budget into parts along hunk boundaries
+ * A single hunk larger than the budget is truncated. Parts carry no surrounding code.
+ * @param {Object} file - Entry from prData.diff_files
+ * @param {number} tokenBudget - Maximum tokens per part
+ * @returns {Array<Object>} File parts with the same shape as the input
+ */
+function splitFile(file, tokenBudget) {
+  const maxChars = Math.max((tokenBudget - FILE_OVERHEAD_TOKENS) * CHARS_PER_TOKEN, CHARS_PER_TOKEN);
+  const parts = [];
+  let current = [];
+  let currentChars = 0;
+
+  const flush = () => {
+    if (current.length > 0) {
+      parts.push(current.join('\n'));
+      current = [];
+      currentChars = 0;
+    }
+  };
+
+  splitHunks(file.diff).forEach(hunk => {
+    let text = hunk;
+    if (text.length > maxChars) {
+      text = `${text.substring(0, maxChars - 40)}\n... (hunk truncated to fit the review budget)`;
+    }
+    if (currentChars + text.length > maxChars) {
+      flush();
+    }
+    current.push(text);
+    currentChars += text.length + 1;
+  });
+  flush();
+
+  return parts.map((diff, index) => ({
+    ...file,
+    diff,
+    context: null,
+    part: { index: index + 1, total: parts.length }
+  }));
+}
+
+/**
+ * Group files by directory so related changes land in the same batch
+ * @param {Array<Object>} diffFiles - Entries from prData.diff_files
+ * @returns {Array<Array<Object>>} Groups sorted by directory
+ */
+function groupByDirectory(diffFiles) {
+  const groups = new Map();
+
+  diffFiles.forEach(file => {
+    const directory = path.posix.dirname(file.file_path);
+    if (!groups.has(directory)) {
+      groups.set(directory, []);
+    }
+    groups.get(directory).push(file);
+  });
+
+  return [...groups.keys()].sort().map(directory => groups.get(directory));
+}
+
+/**
+ * Pack diff files into batches that each fit a token budget
+ * Files in the same directory are kept together when possible; oversized files lose
+ * their surrounding code and, if still too large, are split along hunk boundaries.
+ * @param {Array<Object>} diffFiles - Entries from prData.diff_files
+ * @param {number} tokenBudget - Maximum estimated diff tokens per batch
+ * @returns {Array<{files: Array<Object>, tokens: number}>} Batches
+ */
+function chunkDiffFiles(diffFiles, tokenBudget) {
+  const batches = [];
+  let current = { files: [], tokens: 0 };
+
+  const flush = () => {
+    if (current.files.length > 0) {
+      batches.push(current);
+      current = { files: [], tokens: 0 };
+    }
+  };
+
+  const add = file => {
+    const tokens = estimateFileTokens(file);
+    if (current.tokens + tokens > tokenBudget) {
+      flush();
+    }
+    current.files.push(file);
+    current.tokens += tokens;
+  };
+
+  groupByDirectory(diffFiles).forEach(group => {
+    const groupTokens = group.reduce((sum, file) => sum + estimateFileTokens(file), 0);
+
+    // Start a fresh batch rather than splitting a group that would fit in one
+    if (current.tokens + groupTokens > tokenBudget && groupTokens <= tokenBudget) {
+      flush();
+    }
+
+    group.forEach(file => {
+      // Surrounding code is the first thing to go when a file doesn't fit
+      if (file.context && estimateFileTokens(file) > tokenBudget) {
+        file = { ...file, context: null };
+      }
+
+      if (estimateFileTokens(file) > tokenBudget) {
+        flush();
+        splitFile(file, tokenBudget).forEach(part => {
+          add(part);
+          flush();
+        });
+      } else {
+        add(file);
+      }
+    });
+  });
+  flush();
+
+  return batches;
+}
+
+module.exports = {
+  estimateTokens,
+  estimateFileTokens,
+  splitHunks,
+  splitFile,
+  chunkDiffFiles
+};
@@ -0,0 +1,207 @@
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+/**
+ * Parse a unified diff patch (as returned by the GitHub files API) into hunks
+ * @param {string} patch - Patch of a single file
+ * @returns {Array<Object>} Hunks with typed lines and their old/new line numbers
+ */
+function parsePatch(patch) {
+  const hunks = [];
+  let hunk = null;
+  let oldLine = 0;
+  let newLine = 0;
+
+  (patch || '').split('\n').forEach(text => {
+    const header = text.match(HUNK_HEADER);
+    if (header) {
+      oldLine = parseInt(header[1]);
+      newLine = parseInt(header[3]);
+      hunk = {
+        oldStart: oldLine,
+        oldLines: header[2] === undefined ? 1 : parseInt(header[2]),
+        newStart: newLine,
+        newLines: header[4] === undefined ? 1 : parseInt(header[4]),
+        lines: []
+      };
+      hunks.push(hunk);
+      return;
+    }
+
+    if (!hunk || text.startsWith('\\')) {
+      return; // Outside a hunk, or "\ No newline at end of file"
+    }
+
+    if (text.startsWith('+')) {
+      hunk.lines.push({ type: 'add', oldLine: null, newLine: newLine++, content: text.substring(1) });
+    } else if (text.startsWith('-')) {
+      hunk.lines.push({ type: 'del', oldLine: oldLine++, newLine: null, content: text.substring(1) });
+    } else {
+      hunk.lines.push({ type: 'context', oldLine: oldLine++, newLine: newLine++, content: text.substring(1) });
+    }
+  });
+
+  return hunks;
+}
+
+/**
+ * Build a lookup of commentable lines per file
+ * RIGHT holds added and context lines by new line number, LEFT holds deleted and
+ * context lines by old line number; each entry remembers its hunk so ranges can be
+ * checked against GitHub's same-hunk rule.
+ * @param {Object<string, string>} patches - Patch per file path
+ * @returns {Map<string, {RIGHT: Map, LEFT: Map, hunks: Array}>} Line map
+ */
+function buildLineMap(patches) {
+  const lineMap = new Map();
+
+  Object.entries(patches || {}).forEach(([filePath, patch]) => {
+    const hunks = parsePatch(patch);
+    const entry = { RIGHT: new Map(), LEFT: new Map(), hunks };
+
+    hunks.forEach((hunk, hunkIndex) => {
+      hunk.lines.forEach(line => {
+        const info = { ...line, hunkIndex };
+        if (line.newLine !== null) entry.RIGHT.set(line.newLine, info);
+        if (line.oldLine !== null) entry.LEFT.set(line.oldLine, info);
+      });
+    });
+
+    lineMap.set(filePath, entry);
+  });
+
+  return lineMap;
+}
+
+/**
+ * Work out where a finding can be attached in the pull request diff
+ * A range whose start can't be placed is narrowed to its last line; a finding whose
+ * line isn't part of the diff on its side can't be placed at all.
+ * @param {Map} lineMap - Result of buildLineMap
+ * @param {Object} comment - Finding with file, line and optional startLine/side
+ * @param {Object} [options]
+ * @param {boolean} [options.leftSide=true] - False when the finding's old-side line numbers
+ *   come from a different diff than lineMap, so deleted-line findings can't be placed
+ * @returns {{placement: Object|null, reason: string|null}} GitHub line/side fields, or why not
+ */
+function resolvePlacement(lineMap, comment, { leftSide = true } = {}) {
+  const entry = lineMap.get(comment.file);
+  if (!entry) {
+    return { placement: null, reason: 'file is not part of the diff' };
+  }
+
+  const side = comment.side === 'LEFT' ? 'LEFT' : 'RIGHT';
+  if (side === 'LEFT' && !leftSide) {
+    return { placement: null, reason: 'deleted line since the last review, not in the pull request base' };
+  }
+  const end = entry[side].get(comment.line);
+  if (!end) {
+    return { placement: null, reason: `line ${comment.line} is not part of the diff` };
+  }
+
+  const placement = { line: comment.line, side };
+
+  if (comment.startLine && comment.startLine < comment.line) {
+    const start = entry[side].get(comment.startLine);
+    if (start && start.hunkIndex === end.hunkIndex) {
+      placement.start_line = comment.startLine;
+      placement.start_side = side;
+    }
+  }
+
+  return { placement, reason: null };
+}
+
+/**
+ * Get the diff lines a finding refers to
+ * @param {Map} lineMap - Result of buildLineMap
+ * @param {Object} comment - Finding with file, line and optional startLine/side
+ * @returns {Array<string>} Line contents, empty when the lines aren't in the diff
+ */
+function getCodeLines(lineMap, comment) {
+  const entry = lineMap.get(comment.file);
+  if (!entry) {
+    return [];
+  }
+
+  const lines = entry[comment.side === 'LEFT' ? 'LEFT' : 'RIGHT'];
+  const contents = [];
+  for (let line = comment.startLine || comment.line; line <= comment.line; line++) {
+    if (lines.has(line)) {
+      contents.push(lines.get(line).content);
+    }
+  }
+
+  return contents;
+}
+
+/**
+ * Check whether a suggestion can be posted as a GitHub suggested change
+ * The replaced range must be on the new side of the diff and applying the suggestion
+ * must actually change those lines.
+ * @param {Map} lineMap - Result of buildLineMap
+ * @param {Object} comment - Finding with suggestion
+ * @param {Object} placement - Placement returned by resolvePlacement
+ * @returns {{applicable: boolean, reason: string|null}} Result of the check
+ */
+function checkSuggestion(lineMap, comment, placement) {
+  if (!comment.suggestion) {
+    return { applicable: false, reason: 'no suggestion' };
+  }
+  if (placement.side !== 'RIGHT') {
+    return { applicable: false, reason: 'suggestions can only replace lines of the new file' };
+  }
+  if (comment.startLine && !placement.start_line) {
+    return { applicable: false, reason: 'suggested range is not within one hunk' };
+  }
+  if (comment.suggestion.includes('```')) {
+    return { applicable: false, reason: 'suggestion contains a code fence' };
+  }
+
+  const entry = lineMap.get(comment.file);
+  const startLine = placement.start_line || placement.line;
+  const current = [];
+  for (let line = startLine; line <= placement.line; line++) {
+    const info = entry.RIGHT.get(line);
+    if (!info) {
+      return { applicable: false, reason: `line ${line} is not part of the diff` };
+    }
+    current.push(info.content);
+  }
+
+  const replacement = comment.suggestion.replace(/\r\n/g, '\n').replace(/\n$/, '');
+  if (replacement === current.join('\n')) {
+    return { applicable: false, reason: 'suggestion does not change the code' };
+  }
+
+  return { applicable: true, reason: null };
+}
+
+/**
+ * Attach placements to findings and flag the ones that can't be posted inline
+ * Suggestions that pass checkSuggestion are marked `suggestionApplicable` so they
+ * can be rendered as one-click suggested changes.
+ * @param {Array} comments - Findings
+ * @param {Map} lineMap - Result of buildLineMap
+ * @param {Object} [options] - Passed to resolvePlacement
+ * @returns {Array} Findings with `placement` and `inline` set (and `placementError` when not inline)
+ */
+function placeComments(comments, lineMap, options = {}) {
+  return comments.map(comment => {
+    const { placement, reason } = resolvePlacement(lineMap, comment, options);
+    if (!placement) {
+      return { ...comment, placement: null, inline: false, placementError: reason, suggestionApplicable: false };
+    }
+
+    const suggestion = checkSuggestion(lineMap, comment, placement);
+    return { ...comment, placement, inline: true, suggestionApplicable: suggestion.applicable };
+  });
+}
+
+module.exports = {
+  parsePatch,
+  buildLineMap,
+  resolvePlacement,
+  getCodeLines,
+  checkSuggestion,
+  placeComments
+};
@@ -0,0 +1,174 @@
+const { minimatch } = require('minimatch');
+
+const BINARY_EXTENSIONS = [
+  '.png', '.jpg', '.jpeg', '.gif', '.bmp', '.ico', '.svg', '.webp',
+  '.pdf', '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx',
+  '.zip', '.tar', '.gz', '.rar', '.7z', '.jar',
+  '.exe', '.dll', '.so', '.dylib', '.wasm',
+  '.mp3', '.mp4', '.avi', '.mov', '.mkv',
+  '.woff', '.woff2', '.ttf', '.eot',
+  '.bin', '.dat', '.db', '.sqlite'
+];
+
+// Written by package managers; reviewing them costs tokens without finding anything actionable
+const LOCKFILES = [
+  'package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml', 'bun.lockb',
+  'composer.lock', 'Gemfile.lock', 'Cargo.lock', 'poetry.lock', 'Pipfile.lock', 'uv.lock',
+  'go.sum', 'mix.lock', 'pubspec.lock', 'Podfile.lock', 'packages.lock.json', 'flake.lock',
+  'gradle.lockfile'
+];
+
+// Directories that hold third-party code, at any depth
+const VENDORED_PATH = /(^|\/)(node_modules|vendor|third[_-]party|bower_components|Pods)\//;
+
+// File names and directories produced by build tools and code generators
+const GENERATED_PATHS = [
+  { pattern: /\.min\.(js|mjs|css)$/, reason: 'minified file' },
+  { pattern: /\.(js|mjs|css)\.map$/, reason: 'source map' },
+  { pattern: /\.snap$/, reason: 'test snapshot' },
+  { pattern: /(\.pb\.(go|cc|h|swift)|_pb2(_grpc)?\.pyi?|_(grpc_)?pb\.(js|d\.ts))$/, reason: 'protobuf output' },
+  { pattern: /\.(g|freezed)\.dart$|\.designer\.cs$|\.generated\.\w+$/, reason: 'generated source' },
+  { pattern: /(^|\/)__generated__\//, reason: 'generated source' },
+  { pattern: /(^|\/)(dist|coverage)\//, reason: 'build output' }
+];
+
+// Headers code generators put at the top of their output
+const GENERATED_HEADERS = [
+  /\bDO NOT EDIT\b/,
+  /@generated\b/,
+  /\bthis (file|code) (is|was|has been) (automatically |auto-?)?generated\b/i
+];
+const HEADER_LINES = 10;
+
+// Minified code has few, very long lines; short files are never treated as minified
+const MIN_MINIFIED_LENGTH = 1000;
+const MINIFIED_AVERAGE_LINE_LENGTH = 500;
+
+/**
+ * Parse the linguist attributes of a .gitattributes file
+ * `linguist-generated` / `linguist-vendored` (or `=true`) mark matching files, `-attr` or
+ * `attr=false` unmark them and `!attr` falls back to the heuristics.
+ * @param {string} text - .gitattributes content
+ * @returns {Array<{pattern: string, anchored: boolean, generated?: boolean|null, vendored?: boolean|null}>} Rules in file order
+ */
+function parseGitAttributes(text) {
+  return String(text || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => {
+      const [pattern, ...attributes] = line.split(/\s+/);
+      const rule = { pattern: pattern.replace(/^\//, ''), anchored: pattern.includes('/') };
+
+      attributes.forEach(attribute => {
+        const match = /^([-!]?)linguist-(generated|vendored)(?:=(true|false))?$/.exec(attribute);
+        if (!match) {
+          return;
+        }
+        const [, prefix, name, value] = match;
+        if (prefix === '!') {
+          rule[name] = null;
+        } else {
+          rule[name] = prefix !== '-' && value !== 'false';
+        }
+      });
+
+      return rule;
+    })
+    .filter(rule => rule.generated !== undefined || rule.vendored !== undefined);
+}
+
+/**
+ * Resolve the linguist attributes of a file; like git, the last matching rule wins
+ * @param {string} filePath - Path relative to the repository root
+ * @param {Array} rules - Rules from parseGitAttributes
+ * @returns {{generated?: boolean|null, vendored?: boolean|null}} Explicit settings for the file
+ */
+function getLinguistAttributes(filePath, rules) {
+  const attributes = {};
+  rules
+    .filter(rule => minimatch(filePath, rule.pattern, { dot: true, matchBase: !rule.anchored }))
+    .forEach(rule => {
+      ['generated', 'vendored'].forEach(name => {
+        if (rule[name] !== undefined) {
+          attributes[name] = rule[name];
+        }
+      });
+    });
+  return attributes;
+}
+
+/**
+ * Classify a file from its path as binary, a lockfile, vendored or generated
+ * Attributes in .gitattributes take precedence over the built-in name heuristics.
+ * @param {string} filePath - Path relative to the repository root
+ * @param {Array} [rules=[]] - Rules from parseGitAttributes
+ * @returns {{kind: string, reason: string}|null} Why the file shouldn't be reviewed, null if it should
+ */
+function classifyPath(filePath, rules = []) {
+  const attributes = getLinguistAttributes(filePath, rules);
+  const fileName = filePath.split('/').pop();
+  const extension = fileName.includes('.') ? `.${fileName.split('.').pop().toLowerCase()}` : '';
+
+  if (BINARY_EXTENSIONS.includes(extension)) {
+    return { kind: 'binary', reason: 'binary file' };
+  }
+  if (attributes.vendored) {
+    return { kind: 'vendored', reason: 'marked linguist-vendored in .gitattributes' };
+  }
+  if (attributes.generated) {
+    return { kind: 'generated', reason: 'marked linguist-generated in .gitattributes' };
+  }
+
+  if (attributes.generated !== false && LOCKFILES.includes(fileName)) {
+    return { kind: 'lockfile', reason: 'lockfile' };
+  }
+  if (attributes.vendored !== false) {
+    const vendored = VENDORED_PATH.exec(filePath);
+    if (vendored) {
+      return { kind: 'vendored', reason: `vendored code (${vendored[2]}/)` };
+    }
+  }
+  if (attributes.generated !== false) {
+    const generated = GENERATED_PATHS.find(({ pattern }) => pattern.test(filePath));
+    if (generated) {
+      return { kind: 'generated', reason: generated.reason };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Classify a file from its content as generated or minified
+ * Only pass whole file versions: the first lines of a hunk aren't the file's header.
+ * @param {string} filePath - Path relative to the repository root
+ * @param {string} content - Full content of one version of the file
+ * @param {Array} [rules=[]] - Rules from parseGitAttributes; `-linguist-generated` turns the checks off
+ * @returns {{kind: string, reason: string}|null} Why the file shouldn't be reviewed, null if it should
+ */
+function classifyContent(filePath, content, rules = []) {
+  if (!content || getLinguistAttributes(filePath, rules).generated === false) {
+    return null;
+  }
+
+  const lines = content.split('\n');
+  const header = lines.slice(0, HEADER_LINES).join('\n');
+  if (GENERATED_HEADERS.some(pattern => pattern.test(header))) {
+    return { kind: 'generated', reason: 'generated-code header' };
+  }
+
+  const averageLineLength = Math.round(content.length / lines.length);
+  if (content.length >= MIN_MINIFIED_LENGTH && averageLineLength > MINIFIED_AVERAGE_LINE_LENGTH) {
+    return { kind: 'generated', reason: `minified (average line length ${averageLineLength})` };
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseGitAttributes,
+  getLinguistAttributes,
+  classifyPath,
+  classifyContent
+};
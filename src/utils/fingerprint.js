@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+
+// Hidden marker appended to every inline comment so later reviews can recognise it
+const MARKER_PREFIX = '<!-- ai-review-fingerprint:';
+const MARKER_PATTERN = /<!-- ai-review-fingerprint:([a-f0-9]+) -->/;
+
+/**
+ * Normalize code so whitespace-only and indentation changes don't change the fingerprint
+ * @param {Array<string>} lines - Source lines
+ * @returns {string} Normalized code
+ */
+function normalizeCode(lines) {
+  return lines
+    .map(line => line.trim().replace(/\s+/g, ' '))
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Normalize finding text so casing, punctuation and quoted line numbers don't matter
+ * @param {string} text - Finding text
+ * @returns {string} Normalized text
+ */
+function normalizeFinding(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/\blines?\s+\d+(\s*-\s*\d+)?/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Build a stable fingerprint for a finding
+ * Line numbers are deliberately left out so a finding keeps its fingerprint when the
+ * code around it moves.
+ * @param {string} file - File path
+ * @param {Array<string>} codeLines - Code the finding is attached to
+ * @param {string} findingText - Finding text
+ * @returns {string} Hex fingerprint
+ */
+function createFingerprint(file, codeLines, findingText) {
+  return crypto
+    .createHash('sha256')
+    .update(`${file}\0${normalizeCode(codeLines)}\0${normalizeFinding(findingText)}`)
+    .digest('hex')
+    .substring(0, 16);
+}
+
+/**
+ * Append the hidden fingerprint marker to a comment body
+ * @param {string} body - Comment body
+ * @param {string} fingerprint - Finding fingerprint
+ * @returns {string} Body with marker
+ */
+function embedFingerprint(body, fingerprint) {
+  return `${body}\n\n${MARKER_PREFIX}${fingerprint} -->`;
+}
+
+/**
+ * Read the fingerprint marker from a comment body
+ * @param {string} body - Comment body
+ * @returns {string|null} Fingerprint, or null for comments not posted by the agent
+ */
+function extractFingerprint(body) {
+  const match = (body || '').match(MARKER_PATTERN);
+  return match ? match[1] : null;
+}
+
+/**
+ * Compare new findings with the agent's existing review threads
+ * Findings that match an open thread are flagged `alreadyRaised` so they aren't posted
+ * again. Open threads whose finding wasn't raised again are reported as outdated when
+ * their code changed, or when their file was fully re-reviewed.
+ * @param {Array} comments - New findings with fingerprints
+ * @param {Array} threads - Threads from githubService.listReviewThreads
+ * @param {{fullReview: boolean, reviewedFiles: Set<string>}} scope - What this review covered
+ * @returns {{comments: Array, outdatedThreads: Array}} Flagged findings and outdated threads
+ */
+function reconcileWithThreads(comments, threads, scope) {
+  const openThreads = new Map(
+    threads.filter(thread => !thread.isResolved).map(thread => [thread.fingerprint, thread])
+  );
+  const newFingerprints = new Set(comments.map(comment => comment.fingerprint));
+
+  const reconciled = comments.map(comment => {
+    const thread = openThreads.get(comment.fingerprint);
+    return thread
+      ? { ...comment, alreadyRaised: true, threadUrl: thread.url }
+      : { ...comment, alreadyRaised: false };
+  });
+
+  const outdatedThreads = [...openThreads.values()].filter(thread =>
+    !newFingerprints.has(thread.fingerprint) &&
+    (thread.isOutdated || (scope.fullReview && scope.reviewedFiles.has(thread.path)))
+  );
+
+  return { comments: reconciled, outdatedThreads };
+}
+
+module.exports = {
+  normalizeCode,
+  normalizeFinding,
+  createFingerprint,
+  embedFingerprint,
+  extractFingerprint,
+  reconcileWithThreads
+};
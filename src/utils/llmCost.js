@@ -0,0 +1,63 @@
+/**
+ * LLM list prices in USD per million tokens
+ * Only a starting point: prices change, so deployments should keep LLM_PRICES current.
+ * Local backends (Ollama, mock) have no entry and are treated as free.
+ */
+const DEFAULT_PRICES = {
+  'gemini-1.5-flash': { input: 0.075, output: 0.30 },
+  'gemini-1.5-pro': { input: 1.25, output: 5.00 },
+  'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+  'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+  'gemini-2.5-pro': { input: 1.25, output: 10.00 },
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'gpt-4o': { input: 2.50, output: 10.00 },
+  'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+  'gpt-4.1': { input: 2.00, output: 8.00 }
+};
+
+/**
+ * Find the price of a model
+ * Exact names win; otherwise the longest table entry the name starts with is used,
+ * so versioned names like "gemini-1.5-flash-002" get the family price.
+ * @param {string} model - Model name
+ * @param {Object} [overrides] - Prices from configuration, merged over the defaults
+ * @returns {{input: number, output: number}|null} Price per million tokens, or null if unknown
+ */
+function getModelPrice(model, overrides = {}) {
+  const prices = { ...DEFAULT_PRICES, ...overrides };
+  if (!model) {
+    return null;
+  }
+  if (prices[model]) {
+    return prices[model];
+  }
+
+  const family = Object.keys(prices)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return family ? prices[family] : null;
+}
+
+/**
+ * Estimate the cost of token usage
+ * @param {Object} usage - {promptTokens, completionTokens}
+ * @param {string} model - Model name
+ * @param {Object} [overrides] - Prices from configuration
+ * @returns {{cost: number, priced: boolean}} Cost in USD, and whether the model had a price
+ */
+function estimateCost(usage, model, overrides = {}) {
+  const price = getModelPrice(model, overrides);
+  if (!price) {
+    return { cost: 0, priced: false };
+  }
+
+  const cost = ((usage.promptTokens || 0) * price.input + (usage.completionTokens || 0) * price.output) / 1e6;
+  return { cost: Number(cost.toFixed(6)), priced: true };
+}
+
+module.exports = {
+  DEFAULT_PRICES,
+  getModelPrice,
+  estimateCost
+};
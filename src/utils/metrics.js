@@ -0,0 +1,225 @@
+const { monitorEventLoopDelay } = require('perf_hooks');
+
+/**
+ * Minimal Prometheus metric types and text exposition format (version 0.0.4)
+ * Enough for counters, gauges and histograms with labels, without a client library.
+ */
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();
+  }
+
+  /**
+   * Key a label set by the declared label names, so label order doesn't matter
+   * @param {Object} labels - Label values
+   * @returns {string} Series key
+   */
+  seriesKey(labels) {
+    return JSON.stringify(this.labelNames.map(name => String(labels[name] ?? '')));
+  }
+
+  seriesLabels(key) {
+    const values = JSON.parse(key);
+    return Object.fromEntries(this.labelNames.map((name, index) => [name, values[index]]));
+  }
+
+  /**
+   * Set a series to an absolute value, e.g. a counter mirrored from a monotonic source
+   * @param {Object} labels - Label values
+   * @param {number} value - New value
+   */
+  setValue(labels, value) {
+    this.values.set(this.seriesKey(labels), value);
+  }
+
+  reset() {
+    this.values.clear();
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    this.values.forEach((value, key) => {
+      lines.push(...this.renderSeries(this.seriesLabels(key), value));
+    });
+    return lines.join('\n');
+  }
+
+  renderSeries(labels, value) {
+    return [`${this.name}${formatLabels(labels)} ${formatValue(value)}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = this.seriesKey(labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  set(labels, value) {
+    this.setValue(labels, value);
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const key = this.seriesKey(labels);
+    let series = this.values.get(key);
+    if (!series) {
+      series = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.values.set(key, series);
+    }
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Start a timer that observes the elapsed seconds when called
+   * @param {Object} [labels] - Labels known up front; merged with the ones passed at the end
+   * @returns {Function} Stop function taking the remaining labels
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (endLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...endLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  renderSeries(labels, series) {
+    const lines = this.buckets.map((bound, index) =>
+      `${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${series.counts[index]}`
+    );
+    lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${series.count}`);
+    lines.push(`${this.name}_sum${formatLabels(labels)} ${series.sum}`);
+    lines.push(`${this.name}_count${formatLabels(labels)} ${series.count}`);
+    return lines;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = [];
+    this.collectors = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames = []) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames = []) {
+    return this.register(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  /**
+   * Run a callback before each scrape, e.g. to sample process gauges
+   * @param {Function} collector - Synchronous callback
+   */
+  addCollector(collector) {
+    this.collectors.push(collector);
+  }
+
+  /**
+   * Render all metrics in the Prometheus text format
+   * @returns {string} Exposition text
+   */
+  render() {
+    this.collectors.forEach(collect => collect());
+    return `${this.metrics.map(metric => metric.render()).join('\n')}\n`;
+  }
+}
+
+/**
+ * Register the standard process and Node.js runtime metrics, named like prom-client's defaults
+ * @param {Registry} registry - Registry to add the metrics to
+ */
+function collectDefaultMetrics(registry) {
+  const cpuUser = registry.counter('process_cpu_user_seconds_total', 'Total user CPU time spent in seconds.');
+  const cpuSystem = registry.counter('process_cpu_system_seconds_total', 'Total system CPU time spent in seconds.');
+  const cpuTotal = registry.counter('process_cpu_seconds_total', 'Total user and system CPU time spent in seconds.');
+  const residentMemory = registry.gauge('process_resident_memory_bytes', 'Resident memory size in bytes.');
+  const startTime = registry.gauge('process_start_time_seconds', 'Start time of the process since unix epoch in seconds.');
+  const heapTotal = registry.gauge('nodejs_heap_size_total_bytes', 'Process heap size from Node.js in bytes.');
+  const heapUsed = registry.gauge('nodejs_heap_size_used_bytes', 'Process heap size used from Node.js in bytes.');
+  const external = registry.gauge('nodejs_external_memory_bytes', 'Node.js external memory size in bytes.');
+  const eventLoopLag = registry.gauge('nodejs_eventloop_lag_p99_seconds', 'The 99th percentile of the recorded event loop delays.');
+  const version = registry.gauge('nodejs_version_info', 'Node.js version info.', ['version']);
+
+  const eventLoopDelay = monitorEventLoopDelay({ resolution: 20 });
+  eventLoopDelay.enable();
+  startTime.set({}, Math.round(Date.now() / 1000 - process.uptime()));
+  version.set({ version: process.version }, 1);
+
+  registry.addCollector(() => {
+    const cpu = process.cpuUsage();
+    const memory = process.memoryUsage();
+    cpuUser.setValue({}, cpu.user / 1e6);
+    cpuSystem.setValue({}, cpu.system / 1e6);
+    cpuTotal.setValue({}, (cpu.user + cpu.system) / 1e6);
+    residentMemory.set({}, memory.rss);
+    heapTotal.set({}, memory.heapTotal);
+    heapUsed.set({}, memory.heapUsed);
+    external.set({}, memory.external);
+    eventLoopLag.set({}, eventLoopDelay.percentile(99) / 1e9);
+    eventLoopDelay.reset();
+  });
+}
+
+module.exports = {
+  Counter,
+  Gauge,
+  Histogram,
+  Registry,
+  collectDefaultMetrics
+};
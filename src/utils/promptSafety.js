@@ -0,0 +1,170 @@
+const { parsePatch } = require('./diffParser');
+
+// Tag that marks PR-controlled text in the prompt
+const UNTRUSTED_TAG = 'untrusted';
+
+// Phrases that address the reviewer rather than describe the code
+const INJECTION_PATTERNS = [
+  { id: 'override-instructions', pattern: /\b(ignore|disregard|forget|override)\b.{0,40}\b(previous|prior|above|earlier|all|your|system)\b.{0,20}\b(instructions?|prompts?|rules|guidelines|context)\b/i },
+  { id: 'new-instructions', pattern: /\b(new|updated|real|actual)\s+(system\s+)?instructions?\s*:/i },
+  { id: 'role-change', pattern: /\b(you are now|from now on,? you|act as (an?|the)\b|pretend (to be|you are))/i },
+  { id: 'system-prompt', pattern: /\b(system prompt|system message)\b|<\/?(system|assistant|instructions?)>|\[\/?INST\]|<\|im_(start|end)\|>/i },
+  { id: 'output-manipulation', pattern: /\b(respond|reply|answer)\s+(only\s+)?with\s+(only\s+)?(an?\s+)?(empty\s+(json\s+)?(array|list|response)|\[\s*\])|\b(return|report|output)\s+(no|zero)\s+(findings|comments|issues)\b/i },
+  { id: 'suppress-findings', pattern: /\b(do not|don't|never)\s+(report|flag|mention|comment on)\b.{0,40}\b(issues?|findings?|problems?|vulnerabilit(y|ies)|this (file|code|pr|change))/i },
+  { id: 'approval-request', pattern: /\b(approve|lgtm)\b.{0,30}\b(this|the)\s+(pr|pull request|change)s?\b.{0,30}\b(without|no)\s+(review|comments?|issues?|findings?)/i },
+  { id: 'delimiter-escape', pattern: new RegExp(`</?\\s*${UNTRUSTED_TAG}\\b`, 'i') }
+];
+
+// Characters of each match kept for the summary
+const EXCERPT_LENGTH = 80;
+
+/**
+ * Wrap PR-controlled text so the model can tell it apart from instructions
+ * Tags inside the text that look like the delimiter are escaped so the text can't close
+ * its own block.
+ * @param {string} label - What the text is, e.g. "description" or "diff"
+ * @param {string} text - Untrusted text
+ * @returns {string} Delimited text
+ */
+function wrapUntrusted(label, text) {
+  const escaped = String(text ?? '').replace(new RegExp(`<(/?\\s*${UNTRUSTED_TAG})`, 'gi'), '&lt;$1');
+  return `<${UNTRUSTED_TAG} source="${label}">\n${escaped}\n</${UNTRUSTED_TAG}>`;
+}
+
+/**
+ * Make PR-controlled text safe to show on a single line of the prompt
+ * Newlines and other control characters are collapsed so a title or file name can't
+ * start a prompt section of its own.
+ * @param {string} text - Untrusted text
+ * @param {number} [maxLength=300] - Maximum length kept
+ * @returns {string} Single-line text
+ */
+function sanitizeInline(text, maxLength = 300) {
+  const inline = String(text ?? '')
+    .replace(/[\p{Cc}\u2028\u2029]+/gu, ' ')
+    .replace(/</g, '&lt;')
+    .trim();
+  return inline.length > maxLength ? `${inline.substring(0, maxLength)}…` : inline;
+}
+
+/**
+ * Shorten text around a match for reporting
+ * @param {string} text - Text that matched
+ * @param {number} index - Start of the match
+ * @returns {string} Excerpt on a single line
+ */
+function excerptAround(text, index) {
+  const start = Math.max(index - 20, 0);
+  const excerpt = text.substring(start, start + EXCERPT_LENGTH).replace(/\s+/g, ' ').trim();
+  return `${start > 0 ? '…' : ''}${excerpt}${start + EXCERPT_LENGTH < text.length ? '…' : ''}`;
+}
+
+/**
+ * Check one piece of text against the injection patterns
+ * @param {string} text - Text to check
+ * @returns {Array<{pattern: string, excerpt: string}>} One entry per matching pattern
+ */
+function scanText(text) {
+  if (!text) {
+    return [];
+  }
+
+  return INJECTION_PATTERNS.flatMap(({ id, pattern }) => {
+    const match = pattern.exec(text);
+    return match ? [{ pattern: id, excerpt: excerptAround(text, match.index) }] : [];
+  });
+}
+
+/**
+ * Look for prompt injection attempts in the PR title, description and added lines
+ * This is a heuristic: it flags text that addresses the reviewer so a human can take a
+ * look, it doesn't decide whether the review can be trusted.
+ * @param {Object} prData - PR data from githubService.getPullRequestData
+ * @returns {Array<{location: string, line: number|null, pattern: string, excerpt: string}>} Suspicious text
+ */
+function detectInjection(prData) {
+  const attempts = [];
+  const add = (location, line, text) => {
+    scanText(text).forEach(hit => attempts.push({ location, line, ...hit }));
+  };
+
+  add('title', null, prData.pr_info?.title);
+  add('description', null, prData.pr_info?.description);
+
+  (prData.diff_files || []).forEach(file => {
+    add('file name', null, file.file_path);
+    parsePatch(file.patch).forEach(hunk => {
+      hunk.lines
+        .filter(line => line.type === 'add')
+        .forEach(line => add(file.file_path, line.newLine, line.content));
+    });
+  });
+
+  return attempts;
+}
+
+/**
+ * Build the lines of each file that findings may refer to
+ * Only lines inside the changed hunks count; files without hunks (e.g. a head version
+ * shown because GitHub omitted the patch) accept any line.
+ * @param {Array<Object>} diffFiles - Entries from prData.diff_files
+ * @returns {Map<string, {RIGHT: Array, LEFT: Array}|null>} Line ranges per file path
+ */
+function buildHunkRanges(diffFiles) {
+  const ranges = new Map();
+
+  diffFiles.forEach(file => {
+    const hunks = parsePatch(file.diff);
+    if (hunks.length === 0 || ranges.get(file.file_path) === null) {
+      ranges.set(file.file_path, null);
+      return;
+    }
+
+    const entry = ranges.get(file.file_path) || { RIGHT: [], LEFT: [] };
+    hunks.forEach(hunk => {
+      entry.RIGHT.push({ start: hunk.newStart, end: hunk.newStart + hunk.newLines - 1 });
+      entry.LEFT.push({ start: hunk.oldStart, end: hunk.oldStart + hunk.oldLines - 1 });
+    });
+    ranges.set(file.file_path, entry);
+  });
+
+  return ranges;
+}
+
+/**
+ * Split findings into those that refer to the reviewed diff and those that don't
+ * @param {Array} findings - Normalized findings
+ * @param {Array<Object>} diffFiles - Entries from prData.diff_files
+ * @returns {{valid: Array, rejected: Array<{finding: Object, reason: string}>}} Validated findings
+ */
+function validateFindings(findings, diffFiles) {
+  const ranges = buildHunkRanges(diffFiles);
+  const valid = [];
+  const rejected = [];
+
+  findings.forEach(finding => {
+    if (!ranges.has(finding.file)) {
+      rejected.push({ finding, reason: 'file is not part of the diff' });
+      return;
+    }
+
+    const entry = ranges.get(finding.file);
+    const sideRanges = entry && entry[finding.side || 'RIGHT'];
+    if (sideRanges && !sideRanges.some(range => range.start <= finding.line && finding.line <= range.end)) {
+      rejected.push({ finding, reason: 'line is outside the changed hunks' });
+      return;
+    }
+
+    valid.push(finding);
+  });
+
+  return { valid, rejected };
+}
+
+module.exports = {
+  UNTRUSTED_TAG,
+  wrapUntrusted,
+  sanitizeInline,
+  detectInjection,
+  validateFindings
+};
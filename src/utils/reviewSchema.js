@@ -0,0 +1,190 @@
+// Shared by the prompt, the providers' structured output, response validation and the Review model
+const SEVERITIES = ['error', 'warning', 'suggestion'];
+const CATEGORIES = ['security', 'performance', 'readability', 'best-practices', 'testing', 'documentation'];
+const DEFAULT_CATEGORY = 'best-practices';
+// Names models (and reviews stored by earlier versions) use for categories outside the list
+const CATEGORY_ALIASES = {
+  bug: 'best-practices',
+  maintainability: 'readability',
+  general: DEFAULT_CATEGORY
+};
+const SIDES = ['RIGHT', 'LEFT'];
+
+// JSON Schema of one finding as the model returns it
+const FINDING_SCHEMA = {
+  type: 'object',
+  properties: {
+    file: { type: 'string', minLength: 1 },
+    line: { type: 'integer', minimum: 1 },
+    start_line: { type: ['integer', 'null'], minimum: 1 },
+    side: { type: ['string', 'null'], enum: [...SIDES, null] },
+    severity: { type: 'string', enum: SEVERITIES },
+    category: { type: 'string', enum: CATEGORIES },
+    comment: { type: 'string', minLength: 1 },
+    suggestion: { type: ['string', 'null'] }
+  },
+  required: ['file', 'line', 'severity', 'category', 'comment'],
+  additionalProperties: false
+};
+
+// JSON Schema of a whole review response
+const REVIEW_RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    findings: { type: 'array', items: FINDING_SCHEMA }
+  },
+  required: ['findings'],
+  additionalProperties: false
+};
+
+/**
+ * Map a category alias onto the category list; other values are returned unchanged
+ * @param {*} category - Category as given by the model
+ * @returns {*} Category from CATEGORIES when the value is a known alias
+ */
+function normalizeCategory(category) {
+  const name = typeof category === 'string' ? category.trim().toLowerCase() : category;
+  return CATEGORY_ALIASES[name] || (CATEGORIES.includes(name) ? name : category);
+}
+
+/**
+ * Check whether a value has a JSON Schema type
+ * @param {*} value - Value to check
+ * @param {string} type - JSON Schema type name
+ * @returns {boolean} True when the value matches
+ */
+function hasType(value, type) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * Validate a value against the subset of JSON Schema used in this module
+ * Supports type (string or list), enum, minimum, minLength, properties, required,
+ * additionalProperties: false and items.
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema
+ * @param {string} [path='response'] - Path of the value, used in messages
+ * @returns {Array<string>} Validation errors, empty when the value is valid
+ */
+function validateSchema(value, schema, path = 'response') {
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => hasType(value, type))) {
+    return [`${path} must be ${types.join(' or ')}`];
+  }
+  if (value === null) {
+    return [];
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    errors.push(`${path} must be at least ${schema.minimum}`);
+  }
+  if (schema.minLength !== undefined && typeof value === 'string' && value.trim().length < schema.minLength) {
+    errors.push(`${path} must not be empty`);
+  }
+
+  if (hasType(value, 'object') && schema.properties) {
+    (schema.required || [])
+      .filter(key => value[key] === undefined)
+      .forEach(key => errors.push(`${path}.${key} is required`));
+    Object.entries(value).forEach(([key, child]) => {
+      if (schema.properties[key]) {
+        errors.push(...validateSchema(child, schema.properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+  }
+
+  return errors;
+}
+
+/**
+ * Convert a JSON Schema to the OpenAPI subset accepted by Gemini's responseSchema
+ * Nullable type lists become `nullable: true`; keywords Gemini rejects are dropped.
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} Gemini response schema
+ */
+function toGeminiSchema(schema) {
+  const types = [].concat(schema.type || []);
+  const result = { type: types.find(type => type !== 'null') };
+  if (types.includes('null')) {
+    result.nullable = true;
+  }
+  if (schema.enum) {
+    result.format = 'enum';
+    result.enum = schema.enum.filter(value => value !== null);
+  }
+  if (schema.properties) {
+    result.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, child]) => [key, toGeminiSchema(child)])
+    );
+    result.required = schema.required;
+  }
+  if (schema.items) {
+    result.items = toGeminiSchema(schema.items);
+  }
+  return result;
+}
+
+/**
+ * Convert a JSON Schema to the form required by OpenAI's strict structured outputs
+ * Every property must be listed as required, so optional ones become nullable, and
+ * validation keywords strict mode doesn't support are dropped.
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} Strict JSON Schema
+ */
+function toStrictSchema(schema) {
+  const result = { type: schema.type };
+  if (schema.enum) {
+    result.enum = schema.enum;
+  }
+  if (schema.properties) {
+    const required = schema.required || [];
+    result.properties = Object.fromEntries(Object.entries(schema.properties).map(([key, child]) => {
+      const strict = toStrictSchema(child);
+      if (!required.includes(key) && ![].concat(strict.type).includes('null')) {
+        strict.type = [].concat(strict.type, 'null');
+      }
+      // A nullable enum must list null itself, or strict mode can never return it
+      if ([].concat(strict.type).includes('null') && strict.enum && !strict.enum.includes(null)) {
+        strict.enum = [...strict.enum, null];
+      }
+      return [key, strict];
+    }));
+    result.required = Object.keys(schema.properties);
+    result.additionalProperties = false;
+  }
+  if (schema.items) {
+    result.items = toStrictSchema(schema.items);
+  }
+  return result;
+}
+
+module.exports = {
+  SEVERITIES,
+  CATEGORIES,
+  DEFAULT_CATEGORY,
+  CATEGORY_ALIASES,
+  SIDES,
+  FINDING_SCHEMA,
+  REVIEW_RESPONSE_SCHEMA,
+  normalizeCategory,
+  validateSchema,
+  toGeminiSchema,
+  toStrictSchema
+};
@@ -0,0 +1,69 @@
+const { SEVERITY_RANK } = require('./checkConclusion');
+
+// Values accepted for `approveUpTo`: the highest severity an approved PR may still have;
+// "none" approves only PRs without findings and "never" disables approvals
+const APPROVE_THRESHOLDS = ['none', ...Object.keys(SEVERITY_RANK).filter(severity => severity !== 'error'), 'never'];
+
+// Review states returned by GitHub mapped back to the event that produced them
+const REVIEW_STATE_EVENTS = {
+  APPROVED: 'APPROVE',
+  CHANGES_REQUESTED: 'REQUEST_CHANGES',
+  COMMENTED: 'COMMENT'
+};
+
+/**
+ * Check whether a value can be used as the approval threshold
+ * @param {string} threshold - "none", a severity below error, or "never"
+ * @returns {boolean} True if valid
+ */
+function isValidApproveThreshold(threshold) {
+  return APPROVE_THRESHOLDS.includes(threshold);
+}
+
+/**
+ * Check whether a finding should block the pull request
+ * @param {Object} finding - Review finding with severity and category
+ * @param {{requestChangesOn: string, requestChangesCategories: Array<string>}} policy - Verdict policy
+ * @returns {boolean} True when the finding requests changes
+ */
+function isBlocking(finding, policy) {
+  if (!SEVERITY_RANK[policy.requestChangesOn]) {
+    return false;
+  }
+
+  const categories = policy.requestChangesCategories || [];
+  return (SEVERITY_RANK[finding.severity] || 0) >= SEVERITY_RANK[policy.requestChangesOn] &&
+    (categories.length === 0 || categories.includes(finding.category));
+}
+
+/**
+ * Decide the GitHub review event for a set of open findings
+ * Changes are requested when any finding meets `requestChangesOn` (and, if set, is in one of
+ * `requestChangesCategories`); the PR is approved when no finding is above `approveUpTo`.
+ * Anything in between is a plain comment.
+ * @param {Array} findings - Findings that are still open on the pull request
+ * @param {{requestChangesOn: string, requestChangesCategories: Array<string>, approveUpTo: string}} policy - Verdict policy
+ * @returns {{event: string, blocking: Array}} APPROVE, REQUEST_CHANGES or COMMENT, and the blocking findings
+ */
+function getReviewVerdict(findings, policy) {
+  const blocking = findings.filter(finding => isBlocking(finding, policy));
+  if (blocking.length > 0) {
+    return { event: 'REQUEST_CHANGES', blocking };
+  }
+
+  const highest = findings.reduce((max, finding) => Math.max(max, SEVERITY_RANK[finding.severity] || 0), 0);
+  const allowed = policy.approveUpTo === 'none' ? 0 : SEVERITY_RANK[policy.approveUpTo];
+  if (allowed !== undefined && highest <= allowed) {
+    return { event: 'APPROVE', blocking };
+  }
+
+  return { event: 'COMMENT', blocking };
+}
+
+module.exports = {
+  APPROVE_THRESHOLDS,
+  REVIEW_STATE_EVENTS,
+  isValidApproveThreshold,
+  isBlocking,
+  getReviewVerdict
+};
@@ -0,0 +1,277 @@
+const { parsePatch } = require('./diffParser');
+
+// Provider-specific credential formats; `group` selects the secret when the match has context around it
+const SECRET_PATTERNS = [
+  { id: 'aws-access-key-id', name: 'AWS access key ID', pattern: /\b(?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16}\b/g },
+  {
+    id: 'aws-secret-access-key',
+    name: 'AWS secret access key',
+    pattern: /aws.{0,20}?(?:secret|sk).{0,20}?['"=:\s]([0-9a-zA-Z/+]{40})(?![0-9a-zA-Z/+])/gi,
+    group: 1
+  },
+  { id: 'github-token', name: 'GitHub token', pattern: /\b(?:ghp|gho|ghu|ghs|ghr)_[A-Za-z0-9]{36,255}\b/g },
+  { id: 'github-fine-grained-token', name: 'GitHub fine-grained token', pattern: /\bgithub_pat_[A-Za-z0-9_]{22,255}\b/g },
+  { id: 'google-api-key', name: 'Google API key', pattern: /\bAIza[0-9A-Za-z_-]{35}(?![0-9A-Za-z_-])/g },
+  { id: 'google-oauth-client-secret', name: 'Google OAuth client secret', pattern: /\bGOCSPX-[0-9A-Za-z_-]{28}(?![0-9A-Za-z_-])/g },
+  { id: 'slack-token', name: 'Slack token', pattern: /\bxox[baprs]-[0-9A-Za-z-]{10,}/g },
+  { id: 'slack-webhook', name: 'Slack webhook URL', pattern: /https:\/\/hooks\.slack\.com\/services\/[A-Za-z0-9_/]+/g }
+];
+
+const PRIVATE_KEY_BEGIN = /-----BEGIN ([A-Z0-9]+ )*PRIVATE KEY( BLOCK)?-----/;
+const PRIVATE_KEY_END = /-----END ([A-Z0-9]+ )*PRIVATE KEY( BLOCK)?-----/;
+
+// Quoted values assigned to names that usually hold credentials, e.g. `apiKey = "..."` or `"client_secret": "..."`
+const CREDENTIAL_ASSIGNMENT = /([\w.-]*(?:secret|token|passw(?:or)?d|pwd|api[_-]?key|access[_-]?key|private[_-]?key|auth|credential)[\w.-]*)['"]?\s*(?::=|=>|[:=])\s*['"`]([^'"`\s]{16,})['"`]/gi;
+
+// Minimum Shannon entropy (bits per character) for a credential-like value to count as a secret
+const MIN_ENTROPY = 3.5;
+const MIN_HEX_ENTROPY = 3;
+
+// Values that are clearly placeholders or references rather than secrets
+const PLACEHOLDER = /example|sample|dummy|placeholder|changeme|your[_-]|xxxx|\*\*\*\*|\$\{|\{\{|process\.env|REDACTED/i;
+
+/**
+ * Shannon entropy of a string
+ * @param {string} value - Text to measure
+ * @returns {number} Bits per character
+ */
+function shannonEntropy(value) {
+  if (!value) {
+    return 0;
+  }
+
+  const counts = new Map();
+  for (const char of value) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+
+  let entropy = 0;
+  counts.forEach(count => {
+    const probability = count / value.length;
+    entropy -= probability * Math.log2(probability);
+  });
+  return entropy;
+}
+
+/**
+ * Check whether a credential-like value is random enough to be a real secret
+ * Hex strings have a smaller alphabet, so they get a lower threshold.
+ * @param {string} value - Assigned value
+ * @returns {boolean} True when the value looks like a secret
+ */
+function isHighEntropy(value) {
+  if (PLACEHOLDER.test(value)) {
+    return false;
+  }
+  const threshold = /^[0-9a-f]+$/i.test(value) ? MIN_HEX_ENTROPY : MIN_ENTROPY;
+  return shannonEntropy(value) >= threshold;
+}
+
+/**
+ * Find secrets in one line of code
+ * Provider patterns are checked first; a credential-like assignment is only reported when
+ * its value has high entropy and no provider pattern already covers it.
+ * @param {string} text - Line content
+ * @returns {Array<{ruleId: string, name: string, value: string}>} Secrets on the line
+ */
+function scanLine(text) {
+  const hits = [];
+  const seen = new Set();
+  const add = (ruleId, name, value) => {
+    if (![...seen].some(known => known.includes(value) || value.includes(known))) {
+      seen.add(value);
+      hits.push({ ruleId, name, value });
+    }
+  };
+
+  SECRET_PATTERNS.forEach(({ id, name, pattern, group }) => {
+    for (const match of text.matchAll(pattern)) {
+      add(id, name, match[group || 0]);
+    }
+  });
+
+  for (const match of text.matchAll(CREDENTIAL_ASSIGNMENT)) {
+    if (isHighEntropy(match[2])) {
+      add('high-entropy-secret', `high-entropy value assigned to \`${match[1]}\``, match[2]);
+    }
+  }
+
+  return hits;
+}
+
+/**
+ * Mask for a secret in prompts, logs and stored reviews
+ * @param {string} ruleId - Rule that found the secret
+ * @returns {string} Placeholder text
+ */
+function maskFor(ruleId) {
+  return `[REDACTED:${ruleId}]`;
+}
+
+/**
+ * Build a finding for a secret
+ * @param {string} file - File path
+ * @param {number} line - Line in the head version
+ * @param {string} ruleId - Rule that found the secret
+ * @param {string} name - Human-readable secret type
+ * @returns {Object} Finding in the review comment shape
+ */
+function toFinding(file, line, ruleId, name) {
+  return {
+    file,
+    line,
+    side: 'RIGHT',
+    severity: 'error',
+    category: 'security',
+    comment: `Possible ${name} committed in plain text. Remove it, rotate the credential, and load it from configuration or a secret store instead. (secret scanner \`${ruleId}\`)`,
+    source: 'secret-scanner',
+    ruleId
+  };
+}
+
+/**
+ * Scan the added lines of the diff files for secrets
+ * Private keys are tracked across lines: the BEGIN line is reported and every added
+ * line up to the END line is treated as secret.
+ * @param {Array<Object>} diffFiles - Entries from prData.diff_files
+ * @returns {{findings: Array, secrets: Array<{value: string, mask: string}>}} Findings and the values to redact
+ */
+function scanDiffFiles(diffFiles) {
+  const findings = [];
+  const secrets = new Map();
+  const addSecret = (value, ruleId) => {
+    if (value && !secrets.has(value)) {
+      secrets.set(value, maskFor(ruleId));
+    }
+  };
+
+  diffFiles.forEach(file => {
+    let inPrivateKey = false;
+
+    parsePatch(file.patch).forEach(hunk => {
+      hunk.lines.filter(line => line.type === 'add').forEach(line => {
+        const text = line.content;
+
+        if (inPrivateKey) {
+          const body = text.split(PRIVATE_KEY_END)[0].trim();
+          if (body.length >= 8) {
+            addSecret(body, 'private-key');
+          }
+          inPrivateKey = !PRIVATE_KEY_END.test(text);
+          return;
+        }
+
+        const begin = text.match(PRIVATE_KEY_BEGIN);
+        if (begin) {
+          findings.push(toFinding(file.file_path, line.newLine, 'private-key', 'private key'));
+          const rest = text.slice(begin.index + begin[0].length);
+          const end = rest.match(PRIVATE_KEY_END);
+          // Keys written on one line, e.g. with escaped newlines in JSON or .env files
+          const body = (end ? rest.slice(0, end.index) : rest).replace(/^(\\n|\s)+|(\\n|\s)+$/g, '');
+          if (body.length >= 8) {
+            addSecret(body, 'private-key');
+          }
+          inPrivateKey = !end;
+          return;
+        }
+
+        const reported = new Set();
+        scanLine(text).forEach(hit => {
+          addSecret(hit.value, hit.ruleId);
+          if (!reported.has(hit.ruleId)) {
+            reported.add(hit.ruleId);
+            findings.push(toFinding(file.file_path, line.newLine, hit.ruleId, hit.name));
+          }
+        });
+      });
+    });
+  });
+
+  return {
+    findings,
+    // Longest first, so a secret that contains another is masked whole
+    secrets: [...secrets].map(([value, mask]) => ({ value, mask })).sort((a, b) => b.value.length - a.value.length)
+  };
+}
+
+/**
+ * Replace secrets in a piece of text with their masks
+ * @param {string} text - Text to redact
+ * @param {Array<{value: string, mask: string}>} secrets - Secrets from scanDiffFiles
+ * @returns {string} Redacted text
+ */
+function redactText(text, secrets) {
+  if (typeof text !== 'string' || !text) {
+    return text;
+  }
+  return secrets.reduce((result, { value, mask }) => result.split(value).join(mask), text);
+}
+
+/**
+ * Scan a pull request for secrets and mask them in the PR data
+ * Everything that can reach the LLM, the linter, the logs or the stored review is
+ * redacted in place: diffs, patches, surrounding code and head contents. Findings are
+ * only reported for the files under review.
+ * @param {Object} prData - PR data from githubService.getPullRequestData, updated in place
+ * @returns {Array} Secret findings
+ */
+function redactPullRequest(prData) {
+  const { findings, secrets: reviewed } = scanDiffFiles(prData.diff_files || []);
+
+  // Incremental reviews only report the new changes, but earlier commits of the PR also
+  // reach the prompt through surrounding code, so their secrets are masked as well
+  const prFiles = Object.entries(prData.pr_patches || {}).map(([filePath, patch]) => ({ file_path: filePath, patch }));
+  const { secrets: earlier } = scanDiffFiles(prFiles);
+  const secrets = [...reviewed, ...earlier.filter(secret => !reviewed.some(known => known.value === secret.value))]
+    .sort((a, b) => b.value.length - a.value.length);
+
+  if (secrets.length === 0) {
+    return findings;
+  }
+
+  (prData.diff_files || []).forEach(file => {
+    file.diff = redactText(file.diff, secrets);
+    file.patch = redactText(file.patch, secrets);
+    file.context = redactText(file.context, secrets);
+  });
+  ['head_contents', 'pr_patches'].forEach(key => {
+    Object.keys(prData[key] || {}).forEach(filePath => {
+      prData[key][filePath] = redactText(prData[key][filePath], secrets);
+    });
+  });
+
+  return findings;
+}
+
+/**
+ * Add secret findings to the review's other findings
+ * Secret findings are always kept. Other security findings on the same line are dropped as
+ * duplicates, and suggestions that would write a mask into the code are removed.
+ * @param {Array} secretFindings - Findings from redactPullRequest
+ * @param {Array} findings - LLM and lint findings
+ * @returns {Array} Findings sorted by file and line
+ */
+function mergeSecretFindings(secretFindings, findings) {
+  const secretLines = new Set(secretFindings.map(finding => `${finding.file}:${finding.line}`));
+
+  const kept = findings
+    .filter(finding =>
+      finding.category !== 'security' ||
+      (finding.side || 'RIGHT') !== 'RIGHT' ||
+      !secretLines.has(`${finding.file}:${finding.line}`)
+    )
+    .map(finding => (finding.suggestion && finding.suggestion.includes('[REDACTED:')
+      ? { ...finding, suggestion: null }
+      : finding));
+
+  return [...secretFindings, ...kept].sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+}
+
+module.exports = {
+  shannonEntropy,
+  scanLine,
+  scanDiffFiles,
+  redactText,
+  redactPullRequest,
+  mergeSecretFindings
+};
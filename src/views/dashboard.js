@@ -0,0 +1,363 @@
+const { parsePatch } = require('../utils/diffParser');
+const { URLSearchParams } = require('url');
+
+const REVIEW_STATUSES = ['pending', 'in_progress', 'completed', 'failed', 'skipped', 'parse_failed'];
+const SEVERITIES = ['error', 'warning', 'suggestion'];
+const SEVERITY_COLORS = { error: '#d1242f', warning: '#bf8700', suggestion: '#0969da' };
+const STATUS_COLORS = {
+  pending: '#6e7781',
+  in_progress: '#0969da',
+  completed: '#1a7f37',
+  failed: '#d1242f',
+  skipped: '#8250df',
+  parse_failed: '#bc4c00'
+};
+
+const STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; margin: 0; color: #1f2328; background: #f6f8fa; }
+  header { background: #24292f; color: #fff; padding: 12px 24px; display: flex; gap: 24px; align-items: center; }
+  header a { color: #fff; text-decoration: none; opacity: .8; }
+  header a.active { opacity: 1; font-weight: 600; }
+  main { padding: 24px; max-width: 1200px; margin: 0 auto; }
+  .card { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; padding: 16px; margin-bottom: 16px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #d8dee4; vertical-align: top; }
+  .badge { display: inline-block; padding: 1px 8px; border-radius: 12px; color: #fff; font-size: 12px; }
+  .filters a { margin-right: 12px; }
+  .filters a.active { font-weight: 600; }
+  .muted { color: #656d76; }
+  .notice { background: #ddf4ff; border-color: #54aeff; }
+  .error-text { color: #d1242f; white-space: pre-wrap; }
+  .diff { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 12px; width: 100%; }
+  .diff td { border: none; padding: 0 6px; white-space: pre-wrap; }
+  .diff .num { color: #656d76; text-align: right; width: 1%; user-select: none; }
+  .diff .add { background: #e6ffec; }
+  .diff .del { background: #ffebe9; }
+  .diff .hunk { background: #ddf4ff; color: #656d76; }
+  .finding { border-left: 4px solid; padding: 6px 10px; margin: 6px 0; background: #fff; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; white-space: normal; }
+  button { cursor: pointer; padding: 4px 12px; border: 1px solid #d0d7de; border-radius: 6px; background: #f6f8fa; }
+`;
+
+/**
+ * Escape a value for use in HTML text and attribute values
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatDate(date) {
+  return date ? new Date(date).toISOString().replace('T', ' ').substring(0, 19) : '—';
+}
+
+function formatDuration(review) {
+  if (review.status !== 'completed' || !review.reviewStartedAt || !review.reviewCompletedAt) {
+    return '—';
+  }
+  const seconds = Math.round((new Date(review.reviewCompletedAt) - new Date(review.reviewStartedAt)) / 1000);
+  return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+function statusBadge(status) {
+  return `<span class="badge" style="background:${STATUS_COLORS[status] || '#6e7781'}">${escapeHtml(status)}</span>`;
+}
+
+function severityBadge(severity) {
+  return `<span class="badge" style="background:${SEVERITY_COLORS[severity] || '#6e7781'}">${escapeHtml(severity)}</span>`;
+}
+
+/**
+ * Wrap a page body in the dashboard layout
+ * @param {string} title - Page title
+ * @param {string} body - Page HTML
+ * @param {string} active - Navigation entry to highlight (reviews, failures or login)
+ * @returns {string} Complete HTML document
+ */
+function layout(title, body, active) {
+  const nav = active === 'login' ? '' : [['reviews', '/dashboard', 'Reviews'], ['failures', '/dashboard/failures', 'Failures']]
+    .map(([key, href, label]) => `<a href="${href}"${key === active ? ' class="active"' : ''}>${label}</a>`)
+    .join('') + '<form method="post" action="/dashboard/logout" style="margin-left:auto"><button type="submit">Sign out</button></form>';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)} · Code Review Agent</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  <header><strong>🤖 Code Review Agent</strong>${nav}</header>
+  <main>${body}</main>
+</body>
+</html>`;
+}
+
+/**
+ * Stacked bar chart of findings per day and severity
+ * @param {Array} timeline - Rows from Review.getFindingsTimeline
+ * @param {number} days - Number of days to show, ending today
+ * @returns {string} SVG markup
+ */
+function renderFindingsChart(timeline, days) {
+  const counts = new Map();
+  timeline.forEach(({ _id, count }) => {
+    const day = counts.get(_id.day) || {};
+    day[_id.severity] = (day[_id.severity] || 0) + count;
+    counts.set(_id.day, day);
+  });
+
+  const dayKeys = [];
+  for (let offset = days - 1; offset >= 0; offset--) {
+    const date = new Date();
+    date.setUTCDate(date.getUTCDate() - offset);
+    dayKeys.push(date.toISOString().substring(0, 10));
+  }
+
+  const totals = dayKeys.map(day => SEVERITIES.reduce((sum, severity) => sum + (counts.get(day)?.[severity] || 0), 0));
+  const max = Math.max(1, ...totals);
+  const width = 760;
+  const height = 160;
+  const barWidth = width / dayKeys.length;
+
+  const bars = dayKeys.map((day, index) => {
+    let y = height;
+    const segments = SEVERITIES.map(severity => {
+      const count = counts.get(day)?.[severity] || 0;
+      if (!count) return '';
+      const barHeight = (count / max) * (height - 10);
+      y -= barHeight;
+      return `<rect x="${(index * barWidth + 1).toFixed(1)}" y="${y.toFixed(1)}" width="${(barWidth - 2).toFixed(1)}" height="${barHeight.toFixed(1)}" fill="${SEVERITY_COLORS[severity]}"><title>${day}: ${count} ${severity}</title></rect>`;
+    });
+    return segments.join('');
+  }).join('');
+
+  const legend = SEVERITIES
+    .map(severity => `<span style="color:${SEVERITY_COLORS[severity]}">■</span> ${severity}`)
+    .join(' &nbsp; ');
+
+  return `<svg viewBox="0 0 ${width} ${height + 16}" width="100%" role="img" aria-label="Findings per day">
+  <line x1="0" y1="${height}" x2="${width}" y2="${height}" stroke="#d0d7de"/>
+  ${bars}
+  <text x="0" y="${height + 14}" font-size="11" fill="#656d76">${dayKeys[0]}</text>
+  <text x="${width}" y="${height + 14}" font-size="11" fill="#656d76" text-anchor="end">${dayKeys[dayKeys.length - 1]}</text>
+  <text x="0" y="10" font-size="11" fill="#656d76">max ${max}/day</text>
+</svg>
+<div class="muted">${legend}</div>`;
+}
+
+/**
+ * Review list with status filters and a findings chart
+ * @param {Object} data - View data
+ * @param {Array} data.reviews - Reviews on this page
+ * @param {string} [data.status] - Active status filter
+ * @param {string} [data.repository] - Active repository filter
+ * @param {string|null} data.nextCursor - Cursor of the next page
+ * @param {Array} data.timeline - Rows from Review.getFindingsTimeline
+ * @param {number} data.days - Days covered by the chart
+ * @returns {string} HTML page
+ */
+function renderReviewList({ reviews, status, repository, nextCursor, timeline, days }) {
+  const query = params => {
+    const search = new URLSearchParams(Object.entries(params).filter(([, value]) => value));
+    return search.toString() ? escapeHtml(`?${search}`) : '';
+  };
+
+  const filters = ['', ...REVIEW_STATUSES].map(value => {
+    const label = value ? value.replace('_', ' ') : 'all';
+    const active = (status || '') === value ? ' class="active"' : '';
+    return `<a href="/dashboard${query({ status: value, repository })}"${active}>${label}</a>`;
+  }).join('');
+
+  const rows = reviews.map(review => `
+    <tr>
+      <td><a href="/dashboard/reviews/${review._id}">${escapeHtml(review.repository)}#${review.pullRequestId}</a><br>
+        <span class="muted">${escapeHtml(review.prInfo?.title)}</span></td>
+      <td>${escapeHtml(review.prInfo?.author)}</td>
+      <td>${statusBadge(review.status)}</td>
+      <td>${review.comments?.length || 0}</td>
+      <td>${formatDate(review.createdAt)}</td>
+      <td>${formatDuration(review)}</td>
+    </tr>`).join('');
+
+  const body = `
+    <div class="card">
+      <h3>Findings over the last ${days} days</h3>
+      ${renderFindingsChart(timeline, days)}
+    </div>
+    <div class="card">
+      <div class="filters">Status: ${filters}</div>
+      ${repository ? `<p class="muted">Repository: ${escapeHtml(repository)} · <a href="/dashboard${query({ status })}">clear</a></p>` : ''}
+      <table>
+        <thead><tr><th>Pull request</th><th>Author</th><th>Status</th><th>Findings</th><th>Created</th><th>Duration</th></tr></thead>
+        <tbody>${rows || '<tr><td colspan="6" class="muted">No reviews found</td></tr>'}</tbody>
+      </table>
+      ${nextCursor ? `<p><a href="/dashboard${query({ status, repository, cursor: nextCursor })}">Next page →</a></p>` : ''}
+    </div>`;
+
+  return layout('Reviews', body, 'reviews');
+}
+
+function renderFinding(comment) {
+  const lines = comment.startLine ? `lines ${comment.startLine}-${comment.line}` : `line ${comment.line}`;
+  const flags = [
+    comment.side === 'LEFT' ? 'old side' : null,
+    comment.inline === false ? 'not in diff' : null,
+    comment.alreadyRaised ? 'already raised' : null
+  ].filter(Boolean).join(', ');
+
+  return `<div class="finding" style="border-color:${SEVERITY_COLORS[comment.severity] || '#6e7781'}">
+    ${severityBadge(comment.severity)} <strong>${escapeHtml(comment.category)}</strong>
+    <span class="muted">${lines}${flags ? ` · ${flags}` : ''}</span>
+    <div>${escapeHtml(comment.comment)}</div>
+    ${comment.suggestion ? `<pre>${escapeHtml(comment.suggestion)}</pre>` : ''}
+  </div>`;
+}
+
+/**
+ * Render a file's patch with its findings under the lines they refer to
+ * @param {string} patch - Unified diff of the file
+ * @param {Array} comments - Findings for the file
+ * @returns {{html: string, placed: Set}} Diff table and the findings shown in it
+ */
+function renderDiff(patch, comments) {
+  const placed = new Set();
+  const findingsAt = (side, line) => comments.filter(comment => {
+    const matches = (comment.side || 'RIGHT') === side && comment.line === line;
+    if (matches) placed.add(comment);
+    return matches;
+  });
+
+  const rows = parsePatch(patch).map(hunk => {
+    const header = `<tr class="hunk"><td class="num"></td><td class="num"></td><td>@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@</td></tr>`;
+    const lines = hunk.lines.map(line => {
+      const prefix = line.type === 'add' ? '+' : line.type === 'del' ? '-' : ' ';
+      const findings = [
+        ...(line.newLine !== null ? findingsAt('RIGHT', line.newLine) : []),
+        ...(line.oldLine !== null && line.type === 'del' ? findingsAt('LEFT', line.oldLine) : [])
+      ];
+      const row = `<tr class="${line.type}"><td class="num">${line.oldLine ?? ''}</td><td class="num">${line.newLine ?? ''}</td><td>${prefix}${escapeHtml(line.content)}</td></tr>`;
+      return findings.length
+        ? `${row}<tr><td colspan="3">${findings.map(renderFinding).join('')}</td></tr>`
+        : row;
+    }).join('');
+    return header + lines;
+  }).join('');
+
+  return { html: `<table class="diff">${rows}</table>`, placed };
+}
+
+/**
+ * Review detail with findings grouped by file next to the diff
+ * @param {Object} data - View data
+ * @param {Object} data.review - Review document
+ * @param {Object<string, string>} data.patches - Patch per file path (empty when the diff couldn't be loaded)
+ * @param {string|null} data.diffError - Why the diff couldn't be loaded
+ * @returns {string} HTML page
+ */
+function renderReviewDetail({ review, patches, diffError }) {
+  const byFile = new Map();
+  review.comments.forEach(comment => {
+    if (!byFile.has(comment.file)) byFile.set(comment.file, []);
+    byFile.get(comment.file).push(comment);
+  });
+
+  const files = byFile.size > 0
+    ? [...byFile.entries()].map(([file, comments]) => {
+      const diff = patches[file] ? renderDiff(patches[file], comments) : null;
+      const remaining = diff ? comments.filter(comment => !diff.placed.has(comment)) : comments;
+      return `<div class="card">
+        <h3>${escapeHtml(file)} <span class="muted">(${comments.length})</span></h3>
+        ${remaining.map(renderFinding).join('')}
+        ${diff ? diff.html : ''}
+      </div>`;
+    }).join('')
+    : '<div class="card muted">No findings</div>';
+
+  const retry = ['failed', 'parse_failed'].includes(review.status)
+    ? `<form method="post" action="/dashboard/reviews/${review._id}/retry"><button type="submit">Retry review</button></form>`
+    : '';
+
+  const body = `
+    <div class="card">
+      <h2>${escapeHtml(review.repository)}#${review.pullRequestId} ${statusBadge(review.status)}</h2>
+      <p>${escapeHtml(review.prInfo?.title)} <span class="muted">by ${escapeHtml(review.prInfo?.author)}
+        · ${escapeHtml(review.prInfo?.headBranch)} → ${escapeHtml(review.prInfo?.baseBranch)}</span></p>
+      <p class="muted">Created ${formatDate(review.createdAt)} · Completed ${formatDate(review.reviewCompletedAt)}
+        · Duration ${formatDuration(review)} · Retries ${review.retryCount}
+        · Scope ${escapeHtml(review.reviewScope?.mode || 'full')}</p>
+      ${review.errorMessage ? `<p class="error-text">${escapeHtml(review.errorMessage)}</p>` : ''}
+      ${retry}
+    </div>
+    ${diffError ? `<div class="card notice">Diff unavailable: ${escapeHtml(diffError)}</div>` : ''}
+    ${files}`;
+
+  return layout(`${review.repository}#${review.pullRequestId}`, body, 'reviews');
+}
+
+/**
+ * Failed reviews with their errors and a retry button
+ * @param {Object} data - View data
+ * @param {Array} data.reviews - Failed reviews
+ * @param {string} [data.notice] - Message shown after a retry
+ * @returns {string} HTML page
+ */
+function renderFailures({ reviews, notice }) {
+  const rows = reviews.map(review => `
+    <tr>
+      <td><a href="/dashboard/reviews/${review._id}">${escapeHtml(review.repository)}#${review.pullRequestId}</a><br>
+        <span class="muted">${escapeHtml(review.prInfo?.title)}</span></td>
+      <td class="error-text">${escapeHtml(review.errorMessage || 'Unknown error')}</td>
+      <td>${review.retryCount}</td>
+      <td>${formatDate(review.updatedAt)}</td>
+      <td><form method="post" action="/dashboard/reviews/${review._id}/retry"><button type="submit">Retry</button></form></td>
+    </tr>`).join('');
+
+  const body = `
+    ${notice ? `<div class="card notice">${escapeHtml(notice)}</div>` : ''}
+    <div class="card">
+      <h3>Failed reviews</h3>
+      <table>
+        <thead><tr><th>Pull request</th><th>Error</th><th>Retries</th><th>Failed at</th><th></th></tr></thead>
+        <tbody>${rows || '<tr><td colspan="5" class="muted">No failed reviews</td></tr>'}</tbody>
+      </table>
+    </div>`;
+
+  return layout('Failures', body, 'failures');
+}
+
+/**
+ * Sign-in form that exchanges an API key for a dashboard session
+ * @param {Object} data - View data
+ * @param {string} [data.error] - Why the last sign-in failed
+ * @returns {string} HTML page
+ */
+function renderLogin({ error } = {}) {
+  const body = `
+    <div class="card" style="max-width:420px;margin:48px auto">
+      <h3>Sign in</h3>
+      <p class="muted">Use an API key with the <code>reviews:read</code> scope; retrying reviews needs <code>reviews:write</code>.</p>
+      ${error ? `<p class="error-text">${escapeHtml(error)}</p>` : ''}
+      <form method="post" action="/dashboard/login">
+        <input type="password" name="apiKey" placeholder="cra_..." autocomplete="off" required style="width:100%;padding:6px;margin-bottom:8px">
+        <button type="submit">Sign in</button>
+      </form>
+    </div>`;
+
+  return layout('Sign in', body, 'login');
+}
+
+module.exports = {
+  escapeHtml,
+  renderFindingsChart,
+  renderReviewList,
+  renderReviewDetail,
+  renderFailures,
+  renderLogin
+};
@@ -0,0 +1,197 @@
+const os = require('os');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const jobQueue = require('../services/jobQueue');
+const reviewProcessor = require('../services/reviewProcessor');
+const Review = require('../models/Review');
+const ReviewJob = require('../models/ReviewJob');
+const { LeaseLostError } = require('../middleware/errorHandler');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Polls the review job queue and runs claimed jobs
+ * Holds a lease on each running job and renews it with heartbeats, so jobs left
+ * behind by a crashed or redeployed instance are picked up again once the lease expires.
+ */
+class ReviewWorker {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+    this.concurrency = config.WORKER_CONCURRENCY;
+    this.pollInterval = config.QUEUE_POLL_INTERVAL;
+    this.running = new Map();
+    this.stopped = true;
+    this.pollTimer = null;
+    this.lastRecoveryAt = 0;
+  }
+
+  /**
+   * Start polling the queue
+   */
+  start() {
+    if (!this.stopped) {
+      return;
+    }
+
+    this.stopped = false;
+    logger.info('Review worker started', {
+      workerId: this.workerId,
+      concurrency: this.concurrency
+    });
+    this.schedulePoll(0);
+  }
+
+  /**
+   * Stop polling and wait for running jobs to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.pollTimer);
+
+    if (this.running.size > 0) {
+      logger.info('Waiting for running review jobs to finish', { count: this.running.size });
+      await Promise.allSettled([...this.running.values()]);
+    }
+
+    logger.info('Review worker stopped', { workerId: this.workerId });
+  }
+
+  schedulePoll(delay) {
+    this.pollTimer = setTimeout(() => this.poll(), delay);
+  }
+
+  /**
+   * Claim as many jobs as there are free slots
+   */
+  async poll() {
+    try {
+      // Skip while the database is unavailable; mongoose would only buffer the queries
+      if (mongoose.connection.readyState !== 1) {
+        return;
+      }
+
+      await this.recoverIfDue();
+
+      while (!this.stopped && this.running.size < this.concurrency) {
+        const job = await jobQueue.claimNext(this.workerId);
+        if (!job) {
+          break;
+        }
+        this.runJob(job);
+      }
+    } catch (error) {
+      logger.error('Review worker poll failed', {
+        workerId: this.workerId,
+        error: error.message
+      });
+    } finally {
+      if (!this.stopped) {
+        this.schedulePoll(this.pollInterval);
+      }
+    }
+  }
+
+  runJob(job) {
+    const jobId = String(job._id);
+    const promise = this.executeJob(job).finally(() => this.running.delete(jobId));
+    this.running.set(jobId, promise);
+  }
+
+  /**
+   * Run a claimed job while keeping its lease alive
+   * If the lease is lost (e.g. a long GC pause let it expire and another worker claimed the
+   * job) the run is aborted before it posts anything and the job is left to its new owner.
+   * @param {Object} job - Claimed job document
+   */
+  async executeJob(job) {
+    const { owner, repo, pullNumber } = job;
+
+    logger.info('Running review job', {
+      jobId: job._id,
+      reviewId: job.review,
+      owner,
+      repo,
+      pullNumber,
+      attempt: job.attempts
+    });
+
+    const lease = new AbortController();
+    const heartbeat = setInterval(() => {
+      jobQueue.heartbeat(job, this.workerId)
+        .then(owned => {
+          if (!owned && !lease.signal.aborted) {
+            logger.warn('Review job lease lost, aborting run', { jobId: job._id, workerId: this.workerId });
+            lease.abort(new LeaseLostError());
+          }
+        })
+        .catch(error => {
+          logger.warn('Review job heartbeat failed', { jobId: job._id, error: error.message });
+        });
+    }, Math.max(Math.floor(jobQueue.leaseDuration / 3), 1000));
+
+    try {
+      await reviewProcessor.processReview(owner, repo, pullNumber, job.review, {
+        signal: lease.signal,
+        trigger: job.trigger
+      });
+      await jobQueue.complete(job, this.workerId);
+    } catch (error) {
+      if (error instanceof LeaseLostError) {
+        logger.info('Review job left to the worker that holds its lease', { jobId: job._id });
+        return;
+      }
+      try {
+        const { owned, willRetry } = await jobQueue.fail(job, this.workerId, error);
+        // The review belongs to whichever worker took the job over
+        if (owned) {
+          await reviewProcessor.handleFailure(owner, repo, pullNumber, job.review, error, willRetry);
+        }
+      } catch (failError) {
+        logger.error('Failed to record review job failure', {
+          jobId: job._id,
+          error: failError.message
+        });
+      }
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Periodically dead-letter expired final attempts and requeue orphaned pending reviews
+   */
+  async recoverIfDue() {
+    if (Date.now() - this.lastRecoveryAt < config.QUEUE_RECOVERY_INTERVAL) {
+      return;
+    }
+    this.lastRecoveryAt = Date.now();
+
+    const reaped = await jobQueue.reapExpiredJobs();
+    for (const job of reaped) {
+      await reviewProcessor.handleFailure(
+        job.owner,
+        job.repo,
+        job.pullNumber,
+        job.review,
+        new Error(`Review job lease expired after ${job.attempts} attempt(s)`),
+        false
+      );
+    }
+
+    // Pending reviews without a job were created but never queued (e.g. crash between the two writes)
+    const pendingReviews = await Review.getPendingReviews();
+    for (const review of pendingReviews) {
+      const activeJob = await ReviewJob.findActiveForReview(review._id);
+      if (!activeJob) {
+        await jobQueue.enqueueReview(review, 'recovery');
+      }
+    }
+
+    if (reaped.length > 0) {
+      logger.warn('Dead-lettered stranded review jobs', { count: reaped.length });
+    }
+  }
+}
+
+module.exports = new ReviewWorker();
@@ -1,5 +1,16 @@
 const request = require('supertest');
 const app = require('../src/index');
+const ApiKey = require('../src/models/ApiKey');
+const Review = require('../src/models/Review');
+
+const makeKey = fields => new ApiKey({
+  _id: '64b000000000000000000001',
+  name: 'ci',
+  keyHash: 'hash',
+  scopes: ['reviews:read'],
+  lastUsedAt: new Date(),
+  ...fields
+});
 
 describe('Code Review Agent API', () => {
   describe('GET /health', () => {
@@ -44,17 +55,67 @@ describe('Code Review Agent API', () => {
   });
 
   describe('GET /api/reviews/:prId', () => {
-    it('should require owner and repo parameters', async () => {
+    it('should require an API key', async () => {
       await request(app)
         .get('/api/reviews/123')
-        .expect(400);
+        .query({ owner: 'test', repo: 'repo' })
+        .expect(401);
     });
 
-    it('should return 404 for non-existent review', async () => {
+    it('should reject non-bearer credentials', async () => {
       await request(app)
-        .get('/api/reviews/999')
+        .get('/api/reviews/123')
+        .set('Authorization', 'Basic dXNlcjpwYXNz')
         .query({ owner: 'test', repo: 'repo' })
-        .expect(404);
+        .expect(401);
+    });
+
+    describe('with a valid API key', () => {
+      beforeEach(() => {
+        jest.spyOn(ApiKey, 'findByKey').mockResolvedValue(makeKey());
+      });
+
+      afterEach(() => {
+        jest.restoreAllMocks();
+      });
+
+      it('should require owner and repo parameters', async () => {
+        await request(app)
+          .get('/api/reviews/123')
+          .set('Authorization', 'Bearer cra_valid')
+          .expect(400);
+      });
+
+      it('should return 404 for non-existent review', async () => {
+        jest.spyOn(Review, 'findByPR').mockResolvedValue(null);
+
+        await request(app)
+          .get('/api/reviews/999')
+          .set('Authorization', 'Bearer cra_valid')
+          .query({ owner: 'test', repo: 'repo' })
+          .expect(404);
+
+        expect(Review.findByPR).toHaveBeenCalledWith('test', 'repo', 999);
+      });
+    });
+  });
+
+  describe('POST /api/reviews/:prId/retry', () => {
+    it('should require an API key', async () => {
+      await request(app)
+        .post('/api/reviews/123/retry')
+        .query({ owner: 'test', repo: 'repo' })
+        .expect(401);
+    });
+  });
+
+  describe('GET /dashboard', () => {
+    it('should redirect to the sign-in page without a session', async () => {
+      const response = await request(app)
+        .get('/dashboard')
+        .expect(303);
+
+      expect(response.headers.location).toBe('/dashboard/login');
     });
   });
 
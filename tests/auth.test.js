@@ -0,0 +1,109 @@
+process.env.GITHUB_TOKEN = process.env.GITHUB_TOKEN || 'test-token';
+process.env.GEMINI_API_KEY = process.env.GEMINI_API_KEY || 'test-key';
+
+const jwt = require('jsonwebtoken');
+const ApiKey = require('../src/models/ApiKey');
+const { authenticate, authenticateDashboard, requireScope, requireApiKeyCredential, issueToken } = require('../src/middleware/auth');
+
+const makeKey = fields => new ApiKey({
+  _id: '64b000000000000000000001',
+  name: 'ci',
+  keyHash: 'hash',
+  scopes: ['reviews:read'],
+  lastUsedAt: new Date(),
+  ...fields
+});
+
+const makeRequest = headers => ({
+  get: name => headers[name]
+});
+
+// Run a middleware and resolve with the error passed to next (undefined on success)
+const run = (middleware, req, res = {}) => new Promise(resolve => {
+  Promise.resolve(middleware(req, res, resolve)).then(() => {
+    if (res.redirectedTo) resolve();
+  });
+});
+
+describe('API authentication', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should hash keys and never store them in plain text', async () => {
+    jest.spyOn(ApiKey, 'create').mockImplementation(async fields => makeKey(fields));
+
+    const { apiKey, key } = await ApiKey.generate({ name: 'ci', scopes: ['reviews:read'] });
+
+    expect(key).toMatch(/^cra_[\w-]{43}$/);
+    expect(apiKey.keyHash).toBe(ApiKey.hashKey(key));
+    expect(apiKey.keyHash).not.toContain(key);
+    expect(key.startsWith(apiKey.prefix)).toBe(true);
+  });
+
+  it('should require a bearer credential', async () => {
+    const error = await run(authenticate, makeRequest({}));
+    expect(error.statusCode).toBe(401);
+  });
+
+  it('should accept an active API key and reject a revoked one', async () => {
+    const apiKey = makeKey();
+    jest.spyOn(ApiKey, 'findByKey').mockResolvedValue(apiKey);
+
+    const req = makeRequest({ Authorization: 'Bearer cra_valid' });
+    expect(await run(authenticate, req)).toBeUndefined();
+    expect(req.apiKey).toBe(apiKey);
+
+    apiKey.revokedAt = new Date();
+    const error = await run(authenticate, makeRequest({ Authorization: 'Bearer cra_valid' }));
+    expect(error.statusCode).toBe(401);
+  });
+
+  it('should accept JWTs issued for an active key', async () => {
+    const apiKey = makeKey();
+    jest.spyOn(ApiKey, 'findById').mockResolvedValue(apiKey);
+    const { token } = issueToken(apiKey);
+
+    const req = makeRequest({ Authorization: `Bearer ${token}` });
+    expect(await run(authenticate, req)).toBeUndefined();
+    expect(ApiKey.findById).toHaveBeenCalledWith('64b000000000000000000001');
+
+    const forged = jwt.sign({}, 'other-secret', { subject: '64b000000000000000000001' });
+    const error = await run(authenticate, makeRequest({ Authorization: `Bearer ${forged}` }));
+    expect(error.name).toBe('JsonWebTokenError');
+  });
+
+  it('should only issue tokens to requests that sent the API key itself', async () => {
+    const apiKey = makeKey();
+    jest.spyOn(ApiKey, 'findByKey').mockResolvedValue(apiKey);
+    jest.spyOn(ApiKey, 'findById').mockResolvedValue(apiKey);
+    const { token } = issueToken(apiKey);
+
+    const withKey = makeRequest({ Authorization: 'Bearer cra_valid' });
+    await run(authenticate, withKey);
+    expect(withKey.authMethod).toBe('api_key');
+    expect(await run(requireApiKeyCredential, withKey)).toBeUndefined();
+
+    const withToken = makeRequest({ Authorization: `Bearer ${token}` });
+    await run(authenticate, withToken);
+    expect(withToken.authMethod).toBe('jwt');
+    expect((await run(requireApiKeyCredential, withToken)).statusCode).toBe(403);
+  });
+
+  it('should enforce scopes, with admin granting every scope', async () => {
+    const reader = { apiKey: makeKey() };
+    const admin = { apiKey: makeKey({ scopes: ['admin'] }) };
+
+    expect(await run(requireScope('reviews:read'), reader)).toBeUndefined();
+    expect((await run(requireScope('reviews:write'), reader)).statusCode).toBe(403);
+    expect(await run(requireScope('reviews:write'), admin)).toBeUndefined();
+  });
+
+  it('should send dashboard visitors without a session to the sign-in page', async () => {
+    const res = { redirect: jest.fn((status, location) => { res.redirectedTo = location; }) };
+
+    await run(authenticateDashboard, makeRequest({}), res);
+
+    expect(res.redirect).toHaveBeenCalledWith(303, '/dashboard/login');
+  });
+});
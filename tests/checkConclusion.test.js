@@ -0,0 +1,20 @@
+const { getCheckConclusion } = require('../src/utils/checkConclusion');
+
+const findings = (...severities) => severities.map(severity => ({ severity }));
+
+describe('checkConclusion', () => {
+  const defaults = { failOn: 'error', neutralOn: 'warning' };
+
+  it('should fail on errors and go neutral on warnings by default', () => {
+    expect(getCheckConclusion(findings('warning', 'error'), defaults)).toBe('failure');
+    expect(getCheckConclusion(findings('suggestion', 'warning'), defaults)).toBe('neutral');
+    expect(getCheckConclusion(findings('suggestion'), defaults)).toBe('success');
+    expect(getCheckConclusion([], defaults)).toBe('success');
+  });
+
+  it('should honour stricter and disabled thresholds', () => {
+    expect(getCheckConclusion(findings('warning'), { failOn: 'warning', neutralOn: 'suggestion' })).toBe('failure');
+    expect(getCheckConclusion(findings('suggestion'), { failOn: 'warning', neutralOn: 'suggestion' })).toBe('neutral');
+    expect(getCheckConclusion(findings('error'), { failOn: 'never', neutralOn: 'never' })).toBe('success');
+  });
+});
@@ -0,0 +1,86 @@
+const { findEnclosingBlock, buildFileContext, attachFileContexts } = require('../src/utils/codeContext');
+
+const jsFile = [
+  "const db = require('./db');",   // 1
+  '',                               // 2
+  'function helper(id) {',          // 3
+  '  return db.find(id);',          // 4
+  '}',                              // 5
+  '',                               // 6
+  'class Users {',                  // 7
+  '  async load(id) {',             // 8
+  '    const user = helper(id);',   // 9
+  '    if (!user) {',               // 10
+  '      return null;',             // 11
+  '    }',                          // 12
+  '    return user.name;',          // 13
+  '  }',                            // 14
+  '}',                              // 15
+  ''                                // 16
+];
+
+// Line 13 changed from "return user;"
+const patch = '@@ -12,3 +12,3 @@\n     }\n-    return user;\n+    return user.name;\n   }';
+
+describe('codeContext', () => {
+  describe('findEnclosingBlock', () => {
+    it('should find the enclosing method of a line', () => {
+      expect(findEnclosingBlock(jsFile, 11)).toEqual({ start: 8, end: 14 });
+      expect(findEnclosingBlock(jsFile, 4)).toEqual({ start: 3, end: 5 });
+    });
+
+    it('should use indentation for Python', () => {
+      const python = ['import os', '', 'def load(path):', '    data = read(path)', '    return data', '', 'x = 1'];
+
+      expect(findEnclosingBlock(python, 5)).toEqual({ start: 3, end: 5 });
+      expect(findEnclosingBlock(python, 7)).toBeNull();
+    });
+  });
+
+  describe('buildFileContext', () => {
+    it('should mark changed lines and show the enclosing function', () => {
+      const context = buildFileContext(jsFile.join('\n'), patch, { lines: 2, mode: 'function' });
+
+      expect(context.split('\n')).toEqual([
+        '   8 |   async load(id) {',
+        '   9 |     const user = helper(id);',
+        '  10 |     if (!user) {',
+        '  11 |       return null;',
+        '  12 |     }',
+        '+ 13 |     return user.name;',
+        '  14 |   }'
+      ]);
+    });
+
+    it('should show a line window around each hunk', () => {
+      const context = buildFileContext(jsFile.join('\n'), patch, { lines: 3, mode: 'lines' });
+
+      expect(context.split('\n')[0]).toBe('   9 |     const user = helper(id);');
+      expect(context.split('\n').pop()).toBe('  16 | ');
+    });
+
+    it('should skip files whose diff already covers the window', () => {
+      const added = '@@ -0,0 +1,3 @@\n+a\n+b\n+c';
+
+      expect(buildFileContext('a\nb\nc', added, { lines: 10, mode: 'lines' })).toBeNull();
+    });
+  });
+
+  describe('attachFileContexts', () => {
+    it('should narrow the window to stay within the token budget', () => {
+      const content = Array.from({ length: 200 }, (_, i) => `line ${i + 1} ${'x'.repeat(40)}`).join('\n');
+      const files = [
+        { file_path: 'a.js', patch: '@@ -100,1 +100,1 @@\n-old\n+line 100' },
+        { file_path: 'b.js', patch: '@@ -100,1 +100,1 @@\n-old\n+line 100' }
+      ];
+      const contents = new Map([['a.js', content], ['b.js', content]]);
+
+      const stats = attachFileContexts(files, contents, { lines: 20, mode: 'lines', tokenBudget: 700 });
+
+      expect(files[0].context.split('\n')).toHaveLength(41);
+      expect(files[1].context.split('\n').length).toBeLessThan(41);
+      expect(stats.reduced).toEqual(['b.js']);
+      expect(stats.tokens).toBeLessThanOrEqual(700);
+    });
+  });
+});
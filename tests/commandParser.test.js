@@ -0,0 +1,20 @@
+const { parseCommand } = require('../src/utils/commandParser');
+
+describe('commandParser', () => {
+  it('should parse a command at the start of a line', () => {
+    expect(parseCommand('/review')).toEqual({ name: 'review', args: [] });
+    expect(parseCommand('Thanks!\n/RETRY please')).toEqual({ name: 'retry', args: ['please'] });
+  });
+
+  it('should ignore unknown commands and mid-sentence mentions', () => {
+    expect(parseCommand('/deploy now')).toBeNull();
+    expect(parseCommand('you can use /pause here')).toBeNull();
+    expect(parseCommand('')).toBeNull();
+  });
+
+  it('should ignore quoted lines and code blocks', () => {
+    expect(parseCommand('> /pause\nagreed')).toBeNull();
+    expect(parseCommand('```\n/resume\n```')).toBeNull();
+    expect(parseCommand('> /pause\n/resume')).toEqual({ name: 'resume', args: [] });
+  });
+});
@@ -0,0 +1,57 @@
+const dashboard = require('../src/views/dashboard');
+
+const review = {
+  _id: '64b000000000000000000001',
+  repository: 'octo/repo',
+  pullRequestId: 7,
+  status: 'failed',
+  retryCount: 2,
+  errorMessage: 'LLM timeout <after 30s>',
+  prInfo: { title: 'Add <script>', author: 'alice', baseBranch: 'main', headBranch: 'feature' },
+  comments: [
+    { file: 'src/app.js', line: 2, side: 'RIGHT', severity: 'error', category: 'security', comment: 'Unsafe eval' },
+    { file: 'src/app.js', line: 40, side: 'RIGHT', severity: 'warning', category: 'bug', comment: 'Off by one', inline: false }
+  ]
+};
+
+describe('Dashboard views', () => {
+  it('should escape user content', () => {
+    const html = dashboard.renderReviewList({ reviews: [review], nextCursor: null, timeline: [], days: 7 });
+
+    expect(html).toContain('Add &lt;script&gt;');
+    expect(html).not.toContain('Add <script>');
+    expect(html).toContain('/dashboard/reviews/64b000000000000000000001');
+  });
+
+  it('should show findings next to the diff lines they refer to', () => {
+    const patch = '@@ -1,2 +1,3 @@\n const a = 1;\n+eval(input);\n const b = 2;';
+    const html = dashboard.renderReviewDetail({ review, patches: { 'src/app.js': patch }, diffError: null });
+
+    const evalRow = html.indexOf('+eval(input);');
+    expect(evalRow).toBeGreaterThan(-1);
+    expect(html.indexOf('Unsafe eval')).toBeGreaterThan(evalRow);
+    expect(html.indexOf('Off by one')).toBeLessThan(evalRow);
+    expect(html).toContain('not in diff');
+    expect(html).toContain('/dashboard/reviews/64b000000000000000000001/retry');
+  });
+
+  it('should list failures with errors and retry counts', () => {
+    const html = dashboard.renderFailures({ reviews: [review], notice: 'Retry queued' });
+
+    expect(html).toContain('LLM timeout &lt;after 30s&gt;');
+    expect(html).toContain('<td>2</td>');
+    expect(html).toContain('Retry queued');
+  });
+
+  it('should stack findings per day in the chart', () => {
+    const today = new Date().toISOString().substring(0, 10);
+    const svg = dashboard.renderFindingsChart([
+      { _id: { day: today, severity: 'error' }, count: 2 },
+      { _id: { day: today, severity: 'suggestion' }, count: 3 }
+    ], 7);
+
+    expect(svg).toContain(`${today}: 2 error`);
+    expect(svg).toContain(`${today}: 3 suggestion`);
+    expect(svg).toContain('max 5/day');
+  });
+});
@@ -0,0 +1,59 @@
+const { chunkDiffFiles, splitFile, estimateFileTokens } = require('../src/utils/diffChunker');
+
+const makeFile = (filePath, lines) => ({
+  file_path: filePath,
+  status: 'modified',
+  diff: `@@ -1,${lines} +1,${lines} @@\n${Array.from({ length: lines }, (_, i) => `+line ${i} ${'x'.repeat(30)}`).join('\n')}`
+});
+
+describe('diffChunker', () => {
+  it('should keep a small PR in a single batch', () => {
+    const batches = chunkDiffFiles([makeFile('src/a.js', 5), makeFile('src/b.js', 5)], 10000);
+
+    expect(batches).toHaveLength(1);
+    expect(batches[0].files.map(file => file.file_path)).toEqual(['src/a.js', 'src/b.js']);
+  });
+
+  it('should group files from the same directory into the same batch', () => {
+    const files = [
+      makeFile('api/routes.js', 20),
+      makeFile('web/page.js', 20),
+      makeFile('api/handlers.js', 20),
+      makeFile('web/style.js', 20)
+    ];
+    const budget = estimateFileTokens(files[0]) * 2 + 10;
+
+    const batches = chunkDiffFiles(files, budget);
+
+    expect(batches.map(batch => batch.files.map(file => file.file_path))).toEqual([
+      ['api/routes.js', 'api/handlers.js'],
+      ['web/page.js', 'web/style.js']
+    ]);
+    batches.forEach(batch => expect(batch.tokens).toBeLessThanOrEqual(budget));
+  });
+
+  it('should split an oversized file along hunk boundaries', () => {
+    const hunk = index => `@@ -${index * 10},3 +${index * 10},3 @@\n+${'y'.repeat(400)}`;
+    const file = { file_path: 'src/big.js', status: 'modified', diff: [0, 1, 2, 3].map(hunk).join('\n') };
+
+    const parts = splitFile(file, 300);
+
+    expect(parts.length).toBeGreaterThan(1);
+    parts.forEach(part => {
+      expect(part.diff.startsWith('@@')).toBe(true);
+      expect(part.part.total).toBe(parts.length);
+    });
+    expect(chunkDiffFiles([file], 300).length).toBe(parts.length);
+  });
+
+  it('should drop surrounding code before splitting a file', () => {
+    const file = { ...makeFile('src/a.js', 10), context: 'x'.repeat(4000) };
+
+    const batches = chunkDiffFiles([file], 500);
+
+    expect(batches).toHaveLength(1);
+    expect(batches[0].files[0].context).toBeNull();
+    expect(batches[0].files[0].part).toBeUndefined();
+    expect(file.context).toHaveLength(4000);
+  });
+});
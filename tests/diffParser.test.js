@@ -0,0 +1,107 @@
+const { parsePatch, buildLineMap, checkSuggestion, placeComments } = require('../src/utils/diffParser');
+
+const patch = [
+  '@@ -1,4 +1,5 @@',
+  ' const a = 1;',
+  '-const b = 2;',
+  '+const b = 3;',
+  '+const c = 4;',
+  ' const d = 5;',
+  ' const e = 6;',
+  '@@ -20,2 +21,2 @@ function later() {',
+  ' return a;',
+  '-return b;',
+  '+return c;',
+  '\\ No newline at end of file'
+].join('\n');
+
+describe('diffParser', () => {
+  it('should number old and new lines per hunk', () => {
+    const hunks = parsePatch(patch);
+
+    expect(hunks).toHaveLength(2);
+    expect(hunks[0].lines.map(line => [line.type, line.oldLine, line.newLine])).toEqual([
+      ['context', 1, 1],
+      ['del', 2, null],
+      ['add', null, 2],
+      ['add', null, 3],
+      ['context', 3, 4],
+      ['context', 4, 5]
+    ]);
+    expect(hunks[1].lines.map(line => line.type)).toEqual(['context', 'del', 'add']);
+  });
+
+  it('should place added and context lines on the right and deleted lines on the left', () => {
+    const lineMap = buildLineMap({ 'src/a.js': patch });
+
+    const [added, context, deleted] = placeComments([
+      { file: 'src/a.js', line: 3, side: 'RIGHT' },
+      { file: 'src/a.js', line: 5, side: 'RIGHT' },
+      { file: 'src/a.js', line: 2, side: 'LEFT' }
+    ], lineMap);
+
+    expect(added.placement).toEqual({ line: 3, side: 'RIGHT' });
+    expect(context.placement).toEqual({ line: 5, side: 'RIGHT' });
+    expect(deleted.placement).toEqual({ line: 2, side: 'LEFT' });
+  });
+
+  it('should keep multi-line ranges within a hunk and narrow the rest', () => {
+    const lineMap = buildLineMap({ 'src/a.js': patch });
+
+    const [range, crossHunk] = placeComments([
+      { file: 'src/a.js', startLine: 2, line: 4, side: 'RIGHT' },
+      { file: 'src/a.js', startLine: 4, line: 22, side: 'RIGHT' }
+    ], lineMap);
+
+    expect(range.placement).toEqual({ start_line: 2, start_side: 'RIGHT', line: 4, side: 'RIGHT' });
+    expect(crossHunk.placement).toEqual({ line: 22, side: 'RIGHT' });
+  });
+
+  it('should flag findings outside the diff instead of dropping them', () => {
+    const lineMap = buildLineMap({ 'src/a.js': patch });
+
+    const [outside, otherFile] = placeComments([
+      { file: 'src/a.js', line: 12, side: 'RIGHT' },
+      { file: 'src/b.js', line: 1 }
+    ], lineMap);
+
+    expect(outside).toMatchObject({ inline: false, placement: null, placementError: 'line 12 is not part of the diff' });
+    expect(otherFile).toMatchObject({ inline: false, placementError: 'file is not part of the diff' });
+  });
+
+  it('should not place deleted-line findings whose line numbers come from another diff', () => {
+    const lineMap = buildLineMap({ 'src/a.js': patch });
+
+    const [deleted, added] = placeComments([
+      { file: 'src/a.js', line: 2, side: 'LEFT' },
+      { file: 'src/a.js', line: 3, side: 'RIGHT' }
+    ], lineMap, { leftSide: false });
+
+    expect(deleted).toMatchObject({ inline: false, placement: null });
+    expect(deleted.placementError).toContain('not in the pull request base');
+    expect(added.placement).toEqual({ line: 3, side: 'RIGHT' });
+  });
+});
+
+describe('diffParser suggestions', () => {
+  const lineMap = buildLineMap({ 'src/a.js': patch });
+  const place = comment => placeComments([{ file: 'src/a.js', side: 'RIGHT', ...comment }], lineMap)[0];
+
+  it('should accept a suggestion that changes the commented range', () => {
+    expect(place({ startLine: 2, line: 3, suggestion: 'const b = 3, c = 4;' }).suggestionApplicable).toBe(true);
+  });
+
+  it('should reject a suggestion that leaves the code unchanged', () => {
+    const range = place({ startLine: 2, line: 3, suggestion: 'const b = 3;\nconst c = 4;\n' });
+
+    expect(range.inline).toBe(true);
+    expect(range.suggestionApplicable).toBe(false);
+    expect(checkSuggestion(lineMap, { file: 'src/a.js', startLine: 2, line: 3, suggestion: 'const b = 3;\nconst c = 4;' }, range.placement))
+      .toEqual({ applicable: false, reason: 'suggestion does not change the code' });
+  });
+
+  it('should reject suggestions on deleted lines or ranges that span hunks', () => {
+    expect(place({ line: 2, side: 'LEFT', suggestion: 'const b = 2;' }).suggestionApplicable).toBe(false);
+    expect(place({ startLine: 4, line: 22, suggestion: 'return d;' }).suggestionApplicable).toBe(false);
+  });
+});
@@ -0,0 +1,114 @@
+process.env.GITHUB_TOKEN = process.env.GITHUB_TOKEN || 'test-token';
+process.env.GEMINI_API_KEY = process.env.GEMINI_API_KEY || 'test-key';
+
+const feedbackService = require('../src/services/feedbackService');
+const githubService = require('../src/services/githubService');
+const FindingFeedback = require('../src/models/FindingFeedback');
+
+const makeFeedback = fields => {
+  const feedback = new FindingFeedback({
+    review: '64b000000000000000000001',
+    repository: 'octo/repo',
+    pullRequestId: 5,
+    fingerprint: 'abc',
+    githubCommentId: 100,
+    category: 'security',
+    ...fields
+  });
+  jest.spyOn(feedback, 'save').mockResolvedValue(feedback);
+  return feedback;
+};
+
+describe('FeedbackService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should classify replies', () => {
+    expect(feedbackService.classifyReply('This is a false positive, the input is trusted')).toBe('false_positive');
+    expect(feedbackService.classifyReply("Intentional, won't fix")).toBe('false_positive');
+    expect(feedbackService.classifyReply('Good catch, fixed in the next commit')).toBe('accepted');
+    expect(feedbackService.classifyReply('Can you explain?')).toBe('neutral');
+  });
+
+  it('should not read agreement or negated phrases as a verdict', () => {
+    expect(feedbackService.classifyReply('Good catch, the old check was wrong')).toBe('accepted');
+    expect(feedbackService.classifyReply('Thanks, fixed the incorrect index')).toBe('accepted');
+    expect(feedbackService.classifyReply('Not done yet')).toBe('neutral');
+    expect(feedbackService.classifyReply("It isn't a false positive")).toBe('neutral');
+    expect(feedbackService.classifyReply('That is not an issue here')).toBe('false_positive');
+  });
+
+  it('should leave replies that both accept and dismiss the finding neutral', () => {
+    expect(feedbackService.classifyReply('Fixed the first case, the second one is by design')).toBe('neutral');
+  });
+
+  it('should record a false-positive reply on an agent thread', async () => {
+    const feedback = makeFeedback();
+    jest.spyOn(FindingFeedback, 'findByGithubCommentId').mockResolvedValue(feedback);
+
+    await feedbackService.recordReply({
+      id: 101,
+      in_reply_to_id: 100,
+      body: 'false positive',
+      user: { login: 'dev' }
+    });
+
+    expect(FindingFeedback.findByGithubCommentId).toHaveBeenCalledWith(100);
+    expect(feedback.replies).toHaveLength(1);
+    expect(feedback.verdict).toBe('false_positive');
+  });
+
+  it('should count a thread resolved after the code changed as accepted', async () => {
+    const feedback = makeFeedback();
+    jest.spyOn(FindingFeedback, 'findByGithubCommentId').mockResolvedValue(feedback);
+
+    await feedbackService.recordThreadResolution('resolved', { comments: [{ id: 100, line: null, position: null }] }, 'dev');
+
+    expect(feedback.resolution).toBe('resolved_with_change');
+    expect(feedback.verdict).toBe('accepted');
+  });
+
+  it('should sync human thumbs from the comment reactions', async () => {
+    const feedback = makeFeedback();
+    jest.spyOn(FindingFeedback, 'findForPR').mockResolvedValue([feedback]);
+    jest.spyOn(githubService, 'listCommentReactions').mockResolvedValue([
+      { content: '-1', user: { type: 'User' } },
+      { content: '-1', user: { type: 'User' } },
+      { content: '+1', user: { type: 'Bot' } },
+      { content: 'heart', user: { type: 'User' } }
+    ]);
+
+    await feedbackService.syncReactions('octo', 'repo', 5);
+
+    expect(feedback.reactions.up).toBe(0);
+    expect(feedback.reactions.down).toBe(2);
+    expect(feedback.verdict).toBe('false_positive');
+  });
+
+  it('should share one reaction sync between overlapping calls for a PR', async () => {
+    jest.spyOn(FindingFeedback, 'findForPR').mockResolvedValue([makeFeedback()]);
+    jest.spyOn(githubService, 'listCommentReactions').mockResolvedValue([]);
+
+    const first = feedbackService.syncReactions('octo', 'repo', 5);
+    const second = feedbackService.syncReactions('octo', 'repo', 5);
+    await Promise.all([first, second]);
+    await feedbackService.syncReactions('octo', 'repo', 5);
+
+    expect(second).toBe(first);
+    expect(FindingFeedback.findForPR).toHaveBeenCalledTimes(2);
+  });
+
+  it('should compute rates per category and repository', () => {
+    const stats = feedbackService.summarizeStats([
+      { _id: { repository: 'octo/a', category: 'security' }, total: 10, accepted: 6, falsePositive: 2, resolvedWithChange: 4 },
+      { _id: { repository: 'octo/b', category: 'security' }, total: 4, accepted: 0, falsePositive: 2, resolvedWithChange: 0 },
+      { _id: { repository: 'octo/a', category: 'readability' }, total: 3, accepted: 0, falsePositive: 0, resolvedWithChange: 0 }
+    ]);
+
+    expect(stats.overall).toMatchObject({ total: 17, rated: 10, acceptanceRate: 0.6, falsePositiveRate: 0.4 });
+    expect(stats.byCategory.security).toMatchObject({ total: 14, acceptanceRate: 0.6, falsePositiveRate: 0.4 });
+    expect(stats.byCategory.readability.acceptanceRate).toBeNull();
+    expect(stats.byRepository['octo/b'].falsePositiveRate).toBe(1);
+  });
+});
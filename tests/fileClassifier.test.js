@@ -0,0 +1,63 @@
+const {
+  parseGitAttributes,
+  classifyPath,
+  classifyContent
+} = require('../src/utils/fileClassifier');
+
+describe('fileClassifier', () => {
+  describe('parseGitAttributes', () => {
+    it('should keep only linguist rules', () => {
+      const rules = parseGitAttributes(`
+# comment
+*.js text eol=lf
+/api/generated/** linguist-generated
+lib/vendor/** -linguist-vendored
+*.pb.go linguist-generated=false
+`);
+
+      expect(rules).toEqual([
+        { pattern: 'api/generated/**', anchored: true, generated: true },
+        { pattern: 'lib/vendor/**', anchored: true, vendored: false },
+        { pattern: '*.pb.go', anchored: false, generated: false }
+      ]);
+    });
+  });
+
+  describe('classifyPath', () => {
+    it('should recognise binaries, lockfiles, vendored and generated files by name', () => {
+      expect(classifyPath('assets/logo.PNG')).toEqual({ kind: 'binary', reason: 'binary file' });
+      expect(classifyPath('package-lock.json')).toEqual({ kind: 'lockfile', reason: 'lockfile' });
+      expect(classifyPath('services/api/go.sum').kind).toBe('lockfile');
+      expect(classifyPath('web/node_modules/lodash/index.js')).toEqual({ kind: 'vendored', reason: 'vendored code (node_modules/)' });
+      expect(classifyPath('public/app.min.js').reason).toBe('minified file');
+      expect(classifyPath('tests/__snapshots__/app.test.js.snap').reason).toBe('test snapshot');
+      expect(classifyPath('proto/user_pb2.py').reason).toBe('protobuf output');
+      expect(classifyPath('src/app.js')).toBeNull();
+    });
+
+    it('should let .gitattributes mark and unmark files', () => {
+      const rules = parseGitAttributes('api/client/** linguist-generated\nvendor/** -linguist-vendored\n*.snap -linguist-generated');
+
+      expect(classifyPath('api/client/index.ts', rules).reason).toBe('marked linguist-generated in .gitattributes');
+      expect(classifyPath('vendor/patched/lib.go', rules)).toBeNull();
+      expect(classifyPath('tests/__snapshots__/a.snap', rules)).toBeNull();
+      expect(classifyPath('other/vendor/lib.go', rules).kind).toBe('vendored');
+    });
+  });
+
+  describe('classifyContent', () => {
+    it('should recognise generated-code headers', () => {
+      const content = '// Code generated by protoc-gen-go. DO NOT EDIT.\npackage user\n';
+
+      expect(classifyContent('user.go', content)).toEqual({ kind: 'generated', reason: 'generated-code header' });
+      expect(classifyContent('user.go', content, parseGitAttributes('*.go -linguist-generated'))).toBeNull();
+    });
+
+    it('should recognise minified code by its line length', () => {
+      const bundle = `!function(){${'var a=1;'.repeat(300)}}();\n`;
+
+      expect(classifyContent('public/bundle.js', bundle).reason).toMatch(/^minified/);
+      expect(classifyContent('src/app.js', 'const a = 1;\n'.repeat(200))).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,45 @@
+const {
+  createFingerprint,
+  embedFingerprint,
+  extractFingerprint,
+  reconcileWithThreads
+} = require('../src/utils/fingerprint');
+
+describe('fingerprint', () => {
+  it('should ignore whitespace, casing and quoted line numbers', () => {
+    const original = createFingerprint('src/a.js', ['  eval(input);'], 'Avoid eval() on line 12.');
+    const moved = createFingerprint('src/a.js', ['\teval(input);', ''], 'avoid EVAL() on line 40');
+
+    expect(moved).toBe(original);
+    expect(createFingerprint('src/b.js', ['eval(input);'], 'Avoid eval()')).not.toBe(original);
+    expect(createFingerprint('src/a.js', ['eval(other);'], 'Avoid eval()')).not.toBe(original);
+  });
+
+  it('should round-trip through a comment body', () => {
+    const body = embedFingerprint('🔴 **SECURITY**: Avoid eval()', 'abc123def4567890');
+
+    expect(extractFingerprint(body)).toBe('abc123def4567890');
+    expect(extractFingerprint('A comment from a human')).toBeNull();
+  });
+
+  it('should skip findings with open threads and report threads that no longer apply', () => {
+    const threads = [
+      { fingerprint: 'same', path: 'src/a.js', isResolved: false, isOutdated: false, url: 'u1' },
+      { fingerprint: 'fixed', path: 'src/a.js', isResolved: false, isOutdated: true, url: 'u2' },
+      { fingerprint: 'untouched', path: 'src/c.js', isResolved: false, isOutdated: false, url: 'u3' },
+      { fingerprint: 'resolved', path: 'src/a.js', isResolved: true, isOutdated: true, url: 'u4' }
+    ];
+
+    const { comments, outdatedThreads } = reconcileWithThreads(
+      [{ fingerprint: 'same' }, { fingerprint: 'new' }],
+      threads,
+      { fullReview: false, reviewedFiles: new Set(['src/a.js']) }
+    );
+
+    expect(comments).toEqual([
+      { fingerprint: 'same', alreadyRaised: true, threadUrl: 'u1' },
+      { fingerprint: 'new', alreadyRaised: false }
+    ]);
+    expect(outdatedThreads.map(thread => thread.url)).toEqual(['u2']);
+  });
+});
@@ -0,0 +1,95 @@
+process.env.GITHUB_TOKEN = process.env.GITHUB_TOKEN || 'test-token';
+process.env.GEMINI_API_KEY = process.env.GEMINI_API_KEY || 'test-key';
+
+const crypto = require('crypto');
+const githubAuth = require('../src/services/githubAuth');
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  privateKeyEncoding: { type: 'pkcs1', format: 'pem' },
+  publicKeyEncoding: { type: 'spki', format: 'pem' }
+});
+
+const decode = segment => JSON.parse(Buffer.from(segment, 'base64url').toString());
+
+describe('GitHubAuth', () => {
+  let createInstallationAccessToken;
+  let getRepoInstallation;
+
+  beforeEach(() => {
+    githubAuth.appId = '4242';
+    githubAuth.privateKey = privateKey;
+    githubAuth.appJwt = null;
+    githubAuth.installationIds.clear();
+    githubAuth.installationTokens.clear();
+
+    createInstallationAccessToken = jest.fn().mockImplementation(async () => ({
+      data: {
+        token: `ghs_${createInstallationAccessToken.mock.calls.length}`,
+        expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+      }
+    }));
+    getRepoInstallation = jest.fn().mockResolvedValue({ data: { id: 7 } });
+    jest.spyOn(githubAuth, 'getAppOctokit').mockReturnValue({
+      rest: { apps: { createInstallationAccessToken, getRepoInstallation } }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should sign an RS256 app JWT that GitHub can verify', () => {
+    jest.restoreAllMocks();
+    const token = githubAuth.createAppJwt();
+    const [header, payload, signature] = token.split('.');
+
+    expect(decode(header)).toEqual({ alg: 'RS256', typ: 'JWT' });
+    expect(decode(payload).iss).toBe('4242');
+    expect(decode(payload).exp - decode(payload).iat).toBeLessThanOrEqual(10 * 60);
+    expect(crypto.verify('RSA-SHA256', Buffer.from(`${header}.${payload}`), publicKey, Buffer.from(signature, 'base64url'))).toBe(true);
+  });
+
+  it('should cache installation tokens per installation', async () => {
+    await githubAuth.getOctokit('acme', 'api');
+    await githubAuth.getOctokit('acme', 'api');
+
+    expect(getRepoInstallation).toHaveBeenCalledTimes(1);
+    expect(createInstallationAccessToken).toHaveBeenCalledTimes(1);
+    expect(createInstallationAccessToken).toHaveBeenCalledWith({ installation_id: 7 });
+  });
+
+  it('should refresh tokens that are about to expire', async () => {
+    const first = await githubAuth.getInstallationToken(7);
+    githubAuth.installationTokens.set(7, { ...first, expiresAt: Date.now() + 60 * 1000 });
+
+    const second = await githubAuth.getInstallationToken(7);
+
+    expect(createInstallationAccessToken).toHaveBeenCalledTimes(2);
+    expect(second.token).not.toBe(first.token);
+  });
+
+  it('should track repositories from installation webhooks', async () => {
+    githubAuth.handleInstallationEvent('installation_repositories', {
+      action: 'added',
+      installation: { id: 9 },
+      repositories_added: [{ full_name: 'acme/web' }],
+      repositories_removed: []
+    });
+    expect(await githubAuth.getInstallationId('acme', 'web')).toBe(9);
+
+    githubAuth.handleInstallationEvent('installation', { action: 'deleted', installation: { id: 9 } });
+    expect(await githubAuth.getInstallationId('acme', 'web')).toBe(7);
+    expect(getRepoInstallation).toHaveBeenCalledWith({ owner: 'acme', repo: 'web' });
+  });
+
+  it('should fall back to the personal access token without app credentials', async () => {
+    githubAuth.appId = undefined;
+
+    const octokit = await githubAuth.getOctokit('acme', 'api');
+
+    expect(githubAuth.isAppMode()).toBe(false);
+    expect(octokit.rest.pulls).toBeDefined();
+    expect(getRepoInstallation).not.toHaveBeenCalled();
+  });
+});
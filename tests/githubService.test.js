@@ -0,0 +1,294 @@
+process.env.GITHUB_TOKEN = process.env.GITHUB_TOKEN || 'test-token';
+process.env.GEMINI_API_KEY = process.env.GEMINI_API_KEY || 'test-key';
+
+const githubService = require('../src/services/githubService');
+
+describe('GitHubService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const mockOctokit = rest => {
+    jest.spyOn(githubService, 'getOctokit').mockResolvedValue({ rest });
+  };
+
+  describe('getIncrementalChanges', () => {
+    it('should return the files changed since the previous head', async () => {
+      const compareCommits = jest.fn().mockResolvedValue({
+        data: { status: 'ahead', ahead_by: 2, files: [{ filename: 'src/app.js' }] }
+      });
+      mockOctokit({ repos: { compareCommits } });
+
+      const result = await githubService.getIncrementalChanges('octo', 'repo', 'old', 'new');
+
+      expect(compareCommits).toHaveBeenCalledWith({ owner: 'octo', repo: 'repo', base: 'old', head: 'new' });
+      expect(result).toEqual({ files: [{ filename: 'src/app.js' }], commits: 2, fallbackReason: null });
+    });
+
+    it('should fall back when history was rewritten', async () => {
+      mockOctokit({
+        repos: { compareCommits: jest.fn().mockResolvedValue({ data: { status: 'diverged', files: [] } }) }
+      });
+
+      const result = await githubService.getIncrementalChanges('octo', 'repo', 'old', 'new');
+
+      expect(result.files).toBeNull();
+      expect(result.fallbackReason).toContain('force-push');
+    });
+
+    it('should fall back when the previous commit no longer exists', async () => {
+      mockOctokit({
+        repos: { compareCommits: jest.fn().mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 })) }
+      });
+
+      const result = await githubService.getIncrementalChanges('octo', 'repo', 'old', 'new');
+
+      expect(result.files).toBeNull();
+    });
+  });
+
+  describe('getPullRequestData', () => {
+    it('should only review PR files changed since the previous head', async () => {
+      mockOctokit({
+        pulls: {
+          get: jest.fn().mockResolvedValue({
+            data: {
+              title: 'Feature',
+              body: '',
+              user: { login: 'dev' },
+              base: { ref: 'main', sha: 'base' },
+              head: { ref: 'feature', sha: 'new' }
+            }
+          }),
+          listFiles: jest.fn().mockResolvedValue({
+            data: [
+              { filename: 'src/a.js', status: 'modified', changes: 4, patch: '@@ -1 +1 @@\n-a\n+b' },
+              { filename: 'src/b.js', status: 'modified', changes: 2, patch: '@@ -1 +1 @@\n-c\n+d' }
+            ]
+          })
+        },
+        repos: {
+          compareCommits: jest.fn().mockResolvedValue({
+            data: {
+              status: 'ahead',
+              ahead_by: 1,
+              files: [
+                { filename: 'src/b.js', status: 'modified', changes: 2, patch: '@@ -1 +1 @@\n-c\n+e' },
+                { filename: 'merged-from-main.js', status: 'added', changes: 1, patch: '@@ -0,0 +1 @@\n+x' }
+              ]
+            }
+          })
+        }
+      });
+
+      const prData = await githubService.getPullRequestData('octo', 'repo', 3, null, { sinceSha: 'old' });
+
+      expect(prData.review_scope).toEqual(expect.objectContaining({ mode: 'incremental', since_sha: 'old', commits: 1 }));
+      expect(prData.diff_files.map(file => file.file_path)).toEqual(['src/b.js']);
+      expect(prData.diff_files[0].diff).toContain('+e');
+    });
+
+    it('should attach the head version of the code around each hunk', async () => {
+      mockOctokit({
+        pulls: {
+          get: jest.fn().mockResolvedValue({
+            data: {
+              title: 'Feature',
+              body: '',
+              user: { login: 'dev' },
+              base: { ref: 'main', sha: 'base' },
+              head: { ref: 'feature', sha: 'head' }
+            }
+          }),
+          listFiles: jest.fn().mockResolvedValue({
+            data: [{ filename: 'src/a.js', status: 'modified', changes: 2, patch: '@@ -3 +3 @@\n-old();\n+save(user);' }]
+          })
+        }
+      });
+      const getFileContent = jest.spyOn(githubService, 'getFileContent')
+        .mockResolvedValue("const save = require('./save');\nconst user = {};\nsave(user);\n");
+
+      const prData = await githubService.getPullRequestData('octo', 'repo', 3, { contextLines: 5, contextMode: 'lines' });
+
+      expect(getFileContent).toHaveBeenCalledWith('octo', 'repo', 'src/a.js', 'head');
+      expect(prData.diff_files[0].context).toContain("  1 | const save = require('./save');");
+      expect(prData.diff_files[0].context).toContain('+ 3 | save(user);');
+    });
+  });
+
+  describe('getPullRequestData exclusions', () => {
+    it('should skip generated, vendored and lockfiles and say why', async () => {
+      mockOctokit({
+        pulls: {
+          get: jest.fn().mockResolvedValue({
+            data: {
+              title: 'Feature',
+              body: '',
+              user: { login: 'dev' },
+              base: { ref: 'main', sha: 'base' },
+              head: { ref: 'feature', sha: 'head' }
+            }
+          }),
+          listFiles: jest.fn().mockResolvedValue({
+            data: [
+              { filename: 'src/a.js', status: 'modified', changes: 2, patch: '@@ -1 +1 @@\n-a\n+b' },
+              { filename: 'package-lock.json', status: 'modified', changes: 2, patch: '@@ -1 +1 @@\n-a\n+b' },
+              { filename: 'src/api/client.ts', status: 'added', changes: 1, patch: '@@ -0,0 +1 @@\n+export {};' },
+              { filename: 'src/schema.ts', status: 'added', changes: 2, patch: '@@ -0,0 +1,2 @@\n+// @generated by graphql-codegen\n+export {};' },
+              { filename: 'src/types.ts', status: 'modified', changes: 2, patch: '@@ -2 +2 @@\n-a\n+b' },
+              { filename: 'src/routes.js', status: 'modified', changes: 1, patch: '@@ -40,2 +40,3 @@\n a\n+// DO NOT EDIT the order below\n b' }
+            ]
+          })
+        }
+      });
+      const baseFiles = {
+        '.gitattributes': 'src/api/** linguist-generated',
+        'src/types.ts': '// @generated by graphql-codegen\nexport type A = string;\n'
+      };
+      const getFileContent = jest.spyOn(githubService, 'getFileContent')
+        .mockImplementation(async (owner, repo, path, ref) => (ref === 'base' ? baseFiles[path] || '' : ''));
+
+      const prData = await githubService.getPullRequestData('octo', 'repo', 3, { contextLines: 0 });
+
+      expect(getFileContent).toHaveBeenCalledWith('octo', 'repo', '.gitattributes', 'base');
+      expect(prData.diff_files.map(file => file.file_path)).toEqual(['src/a.js', 'src/schema.ts', 'src/routes.js']);
+      expect(prData.skipped_files).toEqual([
+        { file_path: 'package-lock.json', kind: 'lockfile', reason: 'lockfile' },
+        { file_path: 'src/api/client.ts', kind: 'generated', reason: 'marked linguist-generated in .gitattributes' },
+        { file_path: 'src/types.ts', kind: 'generated', reason: 'generated-code header' }
+      ]);
+    });
+
+    it('should not fetch the base version when the head version looks hand-written', async () => {
+      mockOctokit({
+        pulls: {
+          get: jest.fn().mockResolvedValue({
+            data: {
+              title: 'Feature',
+              body: '',
+              user: { login: 'dev' },
+              base: { ref: 'main', sha: 'base' },
+              head: { ref: 'feature', sha: 'head' }
+            }
+          }),
+          listFiles: jest.fn().mockResolvedValue({
+            data: [{ filename: 'src/a.js', status: 'modified', changes: 2, patch: '@@ -1 +1 @@\n-a\n+b' }]
+          })
+        }
+      });
+      const getFileContent = jest.spyOn(githubService, 'getFileContent')
+        .mockImplementation(async (owner, repo, path, ref) => (ref === 'head' ? 'const b = 1;\n' : ''));
+
+      const prData = await githubService.getPullRequestData('octo', 'repo', 3, { contextLines: 5, contextMode: 'lines' });
+
+      expect(prData.diff_files).toHaveLength(1);
+      expect(getFileContent).not.toHaveBeenCalledWith('octo', 'repo', 'src/a.js', 'base');
+    });
+  });
+
+  describe('formatCommentBody', () => {
+    const comment = { severity: 'warning', category: 'bug', comment: 'Off by one.', suggestion: 'for (let i = 0; i < n; i++) {' };
+
+    it('should render applicable suggestions as GitHub suggested changes', () => {
+      const body = githubService.formatCommentBody({ ...comment, suggestionApplicable: true });
+
+      expect(body).toContain('```suggestion\nfor (let i = 0; i < n; i++) {\n```');
+    });
+
+    it('should fall back to a plain code block otherwise', () => {
+      const body = githubService.formatCommentBody({ ...comment, suggestionApplicable: false });
+
+      expect(body).toContain('**Suggestion:**\n```\nfor');
+      expect(body).not.toContain('```suggestion');
+    });
+  });
+
+  describe('postReviewComments', () => {
+    it('should submit the verdict event', async () => {
+      const createReview = jest.fn().mockResolvedValue({ data: { id: 7, state: 'APPROVED' } });
+      mockOctokit({ pulls: { createReview } });
+
+      const review = await githubService.postReviewComments('acme', 'api', 3, [], 'Looks good', 'sha', 'APPROVE');
+
+      expect(createReview).toHaveBeenCalledWith(expect.objectContaining({ event: 'APPROVE', commit_id: 'sha' }));
+      expect(review.state).toBe('APPROVED');
+    });
+
+    it('should fall back to a comment on its own pull request', async () => {
+      const ownPullRequest = Object.assign(new Error('Unprocessable Entity'), {
+        status: 422,
+        response: { data: { errors: ['Can not request changes on your own pull request'] } }
+      });
+      const createReview = jest.fn()
+        .mockRejectedValueOnce(ownPullRequest)
+        .mockResolvedValueOnce({ data: { id: 8, state: 'COMMENTED' } });
+      mockOctokit({ pulls: { createReview } });
+
+      const review = await githubService.postReviewComments('acme', 'api', 3, [], 'Blocked', 'sha', 'REQUEST_CHANGES');
+
+      expect(createReview.mock.calls.map(([args]) => args.event)).toEqual(['REQUEST_CHANGES', 'COMMENT']);
+      expect(review.id).toBe(8);
+    });
+
+    it('should rebuild the summary for the event actually submitted', async () => {
+      const ownPullRequest = Object.assign(new Error('Unprocessable Entity'), {
+        status: 422,
+        response: { data: { errors: ['Can not request changes on your own pull request'] } }
+      });
+      const createReview = jest.fn()
+        .mockRejectedValueOnce(ownPullRequest)
+        .mockResolvedValueOnce({ data: { id: 9, state: 'COMMENTED' } });
+      mockOctokit({ pulls: { createReview } });
+
+      await githubService.postReviewComments('acme', 'api', 3, [], async event => `Summary for ${event}`, 'sha', 'REQUEST_CHANGES');
+
+      expect(createReview.mock.calls.map(([args]) => args.body)).toEqual([
+        'Summary for REQUEST_CHANGES',
+        'Summary for COMMENT'
+      ]);
+    });
+  });
+
+  describe('dismissBlockingReviews', () => {
+    it('should dismiss only the agent\'s reviews that requested changes', async () => {
+      const dismissReview = jest.fn().mockResolvedValue({});
+      const listReviews = jest.fn();
+      jest.spyOn(githubService, 'getOctokit').mockResolvedValue({
+        rest: { pulls: { listReviews, dismissReview } },
+        paginate: jest.fn().mockResolvedValue([
+          { id: 1, state: 'CHANGES_REQUESTED', user: { login: 'review-bot[bot]' } },
+          { id: 2, state: 'COMMENTED', user: { login: 'review-bot[bot]' } },
+          { id: 3, state: 'CHANGES_REQUESTED', user: { login: 'maintainer' } }
+        ])
+      });
+      jest.spyOn(githubService, 'getBotUser').mockResolvedValue({ login: 'review-bot[bot]' });
+
+      const dismissed = await githubService.dismissBlockingReviews('acme', 'api', 3, 'Resolved');
+
+      expect(dismissed).toEqual([1]);
+      expect(dismissReview).toHaveBeenCalledWith({ owner: 'acme', repo: 'api', pull_number: 3, review_id: 1, message: 'Resolved' });
+    });
+  });
+
+  describe('completeCheckRun', () => {
+    it('should send annotations in batches of 50 and complete with the last one', async () => {
+      const update = jest.fn().mockResolvedValue({ data: { id: 5 } });
+      mockOctokit({ checks: { update } });
+      const comments = Array.from({ length: 120 }, (_, i) => ({
+        file: 'src/a.js', line: i + 1, severity: 'warning', category: 'bug', comment: `Finding ${i}`
+      }));
+      comments.push({ file: 'src/a.js', line: 3, side: 'LEFT', severity: 'error', category: 'bug', comment: 'Deleted line' });
+
+      await githubService.completeCheckRun('acme', 'api', 5, 'neutral', { title: 't', summary: 's' },
+        githubService.buildCheckAnnotations(comments));
+
+      expect(update.mock.calls.map(([args]) => args.output.annotations.length)).toEqual([50, 50, 20]);
+      expect(update.mock.calls[2][0]).toMatchObject({ status: 'completed', conclusion: 'neutral' });
+      expect(update.mock.calls[0][0].status).toBeUndefined();
+      expect(update.mock.calls[0][0].output.annotations[0]).toMatchObject({
+        path: 'src/a.js', start_line: 1, end_line: 1, annotation_level: 'warning'
+      });
+    });
+  });
+});
+
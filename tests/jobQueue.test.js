@@ -0,0 +1,156 @@
+process.env.GITHUB_TOKEN = process.env.GITHUB_TOKEN || 'test-token';
+process.env.GEMINI_API_KEY = process.env.GEMINI_API_KEY || 'test-key';
+
+const jobQueue = require('../src/services/jobQueue');
+const ReviewJob = require('../src/models/ReviewJob');
+
+describe('JobQueue', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('enqueueReview', () => {
+    const review = {
+      _id: '64b000000000000000000001',
+      owner: 'octo',
+      repo: 'repo',
+      repository: 'octo/repo',
+      pullRequestId: 5
+    };
+
+    it('should create a job for the review', async () => {
+      const create = jest.spyOn(ReviewJob, 'create').mockResolvedValue({ _id: 'job-1' });
+
+      const job = await jobQueue.enqueueReview(review, 'pull_request.opened');
+
+      expect(job._id).toBe('job-1');
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        review: review._id,
+        pullNumber: 5,
+        trigger: 'pull_request.opened'
+      }));
+    });
+
+    it('should flag a running job for rerun instead of creating a duplicate', async () => {
+      jest.spyOn(ReviewJob, 'create').mockRejectedValue(Object.assign(new Error('dup'), { code: 11000 }));
+      const update = jest.spyOn(ReviewJob, 'findOneAndUpdate')
+        .mockResolvedValue({ _id: 'job-1', status: 'running', rerunRequested: true });
+
+      const job = await jobQueue.enqueueReview(review);
+
+      expect(job.rerunRequested).toBe(true);
+      expect(update).toHaveBeenCalledWith(
+        expect.objectContaining({ review: review._id, status: 'running' }),
+        { $set: { rerunRequested: true, trigger: 'webhook' } },
+        { new: true }
+      );
+    });
+  });
+
+  describe('fail', () => {
+    it('should schedule a retry with backoff while attempts remain', async () => {
+      const updateOne = jest.spyOn(ReviewJob, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+      const before = Date.now();
+
+      const result = await jobQueue.fail({ _id: 'job-1', attempts: 2, maxAttempts: 3 }, 'w1', new Error('boom'));
+
+      expect(result.willRetry).toBe(true);
+      expect(result.runAt.getTime()).toBeGreaterThanOrEqual(before + jobQueue.retryBaseDelay * 2);
+      expect(updateOne.mock.calls[0][1].$set.status).toBe('queued');
+    });
+
+    it('should dead-letter the job on its final attempt', async () => {
+      const updateOne = jest.spyOn(ReviewJob, 'updateOne')
+        .mockResolvedValueOnce({ matchedCount: 0 })
+        .mockResolvedValueOnce({ matchedCount: 1 });
+
+      const result = await jobQueue.fail({ _id: 'job-1', attempts: 3, maxAttempts: 3 }, 'w1', new Error('boom'));
+
+      expect(result).toEqual({ owned: true, willRetry: false, runAt: null });
+      expect(updateOne.mock.calls[1][0]).toEqual({ _id: 'job-1', lockedBy: 'w1', rerunRequested: { $ne: true } });
+      expect(updateOne.mock.calls[1][1].$set).toEqual(expect.objectContaining({ status: 'dead', active: false }));
+    });
+
+    it('should requeue a failed final attempt whose rerun was requested', async () => {
+      const updateOne = jest.spyOn(ReviewJob, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+
+      const result = await jobQueue.fail({ _id: 'job-1', attempts: 3, maxAttempts: 3 }, 'w1', new Error('boom'));
+
+      expect(result.willRetry).toBe(true);
+      expect(updateOne).toHaveBeenCalledTimes(1);
+      expect(updateOne.mock.calls[0][0]).toEqual({ _id: 'job-1', lockedBy: 'w1', rerunRequested: true });
+      expect(updateOne.mock.calls[0][1].$set).toEqual(expect.objectContaining({
+        status: 'queued',
+        attempts: 0,
+        rerunRequested: false
+      }));
+    });
+
+    it('should record nothing once another worker holds the job', async () => {
+      jest.spyOn(ReviewJob, 'updateOne').mockResolvedValue({ matchedCount: 0 });
+
+      const result = await jobQueue.fail({ _id: 'job-1', attempts: 1, maxAttempts: 3 }, 'w1', new Error('boom'));
+
+      expect(result).toEqual({ owned: false, willRetry: false, runAt: null });
+    });
+  });
+
+  describe('complete', () => {
+    it('should complete the job while the worker still holds it', async () => {
+      const findOneAndUpdate = jest.spyOn(ReviewJob, 'findOneAndUpdate')
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ _id: 'job-1', status: 'completed' });
+
+      await expect(jobQueue.complete({ _id: 'job-1' }, 'w1')).resolves.toBe('completed');
+      expect(findOneAndUpdate.mock.calls[1][0]).toEqual({ _id: 'job-1', lockedBy: 'w1', rerunRequested: { $ne: true } });
+    });
+
+    it('should requeue when a rerun is requested between the two updates', async () => {
+      const findOneAndUpdate = jest.spyOn(ReviewJob, 'findOneAndUpdate')
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ _id: 'job-1', status: 'queued' });
+
+      await expect(jobQueue.complete({ _id: 'job-1' }, 'w1')).resolves.toBe('requeued');
+      expect(findOneAndUpdate.mock.calls[2][0]).toEqual({ _id: 'job-1', lockedBy: 'w1', rerunRequested: true });
+      expect(findOneAndUpdate.mock.calls[2][1].$set.status).toBe('queued');
+    });
+
+    it('should leave a job alone once another worker holds it', async () => {
+      jest.spyOn(ReviewJob, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(jobQueue.complete({ _id: 'job-1' }, 'w1')).resolves.toBeNull();
+    });
+  });
+
+  describe('claimNext', () => {
+    it('should claim due queued jobs and jobs with expired leases', async () => {
+      const findOneAndUpdate = jest.spyOn(ReviewJob, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await jobQueue.claimNext('w1');
+
+      const [query, update] = findOneAndUpdate.mock.calls[0];
+      expect(query.$or).toEqual([
+        { status: 'queued', runAt: { $lte: expect.any(Date) } },
+        { status: 'running', leaseExpiresAt: { $lt: expect.any(Date) } }
+      ]);
+      expect(update.$set.lockedBy).toBe('w1');
+      expect(update.$inc).toEqual({ attempts: 1 });
+    });
+  });
+
+  describe('reapExpiredJobs', () => {
+    it('should return only the jobs this call dead-lettered', async () => {
+      const expired = [
+        { _id: 'job-1', leaseExpiresAt: new Date(0) },
+        { _id: 'job-2', leaseExpiresAt: new Date(0) }
+      ];
+      jest.spyOn(ReviewJob, 'find').mockResolvedValue(expired);
+      jest.spyOn(ReviewJob, 'updateOne')
+        .mockResolvedValueOnce({ modifiedCount: 1 })
+        .mockResolvedValueOnce({ modifiedCount: 0 });
+
+      await expect(jobQueue.reapExpiredJobs()).resolves.toEqual([expired[0]]);
+    });
+  });
+});
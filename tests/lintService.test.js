@@ -0,0 +1,104 @@
+process.env.GITHUB_TOKEN = process.env.GITHUB_TOKEN || 'test-token';
+process.env.GEMINI_API_KEY = process.env.GEMINI_API_KEY || 'test-key';
+
+const lintService = require('../src/services/lintService');
+const githubService = require('../src/services/githubService');
+
+const content = [
+  'const unusedBefore = 1;',
+  'let total = 0;',
+  'function add(value) {',
+  '  const unusedAdded = value;',
+  '  if (value == null) return total;',
+  '  return total + value;',
+  '}',
+  'module.exports = add;',
+  ''
+].join('\n');
+
+// Lines 2, 4 and 5 were added
+const prData = {
+  pull_request_id: 5,
+  pr_info: { base_branch: 'main' },
+  head_sha: 'head',
+  diff_files: [
+    {
+      file_path: 'src/add.js',
+      patch: '@@ -1,5 +1,8 @@\n const unusedBefore = 1;\n+let total = 0;\n function add(value) {\n+  const unusedAdded = value;\n+  if (value == null) return total;\n   return total + value;\n }\n module.exports = add;'
+    },
+    { file_path: 'README.md', patch: '@@ -1 +1 @@\n-a\n+b' }
+  ],
+  head_contents: { 'src/add.js': content }
+};
+
+describe('LintService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should report baseline findings on added lines only', async () => {
+    jest.spyOn(githubService, 'listDirectory').mockResolvedValue([]);
+
+    const findings = await lintService.lintPullRequest('octo', 'repo', prData);
+
+    expect(findings).toEqual([
+      {
+        file: 'src/add.js',
+        line: 4,
+        startLine: null,
+        side: 'RIGHT',
+        severity: 'warning',
+        category: 'best-practices',
+        comment: "'unusedAdded' is assigned a value but never used. (ESLint `no-unused-vars`)",
+        suggestion: null,
+        source: 'eslint',
+        ruleId: 'no-unused-vars'
+      }
+    ]);
+  });
+
+  it('should apply the core rules of a legacy repository config', async () => {
+    jest.spyOn(githubService, 'listDirectory').mockResolvedValue(['.eslintrc.json', 'src']);
+    const getFileContent = jest.spyOn(githubService, 'getFileContent').mockResolvedValue(JSON.stringify({
+      extends: ['airbnb'],
+      rules: { 'prefer-const': 'error', eqeqeq: ['error', 'always'], 'react/prop-types': 'off' }
+    }));
+
+    const findings = await lintService.lintPullRequest('octo', 'repo', prData);
+
+    expect(getFileContent).toHaveBeenCalledWith('octo', 'repo', '.eslintrc.json', 'main');
+    expect(findings.map(finding => [finding.line, finding.ruleId, finding.severity])).toEqual([
+      [2, 'prefer-const', 'error'],
+      [4, 'no-unused-vars', 'warning'],
+      [5, 'eqeqeq', 'error']
+    ]);
+    expect(findings[0].suggestion).toBe('const total = 0;');
+  });
+
+  it('should not fail the review when linting fails', async () => {
+    jest.spyOn(githubService, 'listDirectory').mockResolvedValue([]);
+    jest.spyOn(lintService, 'runESLint').mockRejectedValue(new Error('boom'));
+
+    await expect(lintService.lintPullRequest('octo', 'repo', prData)).resolves.toEqual([]);
+  });
+
+  it('should drop only LLM findings that repeat an ESLint finding on the same line', () => {
+    const lint = [{ file: 'a.js', line: 4, category: 'best-practices', source: 'eslint', ruleId: 'no-unused-vars' }];
+    const llm = [
+      { file: 'a.js', line: 4, category: 'best-practices', comment: 'Unused variable' },
+      { file: 'a.js', line: 4, category: 'readability', comment: '`tmp` is never used (no-unused-vars)' },
+      { file: 'a.js', line: 4, category: 'performance', comment: 'Quadratic loop' },
+      { file: 'a.js', line: 4, category: 'security', comment: 'Unsanitized input' },
+      { file: 'a.js', line: 4, side: 'LEFT', category: 'best-practices', comment: 'Removed null check' },
+      { file: 'a.js', line: 2, category: 'best-practices', comment: 'Off by one' }
+    ];
+
+    expect(lintService.mergeFindings(lint, llm)).toEqual([
+      { file: 'a.js', line: 2, category: 'best-practices', comment: 'Off by one' },
+      { file: 'a.js', line: 4, category: 'best-practices', source: 'eslint', ruleId: 'no-unused-vars' },
+      { file: 'a.js', line: 4, category: 'performance', comment: 'Quadratic loop' },
+      { file: 'a.js', line: 4, category: 'security', comment: 'Unsanitized input' },
+      { file: 'a.js', line: 4, side: 'LEFT', category: 'best-practices', comment: 'Removed null check' }
+    ]);
+  });
+});
@@ -0,0 +1,60 @@
+process.env.GITHUB_TOKEN = process.env.GITHUB_TOKEN || 'test-token';
+process.env.GEMINI_API_KEY = process.env.GEMINI_API_KEY || 'test-key';
+
+const { Registry } = require('../src/utils/metrics');
+const metricsService = require('../src/services/metricsService');
+
+describe('Metrics', () => {
+  it('should render counters with escaped labels', () => {
+    const registry = new Registry();
+    const counter = registry.counter('events_total', 'Events.', ['type']);
+    counter.inc({ type: 'say "hi"' });
+    counter.inc({ type: 'say "hi"' }, 2);
+
+    expect(registry.render()).toBe([
+      '# HELP events_total Events.',
+      '# TYPE events_total counter',
+      'events_total{type="say \\"hi\\""} 3',
+      ''
+    ].join('\n'));
+  });
+
+  it('should render cumulative histogram buckets', () => {
+    const registry = new Registry();
+    const histogram = registry.histogram('duration_seconds', 'Duration.', ['outcome'], [1, 5]);
+    histogram.observe({ outcome: 'ok' }, 0.5);
+    histogram.observe({ outcome: 'ok' }, 3);
+    histogram.observe({ outcome: 'ok' }, 10);
+
+    const output = registry.render();
+    expect(output).toContain('duration_seconds_bucket{outcome="ok",le="1"} 1');
+    expect(output).toContain('duration_seconds_bucket{outcome="ok",le="5"} 2');
+    expect(output).toContain('duration_seconds_bucket{outcome="ok",le="+Inf"} 3');
+    expect(output).toContain('duration_seconds_sum{outcome="ok"} 13.5');
+    expect(output).toContain('duration_seconds_count{outcome="ok"} 3');
+  });
+
+  it('should expose review, LLM, webhook, GitHub quota and process metrics', () => {
+    metricsService.recordFindings([{ severity: 'error', category: 'security' }]);
+    metricsService.startReviewTimer()('completed');
+    metricsService.recordLlmFailure('gemini', new Error('503 Service Unavailable'), true);
+    metricsService.recordWebhook('pull_request', 'opened');
+    metricsService.recordGitHubRateLimit('token', {
+      'x-ratelimit-remaining': '4990',
+      'x-ratelimit-limit': '5000',
+      'x-ratelimit-reset': '1700000000',
+      'x-ratelimit-resource': 'core'
+    });
+
+    const output = metricsService.render();
+
+    expect(output).toContain('code_review_findings_total{severity="error",category="security"} 1');
+    expect(output).toContain('code_review_duration_seconds_count{outcome="completed"} 1');
+    expect(output).toContain('llm_unavailable_errors_total{provider="gemini"} 1');
+    expect(output).toContain('llm_request_retries_total{provider="gemini"} 1');
+    expect(output).toContain('github_webhook_events_total{event="pull_request",action="opened"} 1');
+    expect(output).toContain('github_rate_limit_remaining{credential="token",resource="core"} 4990');
+    expect(output).toMatch(/^process_resident_memory_bytes \d+$/m);
+    expect(output).toMatch(/^process_cpu_seconds_total [\d.]+$/m);
+  });
+});
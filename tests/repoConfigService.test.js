@@ -0,0 +1,126 @@
+process.env.GITHUB_TOKEN = process.env.GITHUB_TOKEN || 'test-token';
+process.env.GEMINI_API_KEY = process.env.GEMINI_API_KEY || 'test-key';
+
+const repoConfigService = require('../src/services/repoConfigService');
+const githubService = require('../src/services/githubService');
+const llmService = require('../src/services/llmService');
+const config = require('../src/config/config');
+
+describe('RepoConfigService', () => {
+  describe('resolveConfig', () => {
+    it('should merge repository settings over the global defaults', () => {
+      const effective = repoConfigService.resolveConfig(`
+criteria:
+  performance: false
+  documentation: false
+ignore:
+  - "docs/**"
+  - "*.snap"
+model: gemini-1.5-pro
+limits:
+  maxFiles: 20
+  maxFileChanges: 400
+context:
+  lines: 40
+  mode: lines
+checks:
+  failOn: warning
+  neutralOn: never
+verdict:
+  requestChangesOn: error
+  requestChangesCategories: [security]
+  approveUpTo: suggestion
+`);
+
+      expect(effective.source).toBe('repository');
+      expect(effective.reviewCriteria.checkPerformance).toBe(false);
+      expect(effective.reviewCriteria.checkDocumentation).toBe(false);
+      expect(effective.reviewCriteria.checkSecurity).toBe(config.REVIEW_CRITERIA.checkSecurity);
+      expect(effective.ignorePatterns).toEqual(['docs/**', '*.snap']);
+      expect(effective.model).toBe('gemini-1.5-pro');
+      expect(effective.maxFilesPerPR).toBe(20);
+      expect(effective.maxFileChanges).toBe(400);
+      expect(effective.contextLines).toBe(40);
+      expect(effective.contextMode).toBe('lines');
+      expect(effective.checkThresholds).toEqual({ failOn: 'warning', neutralOn: 'never' });
+      expect(effective.verdictPolicy).toEqual({
+        requestChangesOn: 'error',
+        requestChangesCategories: ['security'],
+        approveUpTo: 'suggestion'
+      });
+      expect(effective.warnings).toEqual([]);
+    });
+
+    it('should drop invalid entries and report them as warnings', () => {
+      const effective = repoConfigService.resolveConfig(`
+criteria:
+  security: "no"
+  style: true
+limits:
+  maxFiles: 500
+colour: blue
+`);
+
+      expect(effective.reviewCriteria.checkSecurity).toBe(config.REVIEW_CRITERIA.checkSecurity);
+      expect(effective.maxFilesPerPR).toBe(config.MAX_FILES_PER_PR);
+      expect(effective.warnings).toHaveLength(4);
+    });
+
+    it('should keep the default verdict policy for invalid verdict settings', () => {
+      const effective = repoConfigService.resolveConfig(`
+verdict:
+  requestChangesOn: critical
+  requestChangesCategories: [security, style]
+  approveUpTo: error
+`);
+
+      expect(effective.verdictPolicy.requestChangesOn).toBe(config.REVIEW_REQUEST_CHANGES_ON);
+      expect(effective.verdictPolicy.requestChangesCategories).toEqual(config.REVIEW_REQUEST_CHANGES_CATEGORIES);
+      expect(effective.verdictPolicy.approveUpTo).toBe(config.REVIEW_APPROVE_UP_TO);
+      expect(effective.warnings).toHaveLength(3);
+    });
+
+    it('should fall back to defaults on malformed YAML', () => {
+      const effective = repoConfigService.resolveConfig('criteria: [unclosed');
+
+      expect(effective.source).toBe('default');
+      expect(effective.model).toBe(llmService.getDefaultModel());
+      expect(effective.warnings[0]).toContain('Invalid YAML');
+    });
+  });
+
+  describe('loadRepoConfig', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should read the config from the base branch', async () => {
+      const getFileContent = jest
+        .spyOn(githubService, 'getFileContent')
+        .mockResolvedValue('model: gemini-1.5-pro\n');
+
+      const effective = await repoConfigService.loadRepoConfig('octo', 'repo', 'main');
+
+      expect(getFileContent).toHaveBeenCalledWith('octo', 'repo', '.codereview.yml', 'main');
+      expect(effective.model).toBe('gemini-1.5-pro');
+    });
+
+    it('should use defaults when the repository has no config file', async () => {
+      jest.spyOn(githubService, 'getFileContent').mockResolvedValue('');
+
+      const effective = await repoConfigService.loadRepoConfig('octo', 'repo', 'main');
+
+      expect(effective.source).toBe('default');
+    });
+  });
+
+  describe('GitHubService.isIgnoredFile', () => {
+    it('should match path globs and bare file name globs', () => {
+      const patterns = ['docs/**', '*.snap'];
+
+      expect(githubService.isIgnoredFile('docs/guide/intro.md', patterns)).toBe(true);
+      expect(githubService.isIgnoredFile('src/__snapshots__/app.test.js.snap', patterns)).toBe(true);
+      expect(githubService.isIgnoredFile('src/app.js', patterns)).toBe(false);
+    });
+  });
+});
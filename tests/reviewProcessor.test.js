@@ -0,0 +1,50 @@
+process.env.GITHUB_TOKEN = process.env.GITHUB_TOKEN || 'test-token';
+process.env.GEMINI_API_KEY = process.env.GEMINI_API_KEY || 'test-key';
+
+const reviewProcessor = require('../src/services/reviewProcessor');
+const repoConfigService = require('../src/services/repoConfigService');
+const Review = require('../src/models/Review');
+
+describe('ReviewProcessor', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('processReview', () => {
+    const makeReview = () => {
+      const review = new Review({
+        pullRequestId: 3,
+        repository: 'octo/repo',
+        owner: 'octo',
+        repo: 'repo',
+        status: 'pending',
+        paused: true
+      });
+      jest.spyOn(review, 'save').mockResolvedValue(review);
+      jest.spyOn(review, 'markInProgress').mockResolvedValue(review);
+      return review;
+    };
+
+    it('should skip jobs of a paused PR', async () => {
+      const review = makeReview();
+      jest.spyOn(Review, 'findById').mockResolvedValue(review);
+
+      await reviewProcessor.processReview('octo', 'repo', 3, review._id, { trigger: 'pull_request.synchronize' });
+
+      expect(review.status).toBe('skipped');
+      expect(review.markInProgress).not.toHaveBeenCalled();
+    });
+
+    it('should run a /review of a paused PR', async () => {
+      const review = makeReview();
+      jest.spyOn(Review, 'findById').mockResolvedValue(review);
+      jest.spyOn(repoConfigService, 'loadRepoConfig').mockRejectedValue(new Error('stop here'));
+
+      await expect(
+        reviewProcessor.processReview('octo', 'repo', 3, review._id, { trigger: 'command.review' })
+      ).rejects.toThrow('stop here');
+
+      expect(review.markInProgress).toHaveBeenCalled();
+    });
+  });
+});
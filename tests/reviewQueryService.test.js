@@ -0,0 +1,108 @@
+process.env.GITHUB_TOKEN = process.env.GITHUB_TOKEN || 'test-token';
+process.env.GEMINI_API_KEY = process.env.GEMINI_API_KEY || 'test-key';
+
+const mongoose = require('mongoose');
+const reviewQueryService = require('../src/services/reviewQueryService');
+const Review = require('../src/models/Review');
+
+const mockFind = docs => {
+  const query = {
+    select: jest.fn().mockReturnThis(),
+    sort: jest.fn().mockReturnThis(),
+    limit: jest.fn().mockReturnThis(),
+    lean: jest.fn().mockResolvedValue(docs)
+  };
+  jest.spyOn(Review, 'find').mockReturnValue(query);
+  return query;
+};
+
+describe('ReviewQueryService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should build a filter from query parameters', () => {
+    const filter = reviewQueryService.buildFilter({
+      repository: 'octo/repo',
+      status: 'completed,failed',
+      author: 'alice',
+      from: '2024-01-01',
+      to: '2024-02-01'
+    });
+
+    expect(filter).toEqual({
+      repository: 'octo/repo',
+      status: { $in: ['completed', 'failed'] },
+      'prInfo.author': 'alice',
+      createdAt: { $gte: new Date('2024-01-01'), $lte: new Date('2024-02-01') }
+    });
+  });
+
+  it('should reject invalid parameters', () => {
+    expect(() => reviewQueryService.buildFilter({ status: 'done' })).toThrow(/Invalid status/);
+    expect(() => reviewQueryService.buildFilter({ repository: 'octo' })).toThrow(/Invalid repository/);
+    expect(() => reviewQueryService.buildFilter({ from: 'yesterday' })).toThrow(/Invalid from date/);
+    expect(() => reviewQueryService.parseSort('title')).toThrow(/Invalid sort/);
+    expect(() => reviewQueryService.cursorFilter('not-a-cursor', { field: 'createdAt', direction: -1 }))
+      .toThrow(/Invalid cursor/);
+  });
+
+  it('should page through results with a cursor', async () => {
+    const ids = [1, 2, 3].map(() => new mongoose.Types.ObjectId());
+    const docs = ids.map((id, index) => ({ _id: id, createdAt: new Date(Date.UTC(2024, 0, 3 - index)) }));
+    const query = mockFind(docs);
+
+    const page = await reviewQueryService.listReviews({ limit: '2' });
+
+    expect(query.sort).toHaveBeenCalledWith({ createdAt: -1, _id: -1 });
+    expect(query.limit).toHaveBeenCalledWith(3);
+    expect(page.reviews).toHaveLength(2);
+    expect(page.nextCursor).toEqual(expect.any(String));
+
+    mockFind([docs[2]]);
+    const next = await reviewQueryService.listReviews({ limit: '2', status: 'completed', cursor: page.nextCursor });
+
+    expect(Review.find).toHaveBeenCalledWith({
+      $and: [
+        { status: 'completed' },
+        {
+          $or: [
+            { createdAt: { $lt: docs[1].createdAt } },
+            { createdAt: docs[1].createdAt, _id: { $lt: ids[1] } },
+            { createdAt: null }
+          ]
+        }
+      ]
+    });
+    expect(next.nextCursor).toBeNull();
+  });
+
+  it('should shape aggregated stats', async () => {
+    jest.spyOn(Review, 'getReviewStats').mockResolvedValue({
+      byStatus: [
+        { _id: 'completed', count: 3, avgRetries: 0.333 },
+        { _id: 'failed', count: 1, avgRetries: 3 }
+      ],
+      byCategory: [{ _id: 'security', count: 4 }, { _id: 'bug', count: 1 }],
+      bySeverity: [{ _id: 'error', count: 2 }, { _id: 'warning', count: 3 }],
+      duration: [{ count: 3, avgMs: 1500.4, minMs: 1000, maxMs: 2000 }]
+    });
+
+    const stats = await reviewQueryService.getStats({ repository: 'octo/repo', days: 7 });
+
+    expect(Review.getReviewStats).toHaveBeenCalledWith(7, { repository: 'octo/repo' });
+    expect(stats).toEqual({
+      total: 4,
+      byStatus: {
+        completed: { count: 3, avgRetries: 0.33 },
+        failed: { count: 1, avgRetries: 3 }
+      },
+      findings: {
+        total: 5,
+        byCategory: { security: 4, bug: 1 },
+        bySeverity: { error: 2, warning: 3 }
+      },
+      duration: { reviews: 3, avgMs: 1500, minMs: 1000, maxMs: 2000 }
+    });
+  });
+});
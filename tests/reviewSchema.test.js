@@ -0,0 +1,87 @@
+const {
+  CATEGORIES,
+  FINDING_SCHEMA,
+  REVIEW_RESPONSE_SCHEMA,
+  normalizeCategory,
+  validateSchema,
+  toGeminiSchema,
+  toStrictSchema
+} = require('../src/utils/reviewSchema');
+const Review = require('../src/models/Review');
+
+describe('reviewSchema', () => {
+  describe('validateSchema', () => {
+    it('should accept a complete finding', () => {
+      const finding = {
+        file: 'src/app.js',
+        line: 4,
+        start_line: null,
+        side: 'RIGHT',
+        severity: 'warning',
+        category: 'best-practices',
+        comment: 'Handle the rejected promise.',
+        suggestion: null
+      };
+
+      expect(validateSchema(finding, FINDING_SCHEMA)).toEqual([]);
+    });
+
+    it('should describe every problem with its path', () => {
+      const errors = validateSchema({
+        findings: [{ file: 'a.js', line: '3', severity: 'critical', comment: ' ', extra: true }]
+      }, REVIEW_RESPONSE_SCHEMA);
+
+      expect(errors).toEqual([
+        'response.findings[0].category is required',
+        'response.findings[0].line must be integer',
+        'response.findings[0].severity must be one of: error, warning, suggestion',
+        'response.findings[0].comment must not be empty',
+        'response.findings[0].extra is not allowed'
+      ]);
+    });
+  });
+
+  it('should convert nullable types and enums for Gemini', () => {
+    const schema = toGeminiSchema(REVIEW_RESPONSE_SCHEMA);
+    const finding = schema.properties.findings.items;
+
+    expect(finding.properties.start_line).toEqual({ type: 'integer', nullable: true });
+    expect(finding.properties.side).toEqual({ type: 'string', nullable: true, format: 'enum', enum: ['RIGHT', 'LEFT'] });
+    expect(finding.properties.category).toEqual({ type: 'string', format: 'enum', enum: CATEGORIES });
+    expect(finding).not.toHaveProperty('additionalProperties');
+  });
+
+  it('should make optional properties required and nullable for strict mode', () => {
+    const finding = toStrictSchema(REVIEW_RESPONSE_SCHEMA).properties.findings.items;
+
+    expect(finding.required).toEqual(Object.keys(FINDING_SCHEMA.properties));
+    expect(finding.properties.suggestion.type).toEqual(['string', 'null']);
+    expect(finding.properties.side).toEqual({ type: ['string', 'null'], enum: ['RIGHT', 'LEFT', null] });
+    expect(finding.properties.line).toEqual({ type: 'integer' });
+    expect(finding.additionalProperties).toBe(false);
+  });
+
+  it('should map category aliases onto the category list', () => {
+    expect(CATEGORIES).not.toContain('bug');
+    expect(normalizeCategory('bug')).toBe('best-practices');
+    expect(normalizeCategory('Maintainability')).toBe('readability');
+    expect(normalizeCategory('Security')).toBe('security');
+    expect(normalizeCategory('style')).toBe('style');
+  });
+
+  it('should share its enums with the Review model', () => {
+    const review = new Review({
+      pullRequestId: 1,
+      repository: 'octo/repo',
+      owner: 'octo',
+      repo: 'repo',
+      comments: [
+        { file: 'a.js', line: 1, comment: 'Unclear name.' },
+        { file: 'a.js', line: 2, category: 'general', comment: 'Odd.' }
+      ]
+    });
+
+    expect(review.comments.map(comment => comment.category)).toEqual(['best-practices', 'best-practices']);
+    expect(review.validateSync()).toBeUndefined();
+  });
+});
@@ -0,0 +1,37 @@
+const { getReviewVerdict, isValidApproveThreshold } = require('../src/utils/reviewVerdict');
+
+const finding = (severity, category = 'bug') => ({ severity, category });
+
+describe('reviewVerdict', () => {
+  const commentOnly = { requestChangesOn: 'never', requestChangesCategories: [], approveUpTo: 'never' };
+
+  it('should always comment with the default policy', () => {
+    expect(getReviewVerdict([finding('error', 'security')], commentOnly).event).toBe('COMMENT');
+    expect(getReviewVerdict([], commentOnly).event).toBe('COMMENT');
+  });
+
+  it('should request changes for security errors and approve up to suggestions', () => {
+    const policy = { requestChangesOn: 'error', requestChangesCategories: ['security'], approveUpTo: 'suggestion' };
+    const securityError = finding('error', 'security');
+
+    expect(getReviewVerdict([finding('warning'), securityError], policy)).toEqual({
+      event: 'REQUEST_CHANGES',
+      blocking: [securityError]
+    });
+    expect(getReviewVerdict([finding('error', 'bug')], policy).event).toBe('COMMENT');
+    expect(getReviewVerdict([finding('suggestion')], policy).event).toBe('APPROVE');
+    expect(getReviewVerdict([], policy).event).toBe('APPROVE');
+  });
+
+  it('should only approve clean pull requests with approveUpTo none', () => {
+    const policy = { requestChangesOn: 'never', requestChangesCategories: [], approveUpTo: 'none' };
+
+    expect(getReviewVerdict([], policy).event).toBe('APPROVE');
+    expect(getReviewVerdict([finding('suggestion')], policy).event).toBe('COMMENT');
+  });
+
+  it('should not accept error as an approval threshold', () => {
+    expect(isValidApproveThreshold('warning')).toBe(true);
+    expect(isValidApproveThreshold('error')).toBe(false);
+  });
+});
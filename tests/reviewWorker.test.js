@@ -0,0 +1,88 @@
+process.env.GITHUB_TOKEN = process.env.GITHUB_TOKEN || 'test-token';
+process.env.GEMINI_API_KEY = process.env.GEMINI_API_KEY || 'test-key';
+
+const reviewWorker = require('../src/workers/reviewWorker');
+const jobQueue = require('../src/services/jobQueue');
+const reviewProcessor = require('../src/services/reviewProcessor');
+const githubService = require('../src/services/githubService');
+const githubWebhookController = require('../src/controllers/githubWebhookController');
+const Review = require('../src/models/Review');
+
+describe('ReviewWorker', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('should abort the run without failing the job once the lease is lost', async () => {
+    jest.spyOn(jobQueue, 'heartbeat').mockResolvedValue(false);
+    const complete = jest.spyOn(jobQueue, 'complete').mockResolvedValue('completed');
+    const fail = jest.spyOn(jobQueue, 'fail').mockResolvedValue({ willRetry: true });
+    const handleFailure = jest.spyOn(reviewProcessor, 'handleFailure').mockResolvedValue();
+    const processReview = jest.spyOn(reviewProcessor, 'processReview')
+      .mockImplementation((owner, repo, pullNumber, reviewId, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason));
+      }));
+
+    const run = reviewWorker.executeJob({
+      _id: 'job-1', review: 'review-1', owner: 'octo', repo: 'repo', pullNumber: 3, attempts: 1, trigger: 'webhook'
+    });
+    await jest.advanceTimersByTimeAsync(jobQueue.leaseDuration);
+    await run;
+
+    expect(processReview).toHaveBeenCalledWith('octo', 'repo', 3, 'review-1', { signal: expect.any(Object), trigger: 'webhook' });
+    expect(complete).not.toHaveBeenCalled();
+    expect(fail).not.toHaveBeenCalled();
+    expect(handleFailure).not.toHaveBeenCalled();
+  });
+
+  it('should leave the review alone when the failed job was taken over', async () => {
+    jest.spyOn(jobQueue, 'heartbeat').mockResolvedValue(true);
+    jest.spyOn(reviewProcessor, 'processReview').mockRejectedValue(new Error('boom'));
+    const fail = jest.spyOn(jobQueue, 'fail').mockResolvedValue({ owned: false, willRetry: false, runAt: null });
+    const handleFailure = jest.spyOn(reviewProcessor, 'handleFailure').mockResolvedValue();
+
+    await reviewWorker.executeJob({ _id: 'job-1', review: 'review-1', owner: 'octo', repo: 'repo', pullNumber: 3, attempts: 1 });
+
+    expect(fail).toHaveBeenCalled();
+    expect(handleFailure).not.toHaveBeenCalled();
+  });
+
+  it('should never queue a review for a PR that was only paused', async () => {
+    jest.spyOn(Review, 'findByPR').mockResolvedValue(null);
+    jest.spyOn(Review.prototype, 'save').mockResolvedValue();
+    jest.spyOn(githubService, 'getPullRequest').mockResolvedValue({
+      number: 3,
+      title: 'WIP',
+      body: '',
+      draft: true,
+      user: { login: 'dev' },
+      base: { ref: 'main' },
+      head: { ref: 'wip', sha: 'abc' }
+    });
+    const enqueueReview = jest.spyOn(jobQueue, 'enqueueReview').mockResolvedValue({});
+
+    const result = await githubWebhookController.runCommand({ name: 'pause', args: [] }, {
+      owner: 'octo', repo: 'repo', pullNumber: 3, repository: { full_name: 'octo/repo' }, sender: 'dev'
+    });
+    const saved = Review.prototype.save.mock.contexts[0];
+    expect(result.message).toBe('Automatic reviews paused');
+    expect(saved.status).not.toBe('pending');
+    expect(saved.paused).toBe(true);
+
+    // The recovery sweep only picks up pending reviews that aren't paused
+    jest.spyOn(jobQueue, 'reapExpiredJobs').mockResolvedValue([]);
+    const find = jest.spyOn(Review, 'find').mockReturnValue({
+      sort: () => ({ limit: () => Promise.resolve([]) })
+    });
+    reviewWorker.lastRecoveryAt = 0;
+    await reviewWorker.recoverIfDue();
+
+    expect(find).toHaveBeenCalledWith({ status: 'pending', paused: { $ne: true } });
+    expect(enqueueReview).not.toHaveBeenCalled();
+  });
+});
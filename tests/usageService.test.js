@@ -0,0 +1,99 @@
+process.env.GITHUB_TOKEN = process.env.GITHUB_TOKEN || 'test-token';
+process.env.GEMINI_API_KEY = process.env.GEMINI_API_KEY || 'test-key';
+
+const usageService = require('../src/services/usageService');
+const LlmUsage = require('../src/models/LlmUsage');
+const config = require('../src/config/config');
+const { getModelPrice, estimateCost } = require('../src/utils/llmCost');
+
+describe('LLM cost estimation', () => {
+  it('should price versioned model names by their family', () => {
+    expect(getModelPrice('gemini-1.5-flash-002')).toEqual(getModelPrice('gemini-1.5-flash'));
+    expect(getModelPrice('gpt-4o-mini-2024-07-18')).toEqual(getModelPrice('gpt-4o-mini'));
+    expect(getModelPrice('llama3')).toBeNull();
+  });
+
+  it('should prefer configured prices and report unpriced models', () => {
+    const overrides = { llama3: { input: 1, output: 2 } };
+
+    expect(estimateCost({ promptTokens: 1e6, completionTokens: 5e5 }, 'llama3', overrides))
+      .toEqual({ cost: 2, priced: true });
+    expect(estimateCost({ promptTokens: 1e6, completionTokens: 0 }, 'llama3'))
+      .toEqual({ cost: 0, priced: false });
+  });
+});
+
+describe('UsageService', () => {
+  const originalConfig = { ...config };
+
+  afterEach(() => {
+    Object.assign(config, originalConfig);
+    jest.restoreAllMocks();
+  });
+
+  it('should add up and price the calls of a review run', () => {
+    const usage = usageService.summarizeCalls([
+      { provider: 'gemini', model: 'gemini-1.5-flash', promptTokens: 1000000, completionTokens: 0 },
+      { provider: 'gemini', model: 'gemini-1.5-flash', promptTokens: 0, completionTokens: 1000000 }
+    ]);
+
+    expect(usage).toMatchObject({
+      calls: 2,
+      promptTokens: 1000000,
+      completionTokens: 1000000,
+      totalTokens: 2000000,
+      estimatedCost: 0.375,
+      priced: true
+    });
+    expect(usageService.summarizeCalls([])).toBeNull();
+  });
+
+  it('should resolve repository and org budget overrides over the defaults', () => {
+    config.BUDGET_REPO_DAILY = 5;
+    config.BUDGET_REPO_MONTHLY = 50;
+    config.BUDGET_ORG_DAILY = 0;
+    config.BUDGET_ORG_MONTHLY = 200;
+    config.BUDGET_OVERRIDES = { 'octo/big': { daily: 20 }, octo: { monthly: 500 } };
+
+    expect(usageService.getBudgets('octo', 'big')).toEqual({
+      repository: { daily: 20, monthly: 50 },
+      org: { daily: 0, monthly: 500 }
+    });
+  });
+
+  it('should report the first budget that is used up', async () => {
+    config.BUDGET_REPO_DAILY = 1;
+    config.BUDGET_REPO_MONTHLY = 0;
+    config.BUDGET_ORG_DAILY = 0;
+    config.BUDGET_ORG_MONTHLY = 10;
+    config.BUDGET_OVERRIDES = {};
+
+    const getSpendSince = jest.spyOn(LlmUsage, 'getSpendSince')
+      .mockImplementation(async match => (match.repository ? 0.5 : 12.25));
+
+    const status = await usageService.checkBudget('octo', 'repo', new Date('2024-03-15T10:00:00Z'));
+
+    expect(status.exceeded).toBe(true);
+    expect(status.reason).toBe('octo has used $12.25 of its $10.00 monthly LLM budget');
+    expect(status.spend).toEqual({
+      repository: { daily: 0.5, monthly: null },
+      org: { daily: null, monthly: 12.25 }
+    });
+    expect(getSpendSince).toHaveBeenCalledWith({ repository: 'octo/repo' }, new Date('2024-03-15T00:00:00Z'));
+    expect(getSpendSince).toHaveBeenCalledWith({ owner: 'octo' }, new Date('2024-03-01T00:00:00Z'));
+  });
+
+  it('should not exceed unlimited budgets', async () => {
+    config.BUDGET_REPO_DAILY = 0;
+    config.BUDGET_REPO_MONTHLY = 0;
+    config.BUDGET_ORG_DAILY = 0;
+    config.BUDGET_ORG_MONTHLY = 0;
+    config.BUDGET_OVERRIDES = {};
+    const getSpendSince = jest.spyOn(LlmUsage, 'getSpendSince');
+
+    const status = await usageService.checkBudget('octo', 'repo');
+
+    expect(status.exceeded).toBe(false);
+    expect(getSpendSince).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,210 @@
+process.env.GITHUB_TOKEN = process.env.GITHUB_TOKEN || 'test-token';
+process.env.GEMINI_API_KEY = process.env.GEMINI_API_KEY || 'test-key';
+
+const webhookDeliveryService = require('../src/services/webhookDeliveryService');
+const recordWebhookDelivery = require('../src/middleware/webhookDeliveryLog');
+const WebhookDelivery = require('../src/models/WebhookDelivery');
+const database = require('../src/utils/database');
+
+const webhook = {
+  event: 'pull_request',
+  delivery: 'abc-123',
+  payload: { action: 'opened', repository: { full_name: 'octo/repo' }, installation: { id: 7 } }
+};
+
+const mockResponse = () => {
+  const res = { statusCode: 200, listeners: {} };
+  res.status = jest.fn(code => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn(body => {
+    res.body = body;
+    return res;
+  });
+  res.on = jest.fn((name, listener) => {
+    res.listeners[name] = listener;
+  });
+  return res;
+};
+
+describe('WebhookDeliveryService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should store a new delivery with its GitHub headers', async () => {
+    const create = jest.spyOn(WebhookDelivery, 'create').mockImplementation(async doc => doc);
+
+    const result = await webhookDeliveryService.recordReceived(webhook, {
+      'x-github-event': 'pull_request',
+      'x-github-delivery': 'abc-123',
+      'x-hub-signature-256': 'sha256=00',
+      'user-agent': 'GitHub-Hookshot/1',
+      'x-forwarded-for': '10.0.0.1'
+    });
+
+    expect(result.duplicate).toBe(false);
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      deliveryId: 'abc-123',
+      event: 'pull_request',
+      action: 'opened',
+      repository: 'octo/repo',
+      installationId: 7,
+      headers: {
+        'x-github-event': 'pull_request',
+        'x-github-delivery': 'abc-123',
+        'x-hub-signature-256': 'sha256=00',
+        'user-agent': 'GitHub-Hookshot/1'
+      }
+    }));
+  });
+
+  it('should count a repeated delivery ID as a redelivery', async () => {
+    jest.spyOn(WebhookDelivery, 'create').mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+    const stored = { deliveryId: 'abc-123', status: 'processed', redeliveries: 1 };
+    const findOneAndUpdate = jest.spyOn(WebhookDelivery, 'findOneAndUpdate')
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(stored);
+
+    const result = await webhookDeliveryService.recordReceived(webhook, {});
+
+    expect(result).toEqual({ delivery: stored, duplicate: true });
+    expect(findOneAndUpdate).toHaveBeenLastCalledWith(
+      { deliveryId: 'abc-123' },
+      expect.objectContaining({ $inc: { redeliveries: 1 } }),
+      { new: true }
+    );
+  });
+
+  it('should process failed and abandoned deliveries again', async () => {
+    jest.spyOn(WebhookDelivery, 'create').mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+    const claimed = { deliveryId: 'abc-123', status: 'received', redeliveries: 2 };
+    const findOneAndUpdate = jest.spyOn(WebhookDelivery, 'findOneAndUpdate').mockResolvedValueOnce(claimed);
+
+    const result = await webhookDeliveryService.recordReceived(webhook, {});
+
+    expect(result).toEqual({ delivery: claimed, duplicate: false });
+    expect(findOneAndUpdate).toHaveBeenCalledTimes(1);
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    expect(filter.$or).toEqual([
+      { status: 'failed' },
+      { status: 'received', receivedAt: { $lt: expect.any(Date) } }
+    ]);
+    expect(filter.$or[1].receivedAt.$lt.getTime()).toBeLessThanOrEqual(Date.now() - 300 * 1000);
+    expect(update.$set.status).toBe('received');
+  });
+
+  it('should treat unprocessed webhook responses as failures', async () => {
+    const delivery = new WebhookDelivery({ deliveryId: 'abc-123', event: 'pull_request', payload: {} });
+    jest.spyOn(delivery, 'save').mockResolvedValue(delivery);
+
+    await delivery.markHandled({
+      statusCode: 200,
+      response: { message: 'Webhook received', processed: false, error: 'boom' },
+      durationMs: 12
+    });
+
+    expect(delivery.status).toBe('failed');
+    expect(delivery.error).toBe('boom');
+    expect(delivery.processedAt).toBeInstanceOf(Date);
+  });
+
+  it('should replay a stored delivery through the handler and keep the outcome', async () => {
+    const stored = new WebhookDelivery({
+      deliveryId: 'abc-123',
+      event: 'pull_request',
+      payload: webhook.payload,
+      headers: { 'x-github-event': 'pull_request' }
+    });
+    jest.spyOn(WebhookDelivery, 'findByDeliveryId').mockResolvedValue(stored);
+    const updateOne = jest.spyOn(WebhookDelivery, 'updateOne').mockResolvedValue({});
+    const handler = jest.fn(async (req, res) => {
+      res.status(200).json({ message: 'PR review queued', event: req.webhook.event, replay: req.webhook.replay });
+    });
+
+    const result = await webhookDeliveryService.replay('abc-123', handler, 'ops');
+
+    expect(handler.mock.calls[0][0].webhook.payload).toBe(stored.payload);
+    expect(handler.mock.calls[0][0].get('X-GitHub-Event')).toBe('pull_request');
+    expect(result).toMatchObject({
+      statusCode: 200,
+      response: { message: 'PR review queued', event: 'pull_request', replay: true },
+      replayedBy: 'ops'
+    });
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: stored._id },
+      { $push: { replays: { $each: [expect.objectContaining({ statusCode: 200 })], $slice: -10 } } }
+    );
+  });
+
+  it('should not pass query operators into the delivery filter', () => {
+    const chain = { select: () => chain, sort: () => chain, limit: () => chain };
+    const find = jest.spyOn(WebhookDelivery, 'find').mockReturnValue(chain);
+
+    webhookDeliveryService.listDeliveries({ event: { $regex: '.' }, repository: 'octo/repo' });
+
+    expect(find).toHaveBeenCalledWith({ event: '[object Object]', repository: 'octo/repo' });
+  });
+
+  it('should reject replays of unknown deliveries', async () => {
+    jest.spyOn(WebhookDelivery, 'findByDeliveryId').mockResolvedValue(null);
+
+    await expect(webhookDeliveryService.replay('missing', jest.fn())).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
+
+describe('recordWebhookDelivery middleware', () => {
+  const originalConnected = database.isConnected;
+
+  beforeEach(() => {
+    database.isConnected = true;
+  });
+
+  afterEach(() => {
+    database.isConnected = originalConnected;
+    jest.restoreAllMocks();
+  });
+
+  it('should answer a redelivery with the stored response without processing it', async () => {
+    jest.spyOn(webhookDeliveryService, 'recordReceived').mockResolvedValue({
+      delivery: { deliveryId: 'abc-123', status: 'processed', statusCode: 200, response: { message: 'PR review queued' } },
+      duplicate: true
+    });
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await recordWebhookDelivery({ webhook, headers: {} }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ message: 'PR review queued', delivery: 'abc-123', duplicate: true });
+  });
+
+  it('should record the response of a new delivery once it is sent', async () => {
+    const delivery = { deliveryId: 'abc-123' };
+    jest.spyOn(webhookDeliveryService, 'recordReceived').mockResolvedValue({ delivery, duplicate: false });
+    const recordOutcome = jest.spyOn(webhookDeliveryService, 'recordOutcome').mockResolvedValue();
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await recordWebhookDelivery({ webhook, headers: {} }, res, next);
+    res.status(200).json({ message: 'PR review queued' });
+    res.listeners.finish();
+
+    expect(next).toHaveBeenCalled();
+    expect(recordOutcome).toHaveBeenCalledWith(delivery, expect.objectContaining({
+      statusCode: 200,
+      response: { message: 'PR review queued' }
+    }));
+  });
+
+  it('should process deliveries unlogged when the log is unavailable', async () => {
+    jest.spyOn(webhookDeliveryService, 'recordReceived').mockRejectedValue(new Error('connection lost'));
+    const next = jest.fn();
+
+    await recordWebhookDelivery({ webhook, headers: {} }, mockResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+  });
+});